@@ -0,0 +1,61 @@
+/**
+ * AccountDeletion Model - Account deletion requests
+ *
+ * A request is confirmed with an emailed code, then waits out the grace
+ * period (cancelled by logging in) before accountDeletionJob removes the
+ * account. Completed requests are kept as a record without personal data.
+ */
+
+import mongoose from "mongoose";
+
+export const ACCOUNT_DELETION_STATUS = {
+  AWAITING_CONFIRMATION: "awaiting_confirmation",
+  SCHEDULED: "scheduled",
+  PROCESSING: "processing",
+  CANCELLED: "cancelled",
+  COMPLETED: "completed",
+};
+
+const accountDeletionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(ACCOUNT_DELETION_STATUS),
+      default: ACCOUNT_DELETION_STATUS.AWAITING_CONFIRMATION,
+    },
+    // Expiry of the emailed code (the code lives in OneTimeCode)
+    codeExpiresAt: Date,
+    confirmedAt: Date,
+    // End of the grace period
+    scheduledFor: Date,
+    cancelledAt: Date,
+    cancelReason: {
+      type: String,
+    },
+    startedAt: Date,
+    completedAt: Date,
+    // Number of removed / anonymised records per kind
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    lastError: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+accountDeletionSchema.index({ user: 1, status: 1 });
+accountDeletionSchema.index({ status: 1, scheduledFor: 1 });
+
+const AccountDeletion = mongoose.model(
+  "AccountDeletion",
+  accountDeletionSchema
+);
+
+export default AccountDeletion;
@@ -0,0 +1,160 @@
+/**
+ * Account Deletion Job - Deletes accounts after the grace period
+ *
+ * Features:
+ * - Scheduled requests past scheduledFor are claimed atomically, so a
+ *   login cancelling at the same moment wins or loses cleanly
+ * - Failed or abandoned deletions go back to "scheduled" and are
+ *   retried next run
+ * - No overlapping runs, errors isolated per account
+ */
+
+import AccountDeletion, { ACCOUNT_DELETION_STATUS } from "./accountDeletion.js";
+import { deleteUserAccount } from "./userAccountDeletion.js";
+import logger from "../../utils/logger.js";
+
+// Default interval between runs (1 hour)
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Deletions "processing" longer than this are considered abandoned
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+/**
+ * AccountDeletionJob class - schedules and runs account deletion
+ * @class
+ */
+class AccountDeletionJob {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start periodic runs
+   * @param {number} intervalMs - Interval between runs
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    if (this.timer) {
+      logger.info("Account deletion job already started");
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) =>
+        logger.error("Account deletion run failed", { error: error.message })
+      );
+    }, intervalMs);
+
+    logger.info("Account deletion job started", { intervalMs });
+  }
+
+  /**
+   * Stop periodic runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Account deletion job stopped");
+    }
+  }
+
+  /**
+   * Delete accounts whose grace period ended
+   * @returns {Promise<{deleted: number, failed: number}>} - Run summary
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn("Account deletion run skipped - previous run in progress");
+      return { deleted: 0, failed: 0 };
+    }
+
+    this.isRunning = true;
+    const runStart = new Date();
+    let deleted = 0;
+    let failed = 0;
+
+    try {
+      // Retry deletions abandoned by a crashed process
+      await AccountDeletion.updateMany(
+        {
+          status: ACCOUNT_DELETION_STATUS.PROCESSING,
+          startedAt: {
+            $lt: new Date(runStart.getTime() - STALE_PROCESSING_MS),
+          },
+        },
+        { $set: { status: ACCOUNT_DELETION_STATUS.SCHEDULED } }
+      );
+
+      let request;
+      while ((request = await this.claimNext(runStart))) {
+        if (await this.processRequest(request)) deleted++;
+        else failed++;
+      }
+
+      logger.info("Account deletion run completed", { deleted, failed });
+      return { deleted, failed };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Take next due request
+   * Requests that failed earlier in this run wait for the next one.
+   * @param {Date} runStart - Run start time
+   * @returns {Promise<Object|null>} - Request or null
+   */
+  async claimNext(runStart) {
+    return AccountDeletion.findOneAndUpdate(
+      {
+        status: ACCOUNT_DELETION_STATUS.SCHEDULED,
+        scheduledFor: { $lte: runStart },
+        startedAt: { $not: { $gte: runStart } },
+      },
+      {
+        $set: {
+          status: ACCOUNT_DELETION_STATUS.PROCESSING,
+          startedAt: new Date(),
+        },
+      },
+      { sort: { scheduledFor: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Delete account of one request
+   * @param {Object} request - AccountDeletion document
+   * @returns {Promise<boolean>} - true when deleted
+   */
+  async processRequest(request) {
+    try {
+      const summary = await deleteUserAccount(request.user.toString());
+
+      request.set({
+        status: ACCOUNT_DELETION_STATUS.COMPLETED,
+        completedAt: new Date(),
+        summary,
+        lastError: undefined,
+      });
+      await request.save();
+      return true;
+    } catch (error) {
+      logger.error("Account deletion error", {
+        error: error.message,
+        userId: request.user,
+      });
+
+      request.set({
+        status: ACCOUNT_DELETION_STATUS.SCHEDULED,
+        lastError: error.message,
+      });
+      await request.save();
+      return false;
+    }
+  }
+}
+
+// Export job instance as singleton
+const accountDeletionJob = new AccountDeletionJob();
+export default accountDeletionJob;
@@ -0,0 +1,181 @@
+/**
+ * Ad Comparison - Side-by-side spec matrix for up to four ads
+ *
+ * Features:
+ * - Normalised rows: price, year, mileage, power, fuel, transmission,
+ *   body type and equipment (one row per equipment item)
+ * - Rows with differing values are marked
+ * - Best value per row highlighted (lowest price/mileage, newest year,
+ *   most power, equipment present)
+ */
+
+import mongoose from "mongoose";
+
+export const MIN_COMPARE_ADS = 2;
+export const MAX_COMPARE_ADS = 4;
+
+/**
+ * Comparison rows
+ * best: "min" | "max" | null (no ranking for categorical values)
+ */
+const SPEC_ROWS = [
+  { key: "price", label: "Price", unit: "PLN", best: "min" },
+  { key: "year", label: "Year", best: "max" },
+  { key: "mileage", label: "Mileage", unit: "km", best: "min" },
+  { key: "power", label: "Power", unit: "HP", best: "max" },
+  { key: "fuelType", label: "Fuel type", best: null },
+  { key: "transmission", label: "Transmission", best: null },
+  { key: "bodyType", label: "Body type", best: null },
+];
+
+export class InvalidComparisonError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidComparisonError";
+  }
+}
+
+/**
+ * Parse ad IDs from query (?ids=a,b,c or ?ids[]=a&ids[]=b)
+ * @param {Object} query - Request query
+ * @returns {Array<string>} - Unique IDs in requested order
+ * @throws {InvalidComparisonError} - When count out of range or ID invalid
+ */
+export function parseCompareIds(query) {
+  const raw = query.ids ?? query["ids[]"] ?? [];
+  const ids = [
+    ...new Set(
+      (Array.isArray(raw) ? raw : String(raw).split(","))
+        .map((id) => String(id).trim())
+        .filter(Boolean)
+    ),
+  ];
+
+  if (ids.length < MIN_COMPARE_ADS || ids.length > MAX_COMPARE_ADS) {
+    throw new InvalidComparisonError(
+      `Provide between ${MIN_COMPARE_ADS} and ${MAX_COMPARE_ADS} ad IDs`
+    );
+  }
+
+  const invalid = ids.find((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid) {
+    throw new InvalidComparisonError(`Invalid ad ID: ${invalid}`);
+  }
+
+  return ids;
+}
+
+/* ---- Helpers ---- */
+
+const normalizeText = (value) =>
+  typeof value === "string" && value.trim() ? value.trim() : null;
+
+const normalizeNumber = (value) => {
+  const number = typeof value === "string" ? parseFloat(value) : value;
+  return typeof number === "number" && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Equipment may be stored as array of names or object of flags
+ * @param {Array|Object|undefined} equipment - Ad equipment
+ * @returns {Array<string>} - Equipment item names
+ */
+const normalizeEquipment = (equipment) => {
+  if (Array.isArray(equipment)) {
+    return equipment.map(normalizeText).filter(Boolean);
+  }
+  if (equipment && typeof equipment === "object") {
+    return Object.entries(equipment)
+      .filter(([, present]) => present === true)
+      .map(([name]) => name);
+  }
+  return [];
+};
+
+/**
+ * Indexes of best values in a row
+ * @param {Array} values - Row values (null when missing)
+ * @param {string|null} best - "min" | "max" | null
+ * @returns {Array<number>} - Indexes of best values (empty if no ranking)
+ */
+const findBestIndexes = (values, best) => {
+  if (!best) return [];
+
+  const present = values.filter((value) => value !== null);
+  if (present.length < 2) return [];
+
+  const target = best === "min" ? Math.min(...present) : Math.max(...present);
+  return values
+    .map((value, index) => (value === target ? index : -1))
+    .filter((index) => index !== -1);
+};
+
+const valuesDiffer = (values) =>
+  new Set(values.map((value) => JSON.stringify(value))).size > 1;
+
+/* ---- Matrix ---- */
+
+/**
+ * Build comparison matrix
+ * @param {Array<Object>} ads - Ads in display order
+ * @returns {Object} - { ads, rows, differingRows }
+ */
+export function buildComparisonMatrix(ads) {
+  const rows = SPEC_ROWS.map(({ key, label, unit, best }) => {
+    const values = ads.map((ad) =>
+      best ? normalizeNumber(ad[key]) : normalizeText(ad[key])
+    );
+    const differs = valuesDiffer(values);
+
+    return {
+      key,
+      label,
+      unit: unit || null,
+      values,
+      differs,
+      best: differs ? findBestIndexes(values, best) : [],
+    };
+  });
+
+  // One row per equipment item present in any ad
+  const equipmentLists = ads.map((ad) => normalizeEquipment(ad.equipment));
+  const equipmentItems = [...new Set(equipmentLists.flat())].sort((a, b) =>
+    a.localeCompare(b, "pl")
+  );
+
+  for (const item of equipmentItems) {
+    const values = equipmentLists.map((list) => list.includes(item));
+    const differs = valuesDiffer(values);
+
+    rows.push({
+      key: `equipment.${item}`,
+      label: item,
+      group: "equipment",
+      unit: null,
+      values,
+      differs,
+      best: differs
+        ? values
+            .map((value, index) => (value ? index : -1))
+            .filter((index) => index !== -1)
+        : [],
+    });
+  }
+
+  return {
+    ads: ads.map(({ equipment, ...ad }) => ({
+      ...ad,
+      equipmentCount: normalizeEquipment(equipment).length,
+    })),
+    rows,
+    differingRows: rows.filter((row) => row.differs).length,
+  };
+}
+
+export default {
+  MIN_COMPARE_ADS,
+  MAX_COMPARE_ADS,
+  InvalidComparisonError,
+  parseCompareIds,
+  buildComparisonMatrix,
+};
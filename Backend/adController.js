@@ -4,11 +4,94 @@
  */
 
 import Ad from "../../models/listings/ad.js";
-import {
-  getActiveStatusFilter,
-  getActiveAdsCount,
-} from "../../utils/listings/commonFilters.js";
+import { getActiveAdsCount } from "../../utils/listings/commonFilters.js";
 import logger from "../../utils/logger.js";
+import {
+  buildSearchPipeline,
+  buildSearchCursorPipeline,
+  buildListingCursorPipeline,
+  getSearchSortKeys,
+  getListingSortKeys,
+  resolveSortField,
+  resolveListingSortField,
+  stripInternalFields,
+} from "./adSearchPipeline.js";
+import {
+  buildSearchFilter,
+  buildVehicleConditions,
+  readVehicleFilter,
+} from "./adSearchFilters.js";
+import { buildFacetPipeline, formatFacetResult } from "./adFacets.js";
+import { buildTextFilterConditions } from "./adTextSearch.js";
+import { getPriceHistory } from "./adPriceHistory.js";
+import { estimateMarketValue } from "./adValuation.js";
+import {
+  InvalidComparisonError,
+  parseCompareIds,
+  buildComparisonMatrix,
+} from "./adComparison.js";
+import {
+  loadTaxonomy,
+  resolveVehicle,
+  getTaxonomyTree,
+} from "./vehicleTaxonomy.js";
+import {
+  AD_STATUS,
+  VISIBLE_STATUSES,
+  InvalidTransitionError,
+  getVisibleStatusFilter,
+  getAllowedTransitions,
+  toLifecycleStatus,
+  transitionAd,
+  renewAd,
+} from "./adLifecycle.js";
+import adViewTracker, {
+  MAX_STATS_DAYS,
+  getDailyStatsSeries,
+} from "./adViewTracker.js";
+import { recordRecentlyViewed } from "./recentlyViewed.js";
+import { buildSimilarAdsPipeline, withExplanation } from "./adSimilarity.js";
+import {
+  InvalidGeoQueryError,
+  resolveGeoQuery,
+  applyGeoCountFilter,
+} from "./adGeo.js";
+import {
+  InvalidCursorError,
+  isCursorRequest,
+  decodeCursor,
+  paginateWithCursor,
+} from "./adCursor.js";
+
+// Fields returned by similar ads endpoint
+const SIMILAR_AD_FIELDS =
+  "_id headline brand model year price mileage fuelType transmission power mainImage images listingType createdAt bodyType";
+
+// Fields returned by listing endpoints
+const LISTING_FIELDS =
+  "_id brand model headline title description year price mileage fuelType transmission power images mainImage status listingType createdAt views favorites";
+
+// Fields returned by comparison endpoint (listing fields + spec rows)
+const COMPARE_FIELDS = `${LISTING_FIELDS} bodyType equipment`;
+
+/**
+ * Check whether request user owns the ad
+ */
+const isAdOwner = (ad, user) =>
+  Boolean(user) && ad.owner?.toString() === user.userId?.toString();
+
+/**
+ * Lifecycle fields returned by owner status endpoints
+ */
+const formatLifecycle = (ad) => ({
+  id: ad._id,
+  status: ad.status,
+  expiresAt: ad.expiresAt,
+  publishedAt: ad.publishedAt,
+  soldAt: ad.soldAt,
+  renewCount: ad.renewCount,
+  allowedTransitions: getAllowedTransitions(ad.status),
+});
 
 /**
  * Controller class for ad endpoints
@@ -17,6 +100,12 @@ class AdController {
   /**
    * Get all ads with filtering and pagination
    * GET /api/ads
+   *
+   * Free-text search: ?q=octavia kombi skora
+   *
+   * Pagination modes:
+   * - Page numbers: ?page=2&limit=30 (default)
+   * - Cursor: ?cursor= for first page, then ?cursor=<nextCursor>
    */
   static async getAllAds(req, res, next) {
     try {
@@ -30,28 +119,75 @@ class AdController {
         sortBy = "createdAt",
         order = "desc",
         listingType,
+        q,
       } = req.query;
 
       // Build filter object - only active ads
-      const filter = { status: getActiveStatusFilter() };
+      const filter = { status: getVisibleStatusFilter() };
 
-      if (brand) filter.brand = brand;
-      if (model) filter.model = model;
+      // Brand / model through taxonomy ("VW" finds "Volkswagen")
+      const vehicleConditions = buildVehicleConditions(
+        readVehicleFilter({ brand, model }, await loadTaxonomy())
+      );
       if (minPrice)
         filter.price = { ...filter.price, $gte: parseFloat(minPrice) };
       if (maxPrice)
         filter.price = { ...filter.price, $lte: parseFloat(maxPrice) };
       if (listingType) filter.listingType = listingType;
 
-      const sortOptions = {};
-      sortOptions[sortBy] = order === "desc" ? -1 : 1;
+      // Free-text search (diacritic-insensitive, Polish stemming)
+      const textConditions = buildTextFilterConditions(q);
+      const conditions = [...vehicleConditions, ...textConditions];
+      if (conditions.length > 0) filter.$and = conditions;
+
+      if (isCursorRequest(req.query)) {
+        const sortKeys = getListingSortKeys(sortBy, order);
+        const sortSignature = `${resolveListingSortField(sortBy)}:${order}`;
+        const pageLimit = parseInt(limit) || 30;
+
+        const [docs, totalAds] = await Promise.all([
+          Ad.aggregate(
+            buildListingCursorPipeline({
+              filter,
+              sortBy,
+              order,
+              after: decodeCursor(req.query.cursor, sortKeys, sortSignature),
+              limit: pageLimit,
+              projection: Object.fromEntries(
+                LISTING_FIELDS.split(" ").map((field) => [field, 1])
+              ),
+            })
+          ),
+          Ad.countDocuments(filter),
+        ]);
+
+        const { items, nextCursor, hasMore } = paginateWithCursor(
+          docs,
+          pageLimit,
+          sortKeys,
+          sortSignature
+        );
+
+        return res.status(200).json({
+          ads: items,
+          nextCursor,
+          hasMore,
+          totalAds,
+        });
+      }
+
+      // Same order as cursor mode (ties broken on _id)
+      const sortOptions = Object.fromEntries(
+        getListingSortKeys(sortBy, order).map(({ field, direction }) => [
+          field,
+          direction,
+        ])
+      );
 
       const skip = (parseInt(page) - 1) * parseInt(limit);
 
       const ads = await Ad.find(filter)
-        .select(
-          "_id brand model headline title description year price mileage fuelType transmission power images mainImage status listingType createdAt views favorites"
-        )
+        .select(LISTING_FIELDS)
         .sort(sortOptions)
         .skip(skip)
         .limit(parseInt(limit));
@@ -65,13 +201,19 @@ class AdController {
         totalAds,
       });
     } catch (error) {
+      if (error instanceof InvalidCursorError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
       logger.error("Error in getAllAds", { error: error.message });
       next(error);
     }
   }
 
   /**
-   * Get single ad by ID
+   * Get single ad by ID (with price history)
    * GET /api/ads/:id
    */
   static async getAdById(req, res, next) {
@@ -87,9 +229,11 @@ class AdController {
         });
       }
 
+      const priceHistory = await getPriceHistory(ad);
+
       res.status(200).json({
         success: true,
-        data: ad,
+        data: { ...ad.toObject(), priceHistory },
       });
     } catch (error) {
       logger.error("Error in getAdById", { error: error.message, adId: id });
@@ -121,117 +265,173 @@ class AdController {
    * GET /api/ads/search
    *
    * Features:
-   * - Multi-factor relevance scoring
+   * - Multi-factor relevance scoring (computed in aggregation pipeline)
+   * - Free-text search (q) with relevance folded into match_score
    * - Featured ads priority
    * - Multi-stage sorting (featured → user criteria → score → date)
-   * - Seller type filtering
+   * - Filtering on every search form field (checklists, ranges, flags)
+   * - Page-number or cursor pagination (?cursor=, then ?cursor=<nextCursor>)
+   * - Geo-radius search (?lat=&lng= or ?nearCity=Kraków, ?radiusKm=50,
+   *   ?sortBy=distance) - each result includes distance in km
    */
   static async searchAds(req, res, next) {
     try {
       const page = parseInt(req.query.page) || 1;
       const limit = parseInt(req.query.limit) || 30;
       const skip = (page - 1) * limit;
-      const { sortBy = "createdAt", order = "desc", sellerType } = req.query;
+      const { sortBy = "createdAt", order = "desc" } = req.query;
+
+      logger.debug("Search request", { sortBy, order });
 
-      logger.debug("Search request", { sortBy, order, sellerType });
+      // Geo-radius search (?lat=&lng= or ?nearCity=, ?radiusKm=)
+      const geo = resolveGeoQuery(req.query);
+      const taxonomy = await loadTaxonomy();
 
-      // Build filter object - start with active ads only
-      const activeFilter = { status: getActiveStatusFilter() };
+      // Build filter object from every search form field (active ads only)
+      const activeFilter = buildSearchFilter(req.query, {
+        exclude: geo?.fromLocation ? ["location"] : [],
+        taxonomy,
+      });
+      const countFilter = applyGeoCountFilter(activeFilter, geo);
+      logger.debug("Applied search filters", {
+        fields: Object.keys(activeFilter),
+        radiusKm: geo?.radiusKm,
+      });
+
+      if (isCursorRequest(req.query)) {
+        const sortKeys = getSearchSortKeys(order);
+        const sortSignature = `search:${resolveSortField(sortBy)}:${order}`;
+
+        const [docs, totalAds] = await Promise.all([
+          Ad.aggregate(
+            buildSearchCursorPipeline({
+              filter: activeFilter,
+              query: req.query,
+              sortBy,
+              order,
+              after: decodeCursor(req.query.cursor, sortKeys, sortSignature),
+              limit,
+              geo,
+              taxonomy,
+            })
+          ).allowDiskUse(true),
+          Ad.countDocuments(countFilter),
+        ]);
+
+        const { items, nextCursor, hasMore } = paginateWithCursor(
+          docs,
+          limit,
+          sortKeys,
+          sortSignature
+        );
 
-      // Add seller type filter if provided
-      if (sellerType && sellerType !== "all") {
-        activeFilter.sellerType = sellerType;
-        logger.debug("Applied seller type filter", { sellerType });
+        return res.status(200).json({
+          ads: items.map(stripInternalFields),
+          nextCursor,
+          hasMore,
+          totalAds,
+        });
       }
 
-      const allAds = await Ad.find(activeFilter);
-      logger.debug("Ads found after filters", { count: allAds.length });
-
-      // Calculate match score for each ad
-      const adsWithScore = allAds.map((ad) => {
-        const match_score = calculateMatchScore(ad, req.query);
-        const is_featured = ad.listingType === "wyróżnione" ? 1 : 0;
-        return {
-          ...ad.toObject(),
-          match_score,
-          is_featured,
-        };
+      // Score, sort and paginate inside MongoDB - only one page leaves the DB
+      const pipeline = buildSearchPipeline({
+        filter: activeFilter,
+        query: req.query,
+        sortBy,
+        order,
+        skip,
+        limit,
+        geo,
+        taxonomy,
       });
 
-      // Apply multi-stage sorting
-      adsWithScore.sort((a, b) => {
-        // Stage 1: Prioritize featured ads
-        if (b.is_featured !== a.is_featured)
-          return b.is_featured - a.is_featured;
-
-        // Stage 2: Apply user-selected sorting
-        let comparison = 0;
-
-        switch (sortBy) {
-          case "price":
-            comparison = (a.price || 0) - (b.price || 0);
-            break;
-          case "year":
-            comparison = (a.year || 0) - (b.year || 0);
-            break;
-          case "mileage":
-            comparison = (a.mileage || 0) - (b.mileage || 0);
-            break;
-          case "createdAt":
-          default:
-            comparison = new Date(a.createdAt) - new Date(b.createdAt);
-            break;
-        }
-
-        // Apply sort order
-        const sortMultiplier = order === "desc" ? -1 : 1;
-        comparison *= sortMultiplier;
-
-        // Stage 3: Fall back to match score
-        if (comparison === 0) {
-          if (b.match_score !== a.match_score)
-            return b.match_score - a.match_score;
-
-          // Stage 4: Fall back to creation date
-          return new Date(b.createdAt) - new Date(a.createdAt);
-        }
-
-        return comparison;
-      });
+      const [paginatedAds, totalAds] = await Promise.all([
+        Ad.aggregate(pipeline).allowDiskUse(true),
+        Ad.countDocuments(countFilter),
+      ]);
 
-      logger.debug("Sorting completed", {
-        total: adsWithScore.length,
+      logger.debug("Search completed", {
+        total: totalAds,
+        returned: paginatedAds.length,
         sortBy,
         order,
       });
 
-      // Apply pagination
-      const paginatedAds = adsWithScore.slice(skip, skip + limit);
-
       res.status(200).json({
         ads: paginatedAds,
         currentPage: page,
-        totalPages: Math.ceil(adsWithScore.length / limit),
-        totalAds: adsWithScore.length,
+        totalPages: Math.ceil(totalAds / limit),
+        totalAds,
       });
     } catch (error) {
+      if (
+        error instanceof InvalidCursorError ||
+        error instanceof InvalidGeoQueryError
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
       logger.error("Error in searchAds", { error: error.message });
       next(error);
     }
   }
 
   /**
-   * Get unique brands from active ads
+   * Get faceted counts for the search form
+   * GET /api/ads/facets
+   *
+   * Accepts the same query as searchAds. Each facet is counted with its
+   * own filter excluded, so the form can show "(N)" next to every option.
+   */
+  static async getFacets(req, res, next) {
+    try {
+      const geo = resolveGeoQuery(req.query);
+      const taxonomy = await loadTaxonomy();
+      const [result] = await Ad.aggregate(
+        buildFacetPipeline(req.query, geo, taxonomy)
+      );
+      const { total, facets } = formatFacetResult(result, taxonomy);
+
+      logger.debug("Facets computed", { total });
+
+      res.status(200).json({
+        success: true,
+        total,
+        facets,
+      });
+    } catch (error) {
+      if (error instanceof InvalidGeoQueryError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Error in getFacets", { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Get canonical brands from active ads
    * GET /api/ads/brands
+   *
+   * Aliases are merged ("VW" + "Volkswagen" -> "Volkswagen").
+   * With ?counts=true returns [{ id, name, count }] instead of names.
    */
   static async getBrands(req, res, next) {
     try {
-      const activeFilter = { status: getActiveStatusFilter() };
-      const brands = await Ad.distinct("brand", activeFilter);
+      const tree = await getTaxonomyTree(Ad);
+      const brands = tree.filter((brand) => brand.count > 0);
 
       res
         .status(200)
-        .json(brands.filter((brand) => brand && brand.trim() !== ""));
+        .json(
+          req.query.counts === "true"
+            ? brands.map(({ id, name, count }) => ({ id, name, count }))
+            : brands.map((brand) => brand.name)
+        );
     } catch (error) {
       logger.error("Error in getBrands", { error: error.message });
       next(error);
@@ -239,28 +439,34 @@ class AdController {
   }
 
   /**
-   * Get models for a specific brand from active ads
-   * GET /api/ads/models
+   * Get canonical models for a brand (name, ID or alias) from active ads
+   * GET /api/ads/models?brand=VW
+   *
+   * With ?counts=true returns [{ id, name, count }] instead of names.
    */
   static async getModels(req, res, next) {
-    try {
-      const { brand } = req.query;
+    const { brand } = req.query;
 
+    try {
       if (!brand) {
         return res.status(400).json({
           message: "Brand parameter is required",
         });
       }
 
-      const activeFilter = {
-        brand,
-        status: getActiveStatusFilter(),
-      };
-      const models = await Ad.distinct("model", activeFilter);
+      const { brandId } = await resolveVehicle({ brand });
+      const tree = await getTaxonomyTree(Ad);
+      const models = (
+        tree.find((node) => node.id === brandId)?.models || []
+      ).filter((model) => model.count > 0);
 
       res
         .status(200)
-        .json(models.filter((model) => model && model.trim() !== ""));
+        .json(
+          req.query.counts === "true"
+            ? models.map(({ id, name, count }) => ({ id, name, count }))
+            : models.map((model) => model.name)
+        );
     } catch (error) {
       logger.error("Error in getModels", { error: error.message, brand });
       next(error);
@@ -268,88 +474,374 @@ class AdController {
   }
 
   /**
-   * Get similar ads with multi-level fallback strategy
-   * GET /api/ads/:id/similar
+   * Get generations (with year ranges) for a brand and model
+   * GET /api/ads/generations?brand=VW&model=Golf
    *
-   * Strategy:
-   * 1. Same brand + model + body type
-   * 2. Same brand + model (fallback)
-   * 3. Same brand + body type (fallback)
-   * 4. Same brand only (final fallback)
+   * Includes taxonomy generations without active ads (count: 0).
    */
-  static async getSimilarAds(req, res, next) {
+  static async getGenerations(req, res, next) {
+    const { brand, model } = req.query;
+
     try {
-      const { id } = req.params;
-      const limit = parseInt(req.query.limit) || 6;
+      if (!brand || !model) {
+        return res.status(400).json({
+          message: "Brand and model parameters are required",
+        });
+      }
 
-      // Get the current ad
-      const currentAd = await Ad.findById(id);
-      if (!currentAd) {
+      const vehicle = await resolveVehicle({ brand, model });
+      const tree = await getTaxonomyTree(Ad, { includeEmpty: true });
+      const generations =
+        tree
+          .find((node) => node.id === vehicle.brandId)
+          ?.models.find((node) => node.id === vehicle.modelId)?.generations ||
+        [];
+
+      res.status(200).json(generations);
+    } catch (error) {
+      logger.error("Error in getGenerations", {
+        error: error.message,
+        brand,
+        model,
+      });
+      next(error);
+    }
+  }
+
+  /**
+   * Get full vehicle taxonomy tree with active ad counts per node
+   * GET /api/ads/taxonomy
+   *
+   * Canonical source for brand/model/generation pickers (useCarData).
+   */
+  static async getTaxonomy(req, res, next) {
+    try {
+      const taxonomy = await getTaxonomyTree(Ad, { includeEmpty: true });
+
+      res.status(200).json({
+        success: true,
+        data: taxonomy,
+      });
+    } catch (error) {
+      logger.error("Error in getTaxonomy", { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Renew ad for another publication period (owner only)
+   * POST /api/ads/:id/renew
+   *
+   * Allowed for expired and expiring ads, and for active ads within
+   * the expiry warning window.
+   */
+  static async renewAd(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const ad = await Ad.findById(id);
+      if (!ad) {
         return res.status(404).json({
           success: false,
           message: "Ad not found",
         });
       }
 
-      // Build filter for similar ads
-      const activeFilter = {
-        status: getActiveStatusFilter(),
-        _id: { $ne: id }, // Exclude current ad
-      };
-
-      // Priority search criteria (multi-level fallback)
-      const searchCriteria = [
-        // Level 1: Most specific match
-        {
-          ...activeFilter,
-          brand: currentAd.brand,
-          model: currentAd.model,
-          bodyType: currentAd.bodyType,
-        },
-        // Level 2: Same brand + model
-        {
-          ...activeFilter,
-          brand: currentAd.brand,
-          model: currentAd.model,
-        },
-        // Level 3: Same brand + body type
-        {
-          ...activeFilter,
-          brand: currentAd.brand,
-          bodyType: currentAd.bodyType,
-        },
-        // Level 4: Same brand only (fallback)
-        {
-          ...activeFilter,
-          brand: currentAd.brand,
-        },
-      ];
-
-      let similarAds = [];
-
-      // Try each search criteria until we have enough ads
-      for (const criteria of searchCriteria) {
-        if (similarAds.length >= limit) break;
-
-        const remainingLimit = limit - similarAds.length;
-        const foundAds = await Ad.find(criteria)
-          .limit(remainingLimit)
-          .sort({ createdAt: -1 })
-          .select(
-            "_id headline brand model year price mileage fuelType mainImage images listingType createdAt bodyType"
-          );
-
-        // Add ads that aren't already in the results
-        const existingIds = new Set(similarAds.map((ad) => ad._id.toString()));
-        const newAds = foundAds.filter(
-          (ad) => !existingIds.has(ad._id.toString())
+      if (!isAdOwner(ad, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only renew your own ads",
+        });
+      }
+
+      await renewAd(ad, req.user.userId);
+
+      logger.info("Ad renewed", { adId: id, expiresAt: ad.expiresAt });
+
+      res.status(200).json({
+        success: true,
+        message: "Ad renewed",
+        data: formatLifecycle(ad),
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return res.status(409).json({
+          success: false,
+          message: "Ad cannot be renewed yet",
+        });
+      }
+      logger.error("Error in renewAd", { error: error.message, adId: id });
+      next(error);
+    }
+  }
+
+  /**
+   * Mark ad as sold (owner only)
+   * POST /api/ads/:id/sold
+   */
+  static async markAdAsSold(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const ad = await Ad.findById(id);
+      if (!ad) {
+        return res.status(404).json({
+          success: false,
+          message: "Ad not found",
+        });
+      }
+
+      if (!isAdOwner(ad, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only mark your own ads as sold",
+        });
+      }
+
+      await transitionAd(ad, AD_STATUS.SOLD, {
+        actor: req.user.userId,
+        reason: "marked_sold",
+      });
+
+      logger.info("Ad marked as sold", { adId: id });
+
+      res.status(200).json({
+        success: true,
+        message: "Ad marked as sold",
+        data: formatLifecycle(ad),
+      });
+    } catch (error) {
+      if (error instanceof InvalidTransitionError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Error in markAdAsSold", { error: error.message, adId: id });
+      next(error);
+    }
+  }
+
+  /**
+   * Record ad view (called once per listing page load)
+   * POST /api/ads/:id/view
+   *
+   * Unique viewers per day (user ID or hashed IP + user agent); bots and
+   * the owner are ignored. Counters are written in batches, so totals
+   * update with a short delay. Also adds the ad to the view history of
+   * logged-in users.
+   */
+  static async trackView(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const ad = await Ad.findById(id).select("_id owner status price").lean();
+      if (!ad) {
+        return res.status(404).json({
+          success: false,
+          message: "Ad not found",
+        });
+      }
+
+      // View history of logged-in users (not counted for own ads)
+      if (req.user?.userId && !isAdOwner(ad, req.user)) {
+        recordRecentlyViewed(req.user.userId, ad).catch((error) =>
+          logger.warn("Recording recently viewed failed", {
+            error: error.message,
+            adId: id,
+          })
         );
+      }
+
+      const counted =
+        VISIBLE_STATUSES.includes(toLifecycleStatus(ad.status)) &&
+        adViewTracker.trackView(ad, {
+          userId: req.user?.userId,
+          ip: req.ip,
+          userAgent: req.get("User-Agent"),
+        });
+
+      res.status(202).json({ success: true, counted });
+    } catch (error) {
+      logger.error("Error in trackView", { error: error.message, adId: id });
+      next(error);
+    }
+  }
+
+  /**
+   * Get daily views and favourites of an ad (owner only)
+   * GET /api/ads/:id/stats?days=30
+   */
+  static async getAdStats(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const days = Math.min(
+        Math.max(parseInt(req.query.days) || 30, 1),
+        MAX_STATS_DAYS
+      );
+
+      const ad = await Ad.findById(id).select("_id owner views favorites");
+      if (!ad) {
+        return res.status(404).json({
+          success: false,
+          message: "Ad not found",
+        });
+      }
 
-        similarAds.push(...newAds);
+      if (!isAdOwner(ad, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only view stats of your own ads",
+        });
       }
 
-      // Limit final results
-      similarAds = similarAds.slice(0, limit);
+      const { series, totals } = await getDailyStatsSeries(ad._id, days);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          adId: ad._id,
+          views: ad.views || 0,
+          favorites: ad.favorites || 0,
+          days,
+          totals,
+          series,
+        },
+      });
+    } catch (error) {
+      logger.error("Error in getAdStats", { error: error.message, adId: id });
+      next(error);
+    }
+  }
+
+  /**
+   * Get market price estimate for an ad
+   * GET /api/ads/:id/valuation
+   *
+   * Uses comparable active and recently sold ads (brand, model, generation,
+   * year, mileage, fuel type) to compute p25 / median / p75 price band.
+   * Response lists IDs of all comparables used (comparableIds) and the
+   * closest ten in full (comparablesPreview).
+   */
+  static async getValuation(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const ad = await Ad.findById(id).select(
+        "_id brand model generation year mileage fuelType price"
+      );
+
+      if (!ad) {
+        return res.status(404).json({
+          success: false,
+          message: "Ad not found",
+        });
+      }
+
+      const valuation = await estimateMarketValue(ad);
+
+      logger.debug("Valuation computed", {
+        adId: id,
+        label: valuation.label,
+        comparablesUsed: valuation.comparablesUsed,
+      });
+
+      res.status(200).json({
+        success: true,
+        data: { adId: ad._id, ...valuation },
+      });
+    } catch (error) {
+      logger.error("Error in getValuation", { error: error.message, adId: id });
+      next(error);
+    }
+  }
+
+  /**
+   * Compare 2-4 ads side by side
+   * GET /api/ads/compare?ids=id1,id2,id3
+   * (register before /api/ads/:id routes)
+   *
+   * Returns normalised spec matrix with differing rows marked and best
+   * value per row highlighted (indexes into ads array). Ads that are not
+   * visible (pending, expired, sold...) are reported as missing.
+   */
+  static async compareAds(req, res, next) {
+    try {
+      const ids = parseCompareIds(req.query);
+
+      const found = await Ad.find({
+        _id: { $in: ids },
+        status: getVisibleStatusFilter(),
+      })
+        .select(COMPARE_FIELDS)
+        .lean();
+
+      // Keep requested order
+      const byId = new Map(found.map((ad) => [ad._id.toString(), ad]));
+      const ads = ids.map((id) => byId.get(id)).filter(Boolean);
+      const missing = ids.filter((id) => !byId.has(id));
+
+      if (ads.length < 2) {
+        return res.status(404).json({
+          success: false,
+          message: "Not enough ads found to compare",
+          missing,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: buildComparisonMatrix(ads),
+        missing,
+      });
+    } catch (error) {
+      if (error instanceof InvalidComparisonError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      logger.error("Error in compareAds", { error: error.message });
+      next(error);
+    }
+  }
+
+  /**
+   * Get similar ads ranked by weighted similarity score
+   * GET /api/ads/:id/similar
+   *
+   * Score weighs brand/model, price proximity, year, mileage, body type,
+   * fuel type, transmission and power. Each result includes matchReasons
+   * (codes) and matchExplanation (e.g. "same model, ±8% price").
+   */
+  static async getSimilarAds(req, res, next) {
+    const { id } = req.params;
+
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 6, 24);
+
+      // Get the current ad
+      const currentAd = await Ad.findById(id)
+        .select(
+          "_id brand model year price mileage power bodyType fuelType transmission"
+        )
+        .lean();
+      if (!currentAd) {
+        return res.status(404).json({
+          success: false,
+          message: "Ad not found",
+        });
+      }
+
+      // Score all candidates at once - best matches first
+      const results = await Ad.aggregate(
+        buildSimilarAdsPipeline(currentAd, {
+          limit,
+          projection: SIMILAR_AD_FIELDS,
+        })
+      );
+      const similarAds = withExplanation(currentAd, results);
 
       logger.debug("Similar ads found", {
         adId: id,
@@ -371,85 +863,4 @@ class AdController {
   }
 }
 
-/**
- * Calculate relevance score for search results
- * Multi-factor scoring algorithm:
- * - Brand + Model exact match: 100 points
- * - Brand match only: 50 points
- * - Price range match: 30 points
- * - Year range match: 20 points
- * - Other attributes: 5-10 points each
- *
- * @param {Object} ad - Advertisement object
- * @param {Object} filters - Search filters
- * @returns {number} - Match score (0-200+)
- */
-function calculateMatchScore(ad, filters) {
-  let score = 0;
-
-  const normalize = (str) =>
-    typeof str === "string" ? str.trim().toLowerCase() : "";
-
-  // Exact brand + model match (highest priority)
-  if (
-    filters.brand &&
-    filters.model &&
-    normalize(ad.brand) === normalize(filters.brand) &&
-    normalize(ad.model) === normalize(filters.model)
-  ) {
-    score += 100;
-  } else if (
-    filters.brand &&
-    normalize(ad.brand) === normalize(filters.brand)
-  ) {
-    score += 50;
-  }
-
-  // Price range matching
-  if (
-    filters.minPrice &&
-    filters.maxPrice &&
-    ad.price >= parseFloat(filters.minPrice) &&
-    ad.price <= parseFloat(filters.maxPrice)
-  ) {
-    score += 30;
-  } else if (filters.minPrice && ad.price >= parseFloat(filters.minPrice)) {
-    score += 15;
-  } else if (filters.maxPrice && ad.price <= parseFloat(filters.maxPrice)) {
-    score += 15;
-  }
-
-  // Year range matching
-  if (
-    filters.minYear &&
-    filters.maxYear &&
-    ad.year >= parseInt(filters.minYear) &&
-    ad.year <= parseInt(filters.maxYear)
-  ) {
-    score += 20;
-  }
-
-  // Additional attribute matching
-  if (
-    filters.fuelType &&
-    normalize(ad.fuelType) === normalize(filters.fuelType)
-  ) {
-    score += 10;
-  }
-  if (
-    filters.transmission &&
-    normalize(ad.transmission) === normalize(filters.transmission)
-  ) {
-    score += 5;
-  }
-  if (
-    filters.bodyType &&
-    normalize(ad.bodyType) === normalize(filters.bodyType)
-  ) {
-    score += 5;
-  }
-
-  return score;
-}
-
 export default AdController;
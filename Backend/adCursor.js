@@ -0,0 +1,189 @@
+/**
+ * Ad Cursor - Opaque keyset (cursor) pagination helpers
+ *
+ * Features:
+ * - Cursor encodes the sort key values of the last returned ad
+ * - Stable results when new ads arrive between requests
+ * - No $skip: plain listings seek on the stored sort field, so an index
+ *   on { <field>, _id } serves deep pages; search sorts by computed
+ *   score and still sorts the whole filtered set
+ * - Cursor is bound to the sort it was issued for
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Error thrown for malformed or mismatched cursors
+ * Controllers translate it into 400 response
+ */
+export class InvalidCursorError extends Error {
+  constructor(message = "Invalid cursor") {
+    super(message);
+    this.name = "InvalidCursorError";
+  }
+}
+
+/**
+ * Check if request asks for cursor mode
+ * An empty "cursor" parameter requests the first page
+ * @param {Object} query - Request query
+ * @returns {boolean} - Whether to use cursor pagination
+ */
+export const isCursorRequest = (query = {}) =>
+  query.cursor !== undefined || query.pagination === "cursor";
+
+/* ------------------------- Value serialization ------------------------- */
+
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  return value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.$d === "string") {
+      const date = new Date(value.$d);
+      if (Number.isNaN(date.getTime())) throw new InvalidCursorError();
+      return date;
+    }
+    if (typeof value.$o === "string") {
+      if (!mongoose.Types.ObjectId.isValid(value.$o)) {
+        throw new InvalidCursorError();
+      }
+      return new mongoose.Types.ObjectId(value.$o);
+    }
+    throw new InvalidCursorError();
+  }
+  return value;
+};
+
+/* ---------------------------- Encode / decode ---------------------------- */
+
+/**
+ * Encode cursor pointing after given document
+ * @param {Object} doc - Last document of the page
+ * @param {Array<{field: string, direction: number}>} sortKeys - Sort keys
+ * @param {string} sortSignature - Identifies the sort (e.g. "price:asc")
+ * @returns {string} - Opaque base64url cursor
+ */
+export function encodeCursor(doc, sortKeys, sortSignature) {
+  const payload = {
+    s: sortSignature,
+    v: sortKeys.map(({ field }) => serializeValue(doc[field])),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+/**
+ * Decode cursor into sort key values
+ * @param {string} cursor - Opaque cursor from previous response
+ * @param {Array<{field: string, direction: number}>} sortKeys - Sort keys
+ * @param {string} sortSignature - Expected sort signature
+ * @returns {Array|null} - Sort key values (null for first page)
+ * @throws {InvalidCursorError} - If cursor is malformed or issued for other sort
+ */
+export function decodeCursor(cursor, sortKeys, sortSignature) {
+  if (!cursor) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  if (
+    !payload ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== sortKeys.length
+  ) {
+    throw new InvalidCursorError();
+  }
+
+  if (payload.s !== sortSignature) {
+    throw new InvalidCursorError("Cursor does not match requested sorting");
+  }
+
+  return payload.v.map(deserializeValue);
+}
+
+/* ------------------------------ Keyset match ------------------------------ */
+
+/**
+ * Condition for values after cursor value in sort order
+ * Missing / null values sort before everything else, as in MongoDB.
+ * @returns {Object|null} - Condition (null when nothing comes after)
+ */
+const buildAfterCondition = (field, direction, value) => {
+  if (value === null || value === undefined) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [field]: { $gt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Build filter selecting documents strictly after cursor position
+ * Lexicographic comparison over all sort keys:
+ * (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+ *
+ * @param {Array<{field: string, direction: number}>} sortKeys - Sort keys
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} - MongoDB filter
+ */
+export function buildKeysetCondition(sortKeys, values) {
+  const branches = sortKeys
+    .map(({ field, direction }, index) => {
+      const after = buildAfterCondition(field, direction, values[index]);
+      if (!after) return null;
+
+      const equal = sortKeys
+        .slice(0, index)
+        .map((previous, i) => ({ [previous.field]: values[i] ?? null }));
+      return equal.length > 0 ? { $and: [...equal, after] } : after;
+    })
+    .filter(Boolean);
+
+  return { $or: branches };
+}
+
+/**
+ * Build $match stage selecting documents strictly after cursor position
+ * @param {Array<{field: string, direction: number}>} sortKeys - Sort keys
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} - $match stage
+ */
+export const buildKeysetMatchStage = (sortKeys, values) => ({
+  $match: buildKeysetCondition(sortKeys, values),
+});
+
+/**
+ * Split fetched documents (limit + 1) into page and next cursor
+ * @param {Array<Object>} docs - Documents fetched with limit + 1
+ * @param {number} limit - Page size
+ * @param {Array<{field: string, direction: number}>} sortKeys - Sort keys
+ * @param {string} sortSignature - Sort signature
+ * @returns {{items: Array<Object>, nextCursor: string|null, hasMore: boolean}}
+ */
+export function paginateWithCursor(docs, limit, sortKeys, sortSignature) {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  const nextCursor =
+    hasMore && items.length > 0
+      ? encodeCursor(items[items.length - 1], sortKeys, sortSignature)
+      : null;
+
+  return { items, nextCursor, hasMore };
+}
+
+export default {
+  InvalidCursorError,
+  isCursorRequest,
+  encodeCursor,
+  decodeCursor,
+  buildKeysetCondition,
+  buildKeysetMatchStage,
+  paginateWithCursor,
+};
@@ -0,0 +1,42 @@
+/**
+ * AdDailyStats Model - Daily counters of an ad
+ *
+ * One document per (ad, day): unique views and favourites added /
+ * removed that day. Written in batches by adViewTracker.
+ */
+
+import mongoose from "mongoose";
+
+const adDailyStatsSchema = new mongoose.Schema(
+  {
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ad",
+      required: true,
+    },
+    // "YYYY-MM-DD" in stats time zone
+    day: {
+      type: String,
+      required: true,
+    },
+    views: {
+      type: Number,
+      default: 0,
+    },
+    favoritesAdded: {
+      type: Number,
+      default: 0,
+    },
+    favoritesRemoved: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+adDailyStatsSchema.index({ ad: 1, day: 1 }, { unique: true });
+
+const AdDailyStats = mongoose.model("AdDailyStats", adDailyStatsSchema);
+
+export default AdDailyStats;
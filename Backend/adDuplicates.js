@@ -0,0 +1,468 @@
+/**
+ * Ad Duplicates - Duplicate and re-posted listing detection
+ *
+ * Features:
+ * - Fingerprint per ad: normalised VIN, perceptual image hashes (dHash),
+ *   description simhash, brand/model/year key with mileage
+ * - Weighted match score between fingerprints with explainable signals
+ * - Likely duplicates of the same owner (re-post) or other owners among
+ *   active and pending ads
+ * - Duplicate clusters (connected groups of matching ads) for admins
+ *
+ * Detection runs as part of moderation pre-checks (adModeration).
+ */
+
+import crypto from "crypto";
+import Ad from "../../models/listings/ad.js";
+import AdFingerprint from "./adFingerprint.js";
+import {
+  computeImageHash,
+  hammingDistance,
+  getHashBands,
+} from "./imageHash.js";
+import { foldDiacritics } from "./adTextSearch.js";
+import { toSlug } from "./vehicleTaxonomy.js";
+import {
+  AD_STATUS,
+  VISIBLE_STATUSES,
+  getStoredStatuses,
+} from "./adLifecycle.js";
+import logger from "../../utils/logger.js";
+
+// Ads compared against: published plus waiting for moderation
+const CANDIDATE_STATUSES = getStoredStatuses([
+  ...VISIBLE_STATUSES,
+  AD_STATUS.PENDING,
+]);
+
+// Signal weights - score is capped at 1
+const SIGNAL_WEIGHTS = {
+  vin: 1,
+  images: 0.6,
+  text: 0.3,
+  vehicle: 0.3,
+};
+
+// Minimum score to report a likely duplicate
+export const DUPLICATE_SCORE_THRESHOLD = 0.5;
+
+// Max differing bits - below band count, so matches always share a band
+const IMAGE_MAX_DISTANCE = 3;
+const TEXT_MAX_DISTANCE = 3;
+
+// Only the first images are hashed (main photos)
+const MAX_HASHED_IMAGES = 8;
+
+// Shorter descriptions are too generic to compare
+const MIN_TEXT_TOKENS = 15;
+const SHINGLE_SIZE = 3;
+
+// Same car re-posted: mileage equal or slightly higher
+const MILEAGE_TOLERANCE_KM = 3000;
+const MILEAGE_TOLERANCE_RATIO = 0.03;
+
+const MAX_CANDIDATES = 200;
+
+/* ---- Fingerprint ---- */
+
+/**
+ * Normalise VIN: uppercase, no separators, 17 chars without I/O/Q
+ * @param {string} vin - Raw VIN
+ * @returns {string|null} - VIN or null when invalid
+ */
+export function normalizeVin(vin) {
+  const value = String(vin ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  return /^[A-HJ-NPR-Z0-9]{17}$/.test(value) ? value : null;
+}
+
+/**
+ * Normalise description: folded, no links or phone numbers, words only
+ * @param {string} text - Description
+ * @returns {Array<string>} - Tokens
+ */
+export function normalizeDescription(text) {
+  return foldDiacritics(text || "")
+    .replace(/https?:\/\/\S+|www\.\S+/g, " ")
+    .replace(/\+?\d[\d\s-]{7,}\d/g, " ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((token) => token.length > 1);
+}
+
+/**
+ * 64-bit simhash of word shingles
+ * @param {string} text - Description
+ * @returns {string|null} - 16 hex chars or null for short text
+ */
+export function computeTextHash(text) {
+  const tokens = normalizeDescription(text);
+  if (tokens.length < MIN_TEXT_TOKENS) return null;
+
+  const weights = new Array(64).fill(0);
+  for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+    const shingle = tokens.slice(i, i + SHINGLE_SIZE).join(" ");
+    const digest = crypto.createHash("md5").update(shingle).digest();
+    const hash = digest.readBigUInt64BE(0);
+
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(63 - bit)) & 1n ? 1 : -1;
+    }
+  }
+
+  const hash = weights.reduce(
+    (result, weight) => (result << 1n) | (weight > 0 ? 1n : 0n),
+    0n
+  );
+  return hash.toString(16).padStart(16, "0");
+}
+
+/**
+ * Vehicle key "brandId|modelId|year"
+ * @param {Object} ad - Ad
+ * @returns {string|null} - Key or null when data is incomplete
+ */
+const buildVehicleKey = (ad) => {
+  const brand = ad.brandId || toSlug(ad.brand);
+  const model = ad.modelId || toSlug(ad.model);
+  return brand && model && ad.year ? `${brand}|${model}|${ad.year}` : null;
+};
+
+/**
+ * Build fingerprint of an ad
+ * @param {Object} ad - Ad
+ * @param {Object} [previous] - Stored fingerprint (image hashes reused)
+ * @returns {Promise<Object>} - Fingerprint fields
+ */
+export async function buildFingerprint(ad, previous) {
+  const knownHashes = new Map(
+    (previous?.images || []).map((image) => [image.source, image.hash])
+  );
+
+  // Sequential - keeps memory and outgoing requests low
+  const images = [];
+  for (const source of (ad.images || [])
+    .filter(Boolean)
+    .slice(0, MAX_HASHED_IMAGES)) {
+    const hash = knownHashes.get(source) ?? (await computeImageHash(source));
+    if (hash) images.push({ source, hash });
+  }
+
+  const textHash = computeTextHash(ad.description);
+
+  return {
+    ad: ad._id,
+    owner: ad.owner,
+    vin: normalizeVin(ad.vin),
+    images,
+    imageHashBands: [
+      ...new Set(images.flatMap((image) => getHashBands(image.hash))),
+    ],
+    textHash,
+    textHashBands: textHash ? getHashBands(textHash) : [],
+    vehicleKey: buildVehicleKey(ad),
+    mileage: typeof ad.mileage === "number" ? ad.mileage : undefined,
+  };
+}
+
+/* ---- Matching ---- */
+
+const isMileageClose = (a, b) =>
+  typeof a === "number" &&
+  typeof b === "number" &&
+  Math.abs(a - b) <=
+    Math.max(MILEAGE_TOLERANCE_KM, Math.max(a, b) * MILEAGE_TOLERANCE_RATIO);
+
+/**
+ * Compare two fingerprints
+ * @param {Object} a - Fingerprint
+ * @param {Object} b - Fingerprint
+ * @returns {{score: number, signals: Object}} - Score (0-1) and matched signals
+ */
+export function compareFingerprints(a, b) {
+  const signals = {};
+  let score = 0;
+
+  if (a.vin && a.vin === b.vin) {
+    signals.vin = true;
+    score += SIGNAL_WEIGHTS.vin;
+  }
+
+  if (a.images.length > 0 && b.images.length > 0) {
+    const matched = a.images.filter((image) =>
+      b.images.some(
+        (other) => hammingDistance(image.hash, other.hash) <= IMAGE_MAX_DISTANCE
+      )
+    ).length;
+
+    if (matched > 0) {
+      const ratio = Math.min(
+        1,
+        matched / Math.min(a.images.length, b.images.length)
+      );
+      signals.images = { matched, ratio: Math.round(ratio * 100) / 100 };
+      score += SIGNAL_WEIGHTS.images * ratio;
+    }
+  }
+
+  if (a.textHash && b.textHash) {
+    const distance = hammingDistance(a.textHash, b.textHash);
+    if (distance <= TEXT_MAX_DISTANCE) {
+      signals.text = { distance };
+      score += SIGNAL_WEIGHTS.text;
+    }
+  }
+
+  if (
+    a.vehicleKey &&
+    a.vehicleKey === b.vehicleKey &&
+    isMileageClose(a.mileage, b.mileage)
+  ) {
+    signals.vehicle = { mileageDifference: Math.abs(a.mileage - b.mileage) };
+    score += SIGNAL_WEIGHTS.vehicle;
+  }
+
+  return { score: Math.min(1, Math.round(score * 100) / 100), signals };
+}
+
+/**
+ * Stored fingerprints sharing at least one signal
+ * @param {Object} fingerprint - Fingerprint
+ * @returns {Promise<Array<Object>>} - Candidate fingerprints
+ */
+const findCandidates = (fingerprint) => {
+  const conditions = [];
+
+  if (fingerprint.vin) conditions.push({ vin: fingerprint.vin });
+  if (fingerprint.imageHashBands.length > 0) {
+    conditions.push({ imageHashBands: { $in: fingerprint.imageHashBands } });
+  }
+  if (fingerprint.textHashBands.length > 0) {
+    conditions.push({ textHashBands: { $in: fingerprint.textHashBands } });
+  }
+  if (fingerprint.vehicleKey && typeof fingerprint.mileage === "number") {
+    const tolerance = Math.max(
+      MILEAGE_TOLERANCE_KM,
+      fingerprint.mileage * MILEAGE_TOLERANCE_RATIO
+    );
+    conditions.push({
+      vehicleKey: fingerprint.vehicleKey,
+      mileage: {
+        $gte: fingerprint.mileage - tolerance,
+        $lte: fingerprint.mileage + tolerance,
+      },
+    });
+  }
+
+  if (conditions.length === 0) return [];
+
+  return AdFingerprint.find({ ad: { $ne: fingerprint.ad }, $or: conditions })
+    .select("-matches")
+    .limit(MAX_CANDIDATES)
+    .lean();
+};
+
+/**
+ * Find likely duplicates among active and pending ads
+ * @param {Object} fingerprint - Fingerprint
+ * @returns {Promise<Array<Object>>} - [{ ad, owner, sameOwner, score, signals }]
+ */
+const findMatches = async (fingerprint) => {
+  const scored = (await findCandidates(fingerprint))
+    .map((candidate) => ({
+      candidate,
+      ...compareFingerprints(fingerprint, candidate),
+    }))
+    .filter(({ score }) => score >= DUPLICATE_SCORE_THRESHOLD);
+
+  if (scored.length === 0) return [];
+
+  const liveAds = await Ad.find({
+    _id: { $in: scored.map(({ candidate }) => candidate.ad) },
+    status: { $in: CANDIDATE_STATUSES },
+  })
+    .select("_id owner")
+    .lean();
+  const liveById = new Map(liveAds.map((ad) => [ad._id.toString(), ad]));
+
+  return scored
+    .filter(({ candidate }) => liveById.has(candidate.ad.toString()))
+    .map(({ candidate, score, signals }) => {
+      const owner = liveById.get(candidate.ad.toString()).owner;
+      return {
+        ad: candidate.ad,
+        owner,
+        sameOwner: owner?.toString() === fingerprint.owner?.toString(),
+        score,
+        signals,
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Fingerprint ad, store it and find likely duplicates
+ * @param {Object} ad - Ad
+ * @returns {Promise<Array<Object>>} - Matches, best first
+ */
+export async function findDuplicateListings(ad) {
+  const previous = await AdFingerprint.findOne({ ad: ad._id })
+    .select("images")
+    .lean();
+  const fingerprint = await buildFingerprint(ad, previous);
+  const matches = await findMatches(fingerprint);
+
+  await AdFingerprint.updateOne(
+    { ad: ad._id },
+    { $set: { ...fingerprint, matches, checkedAt: new Date() } },
+    { upsert: true }
+  );
+
+  return matches;
+}
+
+/* ---- Clusters ---- */
+
+/**
+ * Group matching ads into clusters (connected components)
+ * Only active and pending ads are included.
+ *
+ * @param {Object} [options] - { minScore, owner }
+ * @returns {Promise<Array<Object>>} - Clusters, strongest first:
+ *   { ads, size, owners, maxScore, signals, links }
+ */
+export async function getDuplicateClusters({
+  minScore = DUPLICATE_SCORE_THRESHOLD,
+  owner,
+} = {}) {
+  const fingerprints = await AdFingerprint.find({
+    "matches.score": { $gte: minScore },
+  })
+    .select("ad matches")
+    .lean();
+
+  const links = fingerprints.flatMap((fingerprint) =>
+    fingerprint.matches
+      .filter((match) => match.score >= minScore)
+      .map((match) => ({
+        ads: [fingerprint.ad.toString(), match.ad.toString()],
+        score: match.score,
+        signals: match.signals,
+      }))
+  );
+
+  const adIds = [...new Set(links.flatMap((link) => link.ads))];
+  const ads = await Ad.find({
+    _id: { $in: adIds },
+    status: { $in: CANDIDATE_STATUSES },
+  })
+    .select(
+      "_id brand model year mileage price headline mainImage images owner status createdAt"
+    )
+    .populate("owner", "name lastName email")
+    .lean();
+  const adsById = new Map(ads.map((ad) => [ad._id.toString(), ad]));
+
+  // Union-find over links between live ads
+  const parent = new Map();
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const liveLinks = links.filter((link) =>
+    link.ads.every((id) => adsById.has(id))
+  );
+  for (const link of liveLinks) {
+    for (const id of link.ads) if (!parent.has(id)) parent.set(id, id);
+    parent.set(find(link.ads[0]), find(link.ads[1]));
+  }
+
+  const clusters = new Map();
+  for (const link of liveLinks) {
+    const root = find(link.ads[0]);
+    if (!clusters.has(root)) {
+      clusters.set(root, { adIds: new Set(), links: [] });
+    }
+    const cluster = clusters.get(root);
+    link.ads.forEach((id) => cluster.adIds.add(id));
+    cluster.links.push(link);
+  }
+
+  return [...clusters.values()]
+    .map(({ adIds: ids, links: clusterLinks }) => {
+      const clusterAds = [...ids]
+        .map((id) => adsById.get(id))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+      const owners = new Set(
+        clusterAds.map((ad) => (ad.owner?._id || ad.owner)?.toString())
+      );
+
+      return {
+        ads: clusterAds,
+        size: clusterAds.length,
+        owners: owners.size,
+        maxScore: Math.max(...clusterLinks.map((link) => link.score)),
+        signals: [
+          ...new Set(clusterLinks.flatMap((link) => Object.keys(link.signals))),
+        ],
+        links: clusterLinks,
+      };
+    })
+    .filter(
+      (cluster) =>
+        !owner ||
+        cluster.ads.some(
+          (ad) => (ad.owner?._id || ad.owner)?.toString() === owner
+        )
+    )
+    .sort((a, b) => b.maxScore - a.maxScore || b.size - a.size);
+}
+
+/**
+ * Fingerprint active and pending ads saved before detection existed
+ * Oldest first, so each ad is matched against the ones before it.
+ *
+ * @returns {Promise<number>} - Number of ads fingerprinted
+ */
+export async function backfillAdFingerprints() {
+  const fingerprinted = await AdFingerprint.distinct("ad");
+  const cursor = Ad.find({
+    _id: { $nin: fingerprinted },
+    status: { $in: CANDIDATE_STATUSES },
+  })
+    .sort({ createdAt: 1 })
+    .cursor();
+
+  let processed = 0;
+  for await (const ad of cursor) {
+    try {
+      await findDuplicateListings(ad);
+      processed++;
+    } catch (error) {
+      logger.error("Ad fingerprint backfill error", {
+        error: error.message,
+        adId: ad._id,
+      });
+    }
+  }
+
+  logger.info("Ad fingerprint backfill completed", { processed });
+  return processed;
+}
+
+export default {
+  DUPLICATE_SCORE_THRESHOLD,
+  normalizeVin,
+  normalizeDescription,
+  computeTextHash,
+  buildFingerprint,
+  compareFingerprints,
+  findDuplicateListings,
+  getDuplicateClusters,
+  backfillAdFingerprints,
+};
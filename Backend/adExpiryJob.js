@@ -0,0 +1,177 @@
+/**
+ * Ad Expiry Job - Scheduled expiry of ads and expiry warnings
+ *
+ * Features:
+ * - Active ads expiring within EXPIRY_WARNING_DAYS move to "expiring"
+ *   and their owners get a "listing_expiring" notification
+ * - Ads past expiresAt move to "expired"
+ * - Transitions go through adLifecycle (history + timestamps)
+ * - Ads still stored under legacy statuses are included
+ * - No overlapping runs, errors isolated per ad
+ */
+
+import Ad from "../../models/listings/ad.js";
+import {
+  AD_STATUS,
+  EXPIRY_WARNING_DAYS,
+  getStoredStatuses,
+  transitionAd,
+} from "./adLifecycle.js";
+import { notifyUser } from "./userNotifications.js";
+import logger from "../../utils/logger.js";
+
+// Default interval between runs (1 hour)
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * AdExpiryJob class - schedules and runs ad expiry
+ * @class
+ */
+class AdExpiryJob {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start periodic runs
+   * @param {number} intervalMs - Interval between runs
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    if (this.timer) {
+      logger.info("Ad expiry job already started");
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) =>
+        logger.error("Ad expiry run failed", { error: error.message })
+      );
+    }, intervalMs);
+
+    logger.info("Ad expiry job started", { intervalMs });
+  }
+
+  /**
+   * Stop periodic runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Ad expiry job stopped");
+    }
+  }
+
+  /**
+   * Expire overdue ads and warn about upcoming expiry once
+   * @returns {Promise<{expired: number, warned: number}>} - Run summary
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn("Ad expiry run skipped - previous run in progress");
+      return { expired: 0, warned: 0 };
+    }
+
+    this.isRunning = true;
+    const now = new Date();
+
+    try {
+      // Expire first - overdue ads must not get a warning
+      const expired = await this.processAds(
+        {
+          status: {
+            $in: getStoredStatuses([AD_STATUS.ACTIVE, AD_STATUS.EXPIRING]),
+          },
+          expiresAt: { $lte: now },
+        },
+        (ad) => this.expireAd(ad)
+      );
+
+      const warned = await this.processAds(
+        {
+          status: { $in: getStoredStatuses([AD_STATUS.ACTIVE]) },
+          expiresAt: {
+            $gt: now,
+            $lte: new Date(now.getTime() + EXPIRY_WARNING_DAYS * DAY_MS),
+          },
+        },
+        (ad) => this.warnAd(ad, now)
+      );
+
+      logger.info("Ad expiry run completed", { expired, warned });
+      return { expired, warned };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Apply handler to every ad matching filter
+   * @param {Object} filter - MongoDB filter
+   * @param {Function} handler - Async handler per ad
+   * @returns {Promise<number>} - Number of successfully handled ads
+   */
+  async processAds(filter, handler) {
+    const cursor = Ad.find(filter).cursor();
+    let handled = 0;
+
+    for await (const ad of cursor) {
+      try {
+        await handler(ad);
+        handled++;
+      } catch (error) {
+        logger.error("Ad expiry error", {
+          error: error.message,
+          adId: ad._id,
+        });
+      }
+    }
+
+    return handled;
+  }
+
+  /**
+   * Move ad to "expired"
+   * @param {Object} ad - Ad document
+   */
+  async expireAd(ad) {
+    await transitionAd(ad, AD_STATUS.EXPIRED, { reason: "expired" });
+  }
+
+  /**
+   * Move ad to "expiring" and notify owner
+   * @param {Object} ad - Ad document
+   * @param {Date} now - Run start time
+   */
+  async warnAd(ad, now) {
+    await transitionAd(ad, AD_STATUS.EXPIRING, { reason: "expiry_warning" });
+
+    const daysLeft = Math.max(
+      1,
+      Math.ceil((ad.expiresAt.getTime() - now.getTime()) / DAY_MS)
+    );
+    const adTitle = ad.headline || `${ad.brand} ${ad.model}`;
+
+    await notifyUser(ad.owner, {
+      type: "listing_expiring",
+      title: `Listing expires soon: ${adTitle}`,
+      message:
+        daysLeft === 1
+          ? `Your listing "${adTitle}" expires tomorrow. Renew it to keep it visible.`
+          : `Your listing "${adTitle}" expires in ${daysLeft} days. Renew it to keep it visible.`,
+      link: `/listing/${ad._id}`,
+      relatedListing: ad._id,
+      metadata: {
+        expiresAt: ad.expiresAt,
+        daysLeft,
+      },
+    });
+  }
+}
+
+// Export job instance as singleton
+const adExpiryJob = new AdExpiryJob();
+export default adExpiryJob;
@@ -0,0 +1,228 @@
+/**
+ * Ad Facets - Per-value counts for the search form
+ *
+ * Features:
+ * - Counts per brand, model, fuel type, body type, transmission, region
+ * - Brand / model counted per canonical taxonomy node - aliases ("VW")
+ *   of ads not backfilled yet are merged into it
+ * - Price / year / mileage buckets
+ * - Each facet ignores its own filter ("disjunctive" faceting), so every
+ *   checkbox shows how many results selecting it would add
+ * - Single aggregation: shared $match, then one $facet branch per facet
+ * - Honours geo-radius search (counts only ads inside the radius)
+ */
+
+import { buildSearchFilter } from "./adSearchFilters.js";
+import { buildGeoNearStage } from "./adGeo.js";
+import { resolveVehicleWithIndex } from "./vehicleTaxonomy.js";
+
+// Upper bound used as the last bucket boundary ("and more")
+const OPEN_END = Number.MAX_SAFE_INTEGER;
+
+// Maximum number of values returned per value facet
+const MAX_FACET_VALUES = 100;
+
+/**
+ * Vehicle facets: counts per taxonomy node
+ * Grouped by stored ID and raw values, merged after resolution
+ */
+const VEHICLE_FACETS = {
+  brand: { field: "brand", groupBy: { brandId: "$brandId", brand: "$brand" } },
+  model: {
+    field: "model",
+    groupBy: {
+      brandId: "$brandId",
+      brand: "$brand",
+      modelId: "$modelId",
+      model: "$model",
+    },
+  },
+};
+
+/**
+ * Value facets: counts per distinct field value
+ * key = facet name and search filter key, field = Ad field
+ */
+const VALUE_FACETS = {
+  fuelType: "fuelType",
+  bodyType: "bodyType",
+  transmission: "transmission",
+  region: "region",
+};
+
+/**
+ * Range facets: counts per bucket
+ * key = facet name, Ad field and search range filter key
+ */
+const RANGE_FACETS = {
+  price: [0, 10000, 20000, 30000, 50000, 75000, 100000, 150000, 200000, 300000],
+  year: [1990, 2000, 2005, 2010, 2013, 2016, 2018, 2020, 2022, 2024],
+  mileage: [0, 25000, 50000, 100000, 150000, 200000, 250000, 300000],
+};
+
+const ALL_FACET_KEYS = [
+  ...Object.keys(VEHICLE_FACETS),
+  ...Object.keys(VALUE_FACETS),
+  ...Object.keys(RANGE_FACETS),
+];
+
+/**
+ * Build facet branch for a value facet
+ * @param {string} field - Ad field
+ * @returns {Array<Object>} - Sub-pipeline stages (after facet $match)
+ */
+const valueFacetStages = (field) => [
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: MAX_FACET_VALUES },
+];
+
+/**
+ * Build facet branch for a vehicle facet (raw groups, merged later)
+ * @param {Object} config - VEHICLE_FACETS entry
+ * @returns {Array<Object>} - Sub-pipeline stages (after facet $match)
+ */
+const vehicleFacetStages = ({ field, groupBy }) => [
+  { $match: { [field]: { $nin: [null, ""] } } },
+  { $group: { _id: groupBy, count: { $sum: 1 } } },
+];
+
+/**
+ * Build facet branch for a range facet
+ * @param {string} field - Ad field
+ * @param {Array<number>} boundaries - Lower bucket boundaries
+ * @returns {Array<Object>} - Sub-pipeline stages (after facet $match)
+ */
+const rangeFacetStages = (field, boundaries) => [
+  {
+    $bucket: {
+      groupBy: `$${field}`,
+      boundaries: [...boundaries, OPEN_END],
+      default: "other",
+      output: { count: { $sum: 1 } },
+    },
+  },
+];
+
+/**
+ * Build facet aggregation pipeline
+ * @param {Object} query - Search query (same as searchAds)
+ * @param {Object|null} geo - Geo search parameters (see adGeo.resolveGeoQuery)
+ * @param {Object|null} taxonomy - Taxonomy index for brand / model
+ * @returns {Array<Object>} - Aggregation pipeline
+ */
+export function buildFacetPipeline(query = {}, geo = null, taxonomy = null) {
+  // Location text that served as geo center is not a name filter
+  const alwaysExclude = geo?.fromLocation ? ["location"] : [];
+  const filterWithout = (keys = []) =>
+    buildSearchFilter(query, {
+      exclude: [...alwaysExclude, ...keys],
+      taxonomy,
+    });
+
+  // Constraints shared by every facet - applied once, can use indexes
+  const baseFilter = filterWithout(ALL_FACET_KEYS);
+
+  const facets = {
+    total: [{ $match: filterWithout() }, { $count: "count" }],
+  };
+
+  Object.entries(VEHICLE_FACETS).forEach(([key, config]) => {
+    facets[key] = [
+      { $match: filterWithout([key]) },
+      ...vehicleFacetStages(config),
+    ];
+  });
+
+  Object.entries(VALUE_FACETS).forEach(([key, field]) => {
+    facets[key] = [
+      { $match: filterWithout([key]) },
+      ...valueFacetStages(field),
+    ];
+  });
+
+  Object.entries(RANGE_FACETS).forEach(([field, boundaries]) => {
+    facets[field] = [
+      { $match: filterWithout([field]) },
+      ...rangeFacetStages(field, boundaries),
+    ];
+  });
+
+  const firstStage = geo
+    ? buildGeoNearStage(geo, baseFilter)
+    : { $match: baseFilter };
+
+  return [firstStage, { $facet: facets }];
+}
+
+/**
+ * Merge raw vehicle groups into canonical values
+ * @param {Array<Object>} groups - [{ _id: { brandId, brand, ... }, count }]
+ * @param {string} key - "brand" | "model"
+ * @param {Object|null} taxonomy - Taxonomy index
+ * @returns {Array<{value: string, count: number}>}
+ */
+const mergeVehicleGroups = (groups, key, taxonomy) => {
+  const merged = new Map();
+
+  for (const { _id, count } of groups) {
+    const vehicle = resolveVehicleWithIndex(taxonomy || { brands: new Map() }, {
+      brand: _id.brand,
+      model: _id.model,
+    });
+    // Ads saved through the taxonomy plugin already carry their ID
+    const id = _id[`${key}Id`] || vehicle[`${key}Id`];
+    if (!id) continue;
+
+    const entry = merged.get(id) || { value: vehicle[key] || id, count: 0 };
+    entry.count += count;
+    merged.set(id, entry);
+  }
+
+  return [...merged.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, "pl"))
+    .slice(0, MAX_FACET_VALUES);
+};
+
+/**
+ * Format raw $facet output into response shape
+ * @param {Object} result - First (only) document of facet aggregation
+ * @param {Object|null} taxonomy - Taxonomy index (brand / model merging)
+ * @returns {{total: number, facets: Object}} - Formatted counts
+ */
+export function formatFacetResult(result = {}, taxonomy = null) {
+  const facets = {};
+
+  Object.keys(VEHICLE_FACETS).forEach((key) => {
+    facets[key] = mergeVehicleGroups(result[key] || [], key, taxonomy);
+  });
+
+  Object.keys(VALUE_FACETS).forEach((key) => {
+    facets[key] = (result[key] || []).map(({ _id, count }) => ({
+      value: _id,
+      count,
+    }));
+  });
+
+  Object.entries(RANGE_FACETS).forEach(([field, boundaries]) => {
+    const counts = new Map(
+      (result[field] || []).map(({ _id, count }) => [_id, count])
+    );
+    facets[field] = boundaries.map((from, index) => ({
+      from,
+      to: index < boundaries.length - 1 ? boundaries[index + 1] : null,
+      count: counts.get(from) || 0,
+    }));
+  });
+
+  return {
+    total: result.total?.[0]?.count || 0,
+    facets,
+  };
+}
+
+export default {
+  buildFacetPipeline,
+  formatFacetResult,
+};
@@ -0,0 +1,83 @@
+/**
+ * AdFingerprint Model - Duplicate detection signals of an ad
+ *
+ * One document per ad: normalised VIN, perceptual image hashes,
+ * description simhash and vehicle key, plus the likely duplicates
+ * found when the ad was last checked.
+ */
+
+import mongoose from "mongoose";
+
+const adFingerprintSchema = new mongoose.Schema(
+  {
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ad",
+      required: true,
+      unique: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    vin: {
+      type: String,
+      index: true,
+    },
+    // Source kept so unchanged images are not hashed again
+    images: {
+      type: [
+        {
+          _id: false,
+          source: String,
+          hash: String,
+        },
+      ],
+      default: [],
+    },
+    imageHashBands: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    textHash: {
+      type: String,
+    },
+    textHashBands: {
+      type: [String],
+      default: [],
+      index: true,
+    },
+    // "brandId|modelId|year"
+    vehicleKey: {
+      type: String,
+    },
+    mileage: {
+      type: Number,
+    },
+    matches: {
+      type: [
+        {
+          _id: false,
+          ad: { type: mongoose.Schema.Types.ObjectId, ref: "Ad" },
+          owner: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+          sameOwner: Boolean,
+          score: Number,
+          signals: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      default: [],
+    },
+    checkedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+adFingerprintSchema.index({ vehicleKey: 1, mileage: 1 });
+
+const AdFingerprint = mongoose.model("AdFingerprint", adFingerprintSchema);
+
+export default AdFingerprint;
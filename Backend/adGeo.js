@@ -0,0 +1,243 @@
+/**
+ * Ad Geo - Geo-radius search around a city or coordinates
+ *
+ * Features:
+ * - Ads carry a GeoJSON point (geoPoint) with a 2dsphere index
+ * - Center from lat/lng or a city name resolved via offline gazetteer
+ * - Radius filtering ($geoNear maxDistance) and sorting by distance
+ * - Distance (km) returned with every result
+ *
+ * Setup: register plugin on Ad schema - AdSchema.plugin(adGeoPlugin)
+ */
+
+import { findCity } from "./polishCities.js";
+import logger from "../../utils/logger.js";
+
+// Largest radius accepted from clients (whole country fits in ~800 km)
+const MAX_RADIUS_KM = 1000;
+
+/**
+ * Error thrown for unresolvable or malformed geo queries
+ * Controllers translate it into 400 response
+ */
+export class InvalidGeoQueryError extends Error {
+  constructor(message = "Invalid location query") {
+    super(message);
+    this.name = "InvalidGeoQueryError";
+  }
+}
+
+/**
+ * Build GeoJSON point (GeoJSON order is [lng, lat])
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{type: string, coordinates: Array<number>}} - GeoJSON point
+ */
+export const toGeoPoint = (lat, lng) => ({
+  type: "Point",
+  coordinates: [lng, lat],
+});
+
+const isValidCoordinate = (lat, lng) =>
+  Number.isFinite(lat) &&
+  Number.isFinite(lng) &&
+  Math.abs(lat) <= 90 &&
+  Math.abs(lng) <= 180;
+
+/**
+ * Resolve geo point for an ad
+ * Explicit coordinates win, otherwise the ad's city is looked up
+ * @param {Object} ad - Ad document or plain data
+ * @returns {Object|null} - GeoJSON point or null when location is unknown
+ */
+export function resolveAdGeoPoint(ad) {
+  const lat = parseFloat(ad.latitude ?? ad.coordinates?.lat);
+  const lng = parseFloat(ad.longitude ?? ad.coordinates?.lng);
+  if (isValidCoordinate(lat, lng)) return toGeoPoint(lat, lng);
+
+  const city = findCity(ad.city);
+  return city ? toGeoPoint(city.lat, city.lng) : null;
+}
+
+/**
+ * Resolve search center and radius from query
+ * Accepts ?lat=&lng= or a city name (?nearCity= or ?location=) and ?radiusKm=
+ *
+ * @param {Object} query - Request query
+ * @returns {{point: Object, radiusKm: number|null, fromLocation: boolean}|null}
+ *   Geo search parameters or null when no geo search was requested
+ * @throws {InvalidGeoQueryError} - If location cannot be resolved
+ */
+export function resolveGeoQuery(query = {}) {
+  const hasCoordinates = query.lat !== undefined || query.lng !== undefined;
+  const cityName = query.nearCity || (query.radiusKm ? query.location : null);
+
+  if (!hasCoordinates && !cityName) {
+    if (query.radiusKm) {
+      throw new InvalidGeoQueryError("radiusKm requires lat/lng or a city");
+    }
+    return null;
+  }
+
+  let radiusKm = null;
+  if (query.radiusKm !== undefined && query.radiusKm !== "") {
+    radiusKm = parseFloat(query.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+      throw new InvalidGeoQueryError("radiusKm must be a positive number");
+    }
+    radiusKm = Math.min(radiusKm, MAX_RADIUS_KM);
+  }
+
+  if (hasCoordinates) {
+    const lat = parseFloat(query.lat);
+    const lng = parseFloat(query.lng);
+    if (!isValidCoordinate(lat, lng)) {
+      throw new InvalidGeoQueryError("Invalid lat/lng coordinates");
+    }
+    return { point: toGeoPoint(lat, lng), radiusKm, fromLocation: false };
+  }
+
+  const city = findCity(cityName);
+  if (!city) {
+    throw new InvalidGeoQueryError(`Unknown city: ${cityName}`);
+  }
+
+  return {
+    point: toGeoPoint(city.lat, city.lng),
+    radiusKm,
+    // Location text was used as center - don't also filter on it by name
+    fromLocation: !query.nearCity,
+  };
+}
+
+/**
+ * Build $geoNear stage (must be first stage of pipeline)
+ * Outputs "distance" in kilometres, sorted nearest first
+ *
+ * @param {Object} geo - Result of resolveGeoQuery
+ * @param {Object} filter - Filter applied together with geo search
+ * @returns {Object} - $geoNear stage
+ */
+export function buildGeoNearStage(geo, filter) {
+  return {
+    $geoNear: {
+      near: geo.point,
+      key: "geoPoint",
+      distanceField: "distance",
+      distanceMultiplier: 0.001, // metres -> km
+      spherical: true,
+      query: filter,
+      ...(geo.radiusKm ? { maxDistance: geo.radiusKm * 1000 } : {}),
+    },
+  };
+}
+
+/**
+ * Stage rounding distance to 0.1 km for display
+ * @returns {Object} - $addFields stage
+ */
+export const buildDistanceRoundingStage = () => ({
+  $addFields: { distance: { $round: ["$distance", 1] } },
+});
+
+/**
+ * Extend count filter with geo constraint matching $geoNear semantics
+ * @param {Object} filter - Base filter
+ * @param {Object|null} geo - Result of resolveGeoQuery
+ * @returns {Object} - Filter for countDocuments
+ */
+export function applyGeoCountFilter(filter, geo) {
+  if (!geo) return filter;
+
+  const geoConstraint = geo.radiusKm
+    ? {
+        $geoWithin: {
+          $centerSphere: [geo.point.coordinates, geo.radiusKm / 6378.1],
+        },
+      }
+    : { $exists: true };
+
+  return { ...filter, geoPoint: geoConstraint };
+}
+
+/**
+ * Mongoose plugin adding geoPoint to Ad schema
+ * - GeoJSON point field with 2dsphere index
+ * - Filled on save from coordinates or city (gazetteer)
+ *
+ * @param {Object} schema - Mongoose schema
+ */
+export function adGeoPlugin(schema) {
+  schema.add({
+    geoPoint: {
+      type: { type: String, enum: ["Point"] },
+      coordinates: { type: [Number], default: undefined },
+    },
+  });
+
+  schema.index({ geoPoint: "2dsphere" });
+
+  schema.pre("save", function (next) {
+    if (
+      this.isNew ||
+      this.isModified("city") ||
+      this.isModified("latitude") ||
+      this.isModified("longitude") ||
+      !this.geoPoint?.coordinates?.length
+    ) {
+      this.geoPoint = resolveAdGeoPoint(this) || undefined;
+    }
+    next();
+  });
+}
+
+/**
+ * Backfill geoPoint for ads saved before the plugin was registered
+ * @param {Object} Ad - Ad model
+ * @param {number} batchSize - Number of ads updated per bulk write
+ * @returns {Promise<number>} - Number of ads updated
+ */
+export async function backfillAdGeoPoints(Ad, batchSize = 500) {
+  const cursor = Ad.find({ "geoPoint.coordinates": { $exists: false } })
+    .select("_id city latitude longitude coordinates")
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const ad of cursor) {
+    const geoPoint = resolveAdGeoPoint(ad);
+    if (!geoPoint) continue;
+
+    operations.push({
+      updateOne: { filter: { _id: ad._id }, update: { $set: { geoPoint } } },
+    });
+
+    if (operations.length >= batchSize) {
+      await Ad.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Ad.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  logger.info("Ad geo points backfilled", { updated });
+  return updated;
+}
+
+export default {
+  InvalidGeoQueryError,
+  toGeoPoint,
+  resolveAdGeoPoint,
+  resolveGeoQuery,
+  buildGeoNearStage,
+  buildDistanceRoundingStage,
+  applyGeoCountFilter,
+  adGeoPlugin,
+  backfillAdGeoPoints,
+};
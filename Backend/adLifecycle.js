@@ -0,0 +1,419 @@
+/**
+ * Ad Lifecycle - Explicit ad state machine
+ *
+ * Features:
+ * - States: draft, pending (moderation), rejected, active, expiring,
+ *   expired, sold, archived
+ * - Allowed transitions enforced on every save (mongoose plugin)
+ * - Timestamp per state (submittedAt, publishedAt, expiredAt, soldAt...)
+ *   and status history with actor and reason
+ * - Publication period (expiresAt), owner renewal
+ *
+ * Setup: register plugin on Ad schema - AdSchema.plugin(adLifecyclePlugin)
+ * and run backfillAdExpiry(Ad) once for ads published before.
+ * Listing queries use getVisibleStatusFilter() - built on commonFilters'
+ * getActiveStatusFilter(), plus expiring ads and legacy status values.
+ */
+
+import mongoose from "mongoose";
+import { getActiveStatusFilter } from "../../utils/listings/commonFilters.js";
+
+export const AD_STATUS = {
+  DRAFT: "draft",
+  PENDING: "pending",
+  REJECTED: "rejected",
+  ACTIVE: "active",
+  EXPIRING: "expiring",
+  EXPIRED: "expired",
+  SOLD: "sold",
+  ARCHIVED: "archived",
+};
+
+// Statuses shown in listings and search
+export const VISIBLE_STATUSES = [AD_STATUS.ACTIVE, AD_STATUS.EXPIRING];
+
+// Publication period after activation or renewal
+export const LISTING_DURATION_DAYS = 30;
+
+// Owner is warned (and may renew) this many days before expiry
+export const EXPIRY_WARNING_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Allowed transitions: from -> [to]
+ */
+const TRANSITIONS = {
+  [AD_STATUS.DRAFT]: [AD_STATUS.PENDING, AD_STATUS.ARCHIVED],
+  [AD_STATUS.PENDING]: [
+    AD_STATUS.ACTIVE,
+    AD_STATUS.REJECTED,
+    AD_STATUS.DRAFT,
+    AD_STATUS.ARCHIVED,
+  ],
+  [AD_STATUS.REJECTED]: [
+    AD_STATUS.PENDING,
+    AD_STATUS.DRAFT,
+    AD_STATUS.ARCHIVED,
+  ],
+  [AD_STATUS.ACTIVE]: [
+    AD_STATUS.EXPIRING,
+    AD_STATUS.EXPIRED,
+    AD_STATUS.SOLD,
+    AD_STATUS.PENDING,
+    AD_STATUS.ARCHIVED,
+  ],
+  [AD_STATUS.EXPIRING]: [
+    AD_STATUS.ACTIVE,
+    AD_STATUS.EXPIRED,
+    AD_STATUS.PENDING,
+    AD_STATUS.SOLD,
+    AD_STATUS.ARCHIVED,
+  ],
+  [AD_STATUS.EXPIRED]: [AD_STATUS.ACTIVE, AD_STATUS.SOLD, AD_STATUS.ARCHIVED],
+  [AD_STATUS.SOLD]: [AD_STATUS.ARCHIVED],
+  [AD_STATUS.ARCHIVED]: [],
+};
+
+/**
+ * Timestamp field set when entering a state
+ */
+const STATUS_TIMESTAMPS = {
+  [AD_STATUS.PENDING]: "submittedAt",
+  [AD_STATUS.REJECTED]: "rejectedAt",
+  [AD_STATUS.ACTIVE]: "publishedAt",
+  [AD_STATUS.EXPIRING]: "expiryNotifiedAt",
+  [AD_STATUS.EXPIRED]: "expiredAt",
+  [AD_STATUS.SOLD]: "soldAt",
+  [AD_STATUS.ARCHIVED]: "archivedAt",
+};
+
+// Pre-lifecycle status values mapped onto lifecycle states
+const LEGACY_STATUSES = {
+  opublikowane: AD_STATUS.ACTIVE,
+  aktywne: AD_STATUS.ACTIVE,
+  "w toku": AD_STATUS.PENDING,
+  archiwalne: AD_STATUS.ARCHIVED,
+  sprzedane: AD_STATUS.SOLD,
+};
+
+// Statuses from which the owner can renew
+const RENEWABLE_STATUSES = [
+  AD_STATUS.ACTIVE,
+  AD_STATUS.EXPIRING,
+  AD_STATUS.EXPIRED,
+];
+
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change ad status from "${from}" to "${to}"`);
+    this.name = "InvalidTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Map stored status (including legacy values) to lifecycle state
+ * @param {string} status - Stored status
+ * @returns {string|undefined} - Lifecycle state
+ */
+export const toLifecycleStatus = (status) => LEGACY_STATUSES[status] || status;
+
+/**
+ * Stored status values mapping to given lifecycle states
+ * (the states themselves plus their legacy equivalents)
+ * @param {Array<string>} statuses - Lifecycle states
+ * @returns {Array<string>}
+ */
+export const getStoredStatuses = (statuses) => [
+  ...statuses,
+  ...Object.keys(LEGACY_STATUSES).filter((legacy) =>
+    statuses.includes(LEGACY_STATUSES[legacy])
+  ),
+];
+
+/**
+ * MongoDB condition for the status of ads shown in listings and search
+ * Everything commonFilters counts as active stays visible.
+ * @returns {Object} - Use as { status: getVisibleStatusFilter() }
+ */
+export const getVisibleStatusFilter = () => {
+  const active = getActiveStatusFilter();
+  const activeStatuses = Array.isArray(active?.$in) ? active.$in : [active];
+
+  return {
+    $in: [
+      ...new Set([...activeStatuses, ...getStoredStatuses(VISIBLE_STATUSES)]),
+    ],
+  };
+};
+
+/**
+ * MongoDB condition for ads that went live in (after, until]
+ * Ads without publishedAt (published before lifecycle tracking) fall
+ * back to createdAt.
+ * @param {Date} after - Exclusive lower bound
+ * @param {Date} [until] - Inclusive upper bound
+ * @returns {Object}
+ */
+export const buildPublishedFilter = (after, until) => {
+  const range = { $gt: after, ...(until && { $lte: until }) };
+  return {
+    $or: [{ publishedAt: range }, { publishedAt: null, createdAt: range }],
+  };
+};
+
+/**
+ * Check whether transition is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Target status
+ * @returns {boolean}
+ */
+export const canTransition = (from, to) =>
+  (TRANSITIONS[toLifecycleStatus(from)] || []).includes(to);
+
+/**
+ * Get statuses reachable from given status
+ * @param {string} status - Current status
+ * @returns {Array<string>}
+ */
+export const getAllowedTransitions = (status) => [
+  ...(TRANSITIONS[toLifecycleStatus(status)] || []),
+];
+
+/**
+ * Calculate expiry date
+ * @param {Date} [from] - Start of publication period
+ * @returns {Date}
+ */
+export const calculateExpiresAt = (from = new Date()) =>
+  new Date(from.getTime() + LISTING_DURATION_DAYS * DAY_MS);
+
+/**
+ * Change ad status (validated and stamped by adLifecyclePlugin on save)
+ * @param {Object} ad - Ad document
+ * @param {string} to - Target status
+ * @param {Object} [options] - { actor, reason }
+ * @returns {Promise<Object>} - Saved ad
+ * @throws {InvalidTransitionError}
+ */
+export async function transitionAd(ad, to, { actor, reason } = {}) {
+  if (!canTransition(ad.status, to)) {
+    throw new InvalidTransitionError(ad.status, to);
+  }
+
+  ad.$locals.statusChange = { actor, reason };
+  ad.status = to;
+  return ad.save();
+}
+
+/**
+ * Check whether ad can be renewed now
+ * Active ads only inside the warning window - no endless extending
+ * @param {Object} ad - Ad document
+ * @returns {boolean}
+ */
+export function canRenew(ad) {
+  const status = toLifecycleStatus(ad.status);
+  if (!RENEWABLE_STATUSES.includes(status)) return false;
+  if (status !== AD_STATUS.ACTIVE || !ad.expiresAt) return true;
+
+  return ad.expiresAt.getTime() - Date.now() <= EXPIRY_WARNING_DAYS * DAY_MS;
+}
+
+/**
+ * Renew ad for another publication period
+ * Period is added to remaining time, so early renewal loses nothing
+ * @param {Object} ad - Ad document
+ * @param {string} actor - User renewing the ad
+ * @returns {Promise<Object>} - Saved ad
+ * @throws {InvalidTransitionError}
+ */
+export async function renewAd(ad, actor) {
+  if (!canRenew(ad)) {
+    throw new InvalidTransitionError(ad.status, AD_STATUS.ACTIVE);
+  }
+
+  const now = new Date();
+  const start = ad.expiresAt && ad.expiresAt > now ? ad.expiresAt : now;
+
+  ad.expiresAt = calculateExpiresAt(start);
+  ad.renewedAt = now;
+  ad.renewCount = (ad.renewCount || 0) + 1;
+  ad.expiryNotifiedAt = undefined;
+
+  if (toLifecycleStatus(ad.status) !== AD_STATUS.ACTIVE) {
+    return transitionAd(ad, AD_STATUS.ACTIVE, { actor, reason: "renewed" });
+  }
+
+  return ad.save();
+}
+
+/**
+ * Mongoose plugin - lifecycle fields and transition guard
+ * - Every status change is checked against TRANSITIONS
+ * - Entering a state sets its timestamp and appends statusHistory
+ * - Activation starts the publication period (expiresAt)
+ *
+ * Pass actor/reason through transitionAd() or doc.$locals.statusChange
+ *
+ * @param {Object} schema - Mongoose schema
+ */
+export function adLifecyclePlugin(schema) {
+  schema.add({
+    expiresAt: Date,
+    submittedAt: Date,
+    rejectedAt: Date,
+    publishedAt: Date,
+    expiryNotifiedAt: Date,
+    expiredAt: Date,
+    soldAt: Date,
+    archivedAt: Date,
+    renewedAt: Date,
+    renewCount: { type: Number, default: 0 },
+    statusHistory: [
+      {
+        _id: false,
+        from: String,
+        to: String,
+        at: { type: Date, default: Date.now },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        reason: String,
+      },
+    ],
+  });
+
+  schema.index({ status: 1, expiresAt: 1 });
+  schema.index({ status: 1, publishedAt: -1 });
+
+  schema.post("init", function () {
+    this.$locals.loadedStatus = this.status;
+  });
+
+  schema.pre("save", function (next) {
+    if (!this.isNew && !this.isModified("status")) return next();
+
+    const from = this.isNew
+      ? null
+      : toLifecycleStatus(this.$locals.loadedStatus);
+    const to = this.status;
+    const { actor, reason } = this.$locals.statusChange || {};
+
+    // Legacy/unknown statuses are not part of the state machine
+    if (!TRANSITIONS[to] || (from && !TRANSITIONS[from])) return next();
+
+    if (from && from !== to && !canTransition(from, to)) {
+      return next(new InvalidTransitionError(from, to));
+    }
+
+    const now = new Date();
+    const timestampField = STATUS_TIMESTAMPS[to];
+    if (
+      timestampField &&
+      !(to === AD_STATUS.EXPIRING && this[timestampField])
+    ) {
+      this[timestampField] = now;
+    }
+
+    // New publication period when (re)activated without valid expiry
+    if (to === AD_STATUS.ACTIVE && (!this.expiresAt || this.expiresAt <= now)) {
+      this.expiresAt = calculateExpiresAt(now);
+    }
+
+    this.statusHistory.push({
+      from,
+      to,
+      at: now,
+      by: actor || undefined,
+      reason,
+    });
+
+    this.$locals.loadedStatus = to;
+    this.$locals.statusChange = null;
+    next();
+  });
+}
+
+/**
+ * Migrate ads published before lifecycle tracking
+ * - Legacy status values are replaced by their lifecycle states
+ * - Visible ads get expiresAt, never earlier than one day after the
+ *   warning window, so every owner gets the "listing_expiring" notice first
+ *
+ * @param {Object} Ad - Ad model
+ * @returns {Promise<number>} - Number of ads updated
+ */
+export async function backfillAdExpiry(Ad) {
+  const earliestExpiry = new Date(
+    Date.now() + (EXPIRY_WARNING_DAYS + 1) * DAY_MS
+  );
+
+  const migrated = await Ad.updateMany(
+    { status: { $in: Object.keys(LEGACY_STATUSES) } },
+    [
+      {
+        $set: {
+          status: {
+            $switch: {
+              branches: Object.entries(LEGACY_STATUSES).map(
+                ([legacy, status]) => ({
+                  case: { $eq: ["$status", legacy] },
+                  then: status,
+                })
+              ),
+              default: "$status",
+            },
+          },
+        },
+      },
+    ]
+  );
+
+  const result = await Ad.updateMany(
+    {
+      status: getVisibleStatusFilter(),
+      expiresAt: { $exists: false },
+    },
+    [
+      {
+        $set: {
+          publishedAt: { $ifNull: ["$publishedAt", "$createdAt"] },
+          expiresAt: {
+            $max: [
+              {
+                $add: [
+                  { $ifNull: ["$createdAt", "$$NOW"] },
+                  LISTING_DURATION_DAYS * DAY_MS,
+                ],
+              },
+              earliestExpiry,
+            ],
+          },
+        },
+      },
+    ]
+  );
+
+  return migrated.modifiedCount + result.modifiedCount;
+}
+
+export default {
+  AD_STATUS,
+  VISIBLE_STATUSES,
+  LISTING_DURATION_DAYS,
+  EXPIRY_WARNING_DAYS,
+  InvalidTransitionError,
+  toLifecycleStatus,
+  getStoredStatuses,
+  getVisibleStatusFilter,
+  buildPublishedFilter,
+  canTransition,
+  getAllowedTransitions,
+  calculateExpiresAt,
+  transitionAd,
+  canRenew,
+  renewAd,
+  adLifecyclePlugin,
+  backfillAdExpiry,
+};
@@ -0,0 +1,392 @@
+/**
+ * Ad Moderation - Pre-checks and decisions for new and edited ads
+ *
+ * Features:
+ * - New ads and edits of published ads go to "pending" (moderation queue)
+ * - Automatic pre-checks (in background after save) stored on the ad:
+ *   banned words, likely duplicates and re-posts (adDuplicates), price
+ *   outliers versus the valuation band
+ * - Approve / reject with reason code, owner notified
+ *   ("listing_approved" / "listing_rejected")
+ * - Every check and decision recorded in ModerationLog
+ *
+ * Setup: register plugin on Ad schema - AdSchema.plugin(adModerationPlugin)
+ */
+
+import mongoose from "mongoose";
+import Ad from "../../models/listings/ad.js";
+import ModerationLog from "./moderationLog.js";
+import { estimateMarketValue } from "./adValuation.js";
+import { findDuplicateListings } from "./adDuplicates.js";
+import { foldDiacritics } from "./adTextSearch.js";
+import {
+  AD_STATUS,
+  VISIBLE_STATUSES,
+  toLifecycleStatus,
+  transitionAd,
+} from "./adLifecycle.js";
+import { notifyUser } from "./userNotifications.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Rejection reason codes and messages shown to the owner
+ */
+export const REJECTION_REASONS = {
+  prohibited_content: "The listing contains prohibited content",
+  misleading_price: "The price is misleading or unrealistic",
+  duplicate: "The listing duplicates another listing",
+  poor_images: "Photos are missing, unclear or do not show the vehicle",
+  incomplete_data: "Vehicle details are incomplete or inconsistent",
+  wrong_category: "The listing is in the wrong category",
+  other: "The listing does not meet our rules",
+};
+
+// Changing these fields on a published ad requires re-moderation
+const MODERATED_FIELDS = [
+  "headline",
+  "title",
+  "description",
+  "images",
+  "brand",
+  "model",
+  "vin",
+];
+
+// Text fields scanned for banned words
+const TEXT_FIELDS = ["headline", "title", "description"];
+
+// Banned phrases (folded, lowercase) - typical scam and prohibited content
+const DEFAULT_BANNED_WORDS = [
+  "western union",
+  "moneygram",
+  "zaliczka",
+  "przedplata",
+  "przelew z gory",
+  "bitcoin",
+  "kryptowaluty",
+  "gwarantowany zysk",
+  "bez dokumentow",
+  "kradziony",
+  "cofniety licznik",
+];
+
+// Extra phrases from env (comma separated)
+const BANNED_WORDS = [
+  ...DEFAULT_BANNED_WORDS,
+  ...(process.env.MODERATION_BANNED_WORDS || "")
+    .split(",")
+    .map((word) => foldDiacritics(word).trim())
+    .filter(Boolean),
+];
+
+// Price outside [p25 - k*IQR, p75 + k*IQR] of valuation band is flagged
+const PRICE_OUTLIER_IQR_FACTOR = 1.5;
+
+/* ---- Pre-checks ---- */
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Find banned phrases in ad text
+ * @param {Object} ad - Ad
+ * @returns {Array<string>} - Matched phrases
+ */
+export function findBannedWords(ad) {
+  const text = foldDiacritics(
+    TEXT_FIELDS.map((field) => ad[field] || "").join(" ")
+  );
+
+  return BANNED_WORDS.filter((phrase) =>
+    new RegExp(`(^|[^a-z0-9])${escapeRegex(phrase)}($|[^a-z0-9])`).test(text)
+  );
+}
+
+/**
+ * Compare price with valuation band
+ * @param {Object} ad - Ad
+ * @returns {Promise<Object|null>} - { direction, band, fence } or null
+ */
+export async function checkPriceOutlier(ad) {
+  if (typeof ad.price !== "number" || !ad.brand || !ad.model) return null;
+
+  const valuation = await estimateMarketValue(ad);
+  if (!valuation.band) return null;
+
+  const { p25, p75, median } = valuation.band;
+  const spread = Math.max(p75 - p25, median * 0.1);
+  const low = p25 - PRICE_OUTLIER_IQR_FACTOR * spread;
+  const high = p75 + PRICE_OUTLIER_IQR_FACTOR * spread;
+
+  if (ad.price >= low && ad.price <= high) return null;
+
+  return {
+    direction: ad.price < low ? "low" : "high",
+    price: ad.price,
+    band: valuation.band,
+    fence: Math.round(ad.price < low ? low : high),
+    comparablesUsed: valuation.comparablesUsed,
+  };
+}
+
+/**
+ * Run all automatic pre-checks
+ * @param {Object} ad - Ad
+ * @returns {Promise<Array<Object>>} - Flags [{ code, severity, detail }]
+ */
+export async function runModerationChecks(ad) {
+  const flags = [];
+
+  const bannedWords = findBannedWords(ad);
+  if (bannedWords.length > 0) {
+    flags.push({
+      code: "banned_words",
+      severity: "high",
+      detail: { words: bannedWords },
+    });
+  }
+
+  const [duplicates, priceOutlier] = await Promise.all([
+    findDuplicateListings(ad),
+    checkPriceOutlier(ad),
+  ]);
+
+  if (duplicates.length > 0) {
+    // Same VIN or same owner re-posting is almost certainly a duplicate
+    const certain = duplicates.some(
+      (duplicate) => duplicate.signals.vin || duplicate.sameOwner
+    );
+    flags.push({
+      code: "duplicate_listing",
+      severity: certain ? "high" : "medium",
+      detail: {
+        reposts: duplicates.filter((duplicate) => duplicate.sameOwner).length,
+        ads: duplicates.slice(0, 10),
+      },
+    });
+  }
+
+  if (priceOutlier) {
+    flags.push({
+      // Suspiciously cheap cars are a common scam pattern
+      code:
+        priceOutlier.direction === "low" ? "price_too_low" : "price_too_high",
+      severity: priceOutlier.direction === "low" ? "high" : "low",
+      detail: priceOutlier,
+    });
+  }
+
+  return flags;
+}
+
+/**
+ * Run pre-checks, store flags on ad and log them
+ * @param {Object} ad - Ad document
+ * @returns {Promise<Array<Object>>} - Flags
+ */
+export async function checkAdForModeration(ad) {
+  const flags = await runModerationChecks(ad);
+  const checkedAt = new Date();
+
+  await Ad.updateOne(
+    { _id: ad._id },
+    {
+      $set: {
+        "moderation.flags": flags,
+        "moderation.checkedAt": checkedAt,
+      },
+    }
+  );
+
+  await ModerationLog.create({
+    ad: ad._id,
+    action: "checked",
+    newStatus: ad.status,
+    flags,
+  });
+
+  if (flags.length > 0) {
+    logger.info("Ad flagged by moderation checks", {
+      adId: ad._id,
+      flags: flags.map((flag) => flag.code),
+    });
+  }
+
+  return flags;
+}
+
+/* ---- Decisions ---- */
+
+const adTitle = (ad) => ad.headline || `${ad.brand} ${ad.model}`;
+
+/**
+ * Record decision on ad and in audit trail
+ */
+const recordDecision = async (ad, action, moderatorId, fields) => {
+  const previousStatus = ad.status;
+  const newStatus =
+    action === "approved" ? AD_STATUS.ACTIVE : AD_STATUS.REJECTED;
+
+  ad.set({
+    "moderation.reasonCode": fields.reasonCode,
+    "moderation.note": fields.note,
+    "moderation.moderatedBy": moderatorId,
+    "moderation.moderatedAt": new Date(),
+  });
+
+  await transitionAd(ad, newStatus, {
+    actor: moderatorId,
+    reason: fields.reasonCode || action,
+  });
+
+  await ModerationLog.create({
+    ad: ad._id,
+    moderator: moderatorId,
+    action,
+    reasonCode: fields.reasonCode,
+    note: fields.note,
+    previousStatus,
+    newStatus,
+    flags: ad.moderation?.flags || [],
+  });
+};
+
+/**
+ * Approve pending ad and notify owner
+ * @param {Object} ad - Ad document
+ * @param {string} moderatorId - Admin user ID
+ * @param {string} [note] - Internal note
+ * @returns {Promise<Object>} - Ad
+ */
+export async function approveAd(ad, moderatorId, note) {
+  await recordDecision(ad, "approved", moderatorId, { note });
+
+  await notifyUser(ad.owner, {
+    type: "listing_approved",
+    title: "Listing approved",
+    message: `Your listing "${adTitle(
+      ad
+    )}" has been approved and is now visible.`,
+    link: `/listing/${ad._id}`,
+    relatedListing: ad._id,
+  });
+
+  logger.info("Ad approved", { adId: ad._id, moderatorId });
+  return ad;
+}
+
+/**
+ * Reject pending ad and notify owner with reason
+ * @param {Object} ad - Ad document
+ * @param {string} moderatorId - Admin user ID
+ * @param {string} reasonCode - Key of REJECTION_REASONS
+ * @param {string} [note] - Message for the owner
+ * @returns {Promise<Object>} - Ad
+ */
+export async function rejectAd(ad, moderatorId, reasonCode, note) {
+  await recordDecision(ad, "rejected", moderatorId, { reasonCode, note });
+
+  const reason = REJECTION_REASONS[reasonCode];
+  await notifyUser(ad.owner, {
+    type: "listing_rejected",
+    title: "Listing rejected",
+    message: `Your listing "${adTitle(ad)}" has been rejected: ${reason}${
+      note ? ` - ${note}` : ""
+    }`,
+    link: `/listing/${ad._id}`,
+    relatedListing: ad._id,
+    metadata: { reasonCode, note },
+  });
+
+  logger.info("Ad rejected", { adId: ad._id, moderatorId, reasonCode });
+  return ad;
+}
+
+/* ---- Plugin ---- */
+
+/**
+ * Mongoose plugin - routes new and edited ads through moderation
+ * - New ads start as "pending" (unless requireApproval is false)
+ * - Editing MODERATED_FIELDS of a published ad sends it back to "pending"
+ * - Pre-checks run after save whenever an ad needs review
+ *
+ * @param {Object} schema - Mongoose schema
+ * @param {Object} [options] - { requireApproval: true }
+ */
+export function adModerationPlugin(schema, { requireApproval = true } = {}) {
+  schema.add({
+    moderation: {
+      flags: {
+        type: [
+          {
+            _id: false,
+            code: String,
+            severity: String,
+            detail: mongoose.Schema.Types.Mixed,
+          },
+        ],
+        default: undefined,
+      },
+      checkedAt: Date,
+      reasonCode: String,
+      note: String,
+      moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      moderatedAt: Date,
+    },
+  });
+
+  schema.index({ status: 1, submittedAt: 1 });
+
+  // Runs before save hooks, so lifecycle guard sees the status change
+  schema.pre("validate", function (next) {
+    const status = toLifecycleStatus(this.status);
+
+    if (this.isNew) {
+      if (requireApproval && (!this.status || status === AD_STATUS.ACTIVE)) {
+        this.status = AD_STATUS.PENDING;
+      }
+    } else if (
+      VISIBLE_STATUSES.includes(status) &&
+      !this.isModified("status") &&
+      MODERATED_FIELDS.some((field) => this.isModified(field))
+    ) {
+      this.$locals.statusChange = { reason: "edited" };
+      this.status = AD_STATUS.PENDING;
+    }
+
+    next();
+  });
+
+  schema.pre("save", function (next) {
+    this.$locals.needsModerationChecks =
+      this.status === AD_STATUS.PENDING &&
+      (this.isNew ||
+        this.isModified("status") ||
+        MODERATED_FIELDS.some((field) => this.isModified(field)));
+    next();
+  });
+
+  // Not awaited - image hashing and valuation must not hold up save()
+  schema.post("save", function () {
+    if (!this.$locals.needsModerationChecks) return;
+    this.$locals.needsModerationChecks = false;
+
+    checkAdForModeration(this).catch((error) =>
+      // Checks are advisory - the ad stays in the queue either way
+      logger.error("Moderation checks error", {
+        error: error.message,
+        adId: this._id,
+      })
+    );
+  });
+}
+
+export default {
+  REJECTION_REASONS,
+  findBannedWords,
+  checkPriceOutlier,
+  runModerationChecks,
+  checkAdForModeration,
+  approveAd,
+  rejectAd,
+  adModerationPlugin,
+};
@@ -0,0 +1,254 @@
+/**
+ * Ad Price History - Records price changes and notifies about price drops
+ *
+ * Features:
+ * - Every price change stored as a time series point (PriceHistory)
+ * - Summary for ListingDetails: points, lowest/highest, last drop
+ * - "price_drop" notification to users who favourited the ad
+ * - Mongoose plugin hooks save(), findOneAndUpdate(), updateOne() and
+ *   updateMany() on Ad (bulkWrite() is not tracked - don't use it for price)
+ *
+ * Setup: register plugin on Ad schema - AdSchema.plugin(adPriceHistoryPlugin)
+ */
+
+import PriceHistory from "./priceHistory.js";
+import { getFavoriteWatchers } from "./favorites.js";
+import { notifyUsers } from "./userNotifications.js";
+import logger from "../../utils/logger.js";
+
+// Maximum number of points returned to the client
+const MAX_HISTORY_POINTS = 100;
+
+const formatPrice = (price) => `${price.toLocaleString("pl-PL")} zł`;
+
+// Update operators that can change price
+const PRICE_OPERATORS = ["$set", "$inc", "$mul", "$min", "$max", "$unset"];
+
+/**
+ * Whether a query update may change price
+ * @param {Object|Array} update - Update document or pipeline
+ * @returns {boolean}
+ */
+const updatesPrice = (update) => {
+  if (!update) return false;
+  if (Array.isArray(update)) {
+    return update.some(
+      (stage) => (stage.$set || stage.$addFields)?.price !== undefined
+    );
+  }
+  return (
+    update.price !== undefined ||
+    PRICE_OPERATORS.some((operator) => update[operator]?.price !== undefined)
+  );
+};
+
+/**
+ * Notify users who favourited the ad about a price drop
+ * @param {Object} ad - Ad document (after change)
+ * @param {number} previousPrice - Price before change
+ * @returns {Promise<number>} - Number of notified users
+ */
+export async function notifyPriceDrop(ad, previousPrice) {
+  const dropAmount = previousPrice - ad.price;
+  if (!(dropAmount > 0)) return 0;
+
+  const recipients = await getFavoriteWatchers(ad);
+
+  if (recipients.length === 0) return 0;
+
+  const adTitle = ad.headline || `${ad.brand} ${ad.model}`;
+  const dropPercent = Math.round((dropAmount / previousPrice) * 100);
+
+  const delivered = await notifyUsers(recipients, {
+    type: "price_drop",
+    title: `Price dropped: ${adTitle}`,
+    message: `Price dropped by ${formatPrice(dropAmount)} (${formatPrice(
+      previousPrice
+    )} → ${formatPrice(ad.price)})`,
+    link: `/listing/${ad._id}`,
+    relatedListing: ad._id,
+    metadata: {
+      previousPrice,
+      newPrice: ad.price,
+      dropAmount,
+      dropPercent,
+    },
+  });
+
+  logger.info("Price drop notifications sent", {
+    adId: ad._id,
+    dropAmount,
+    delivered,
+  });
+
+  return delivered;
+}
+
+/**
+ * Record price point and notify about drops
+ * @param {Object} ad - Ad document (after change)
+ * @param {number|null} previousPrice - Price before change (null if new ad)
+ * @param {string} [changedBy] - User who changed the price
+ */
+export async function recordPriceChange(ad, previousPrice, changedBy) {
+  if (typeof ad.price !== "number") return;
+
+  try {
+    await PriceHistory.create({
+      ad: ad._id,
+      price: ad.price,
+      previousPrice: previousPrice ?? null,
+      changedBy: changedBy || ad.owner,
+    });
+
+    if (typeof previousPrice === "number" && ad.price < previousPrice) {
+      await notifyPriceDrop(ad, previousPrice);
+    }
+  } catch (error) {
+    // Price history must never block ad updates
+    logger.error("Price history record error", {
+      error: error.message,
+      adId: ad._id,
+    });
+  }
+}
+
+/**
+ * Get price history summary for an ad
+ * Ads created before tracking get a single point from createdAt
+ *
+ * @param {Object} ad - Ad document
+ * @returns {Promise<Object>} - Price history summary
+ */
+export async function getPriceHistory(ad) {
+  const records = await PriceHistory.find({ ad: ad._id })
+    .sort({ changedAt: -1 })
+    .limit(MAX_HISTORY_POINTS)
+    .select("price changedAt")
+    .lean();
+
+  const points = records
+    .reverse()
+    .map(({ price, changedAt }) => ({ price, date: changedAt }));
+
+  if (points.length === 0 && typeof ad.price === "number") {
+    points.push({ price: ad.price, date: ad.createdAt });
+  }
+
+  const prices = points.map((point) => point.price);
+  const previous = points.length > 1 ? points[points.length - 2] : null;
+  const current = points[points.length - 1];
+
+  const priceDrop =
+    previous && current && current.price < previous.price
+      ? {
+          amount: previous.price - current.price,
+          percent: Math.round(
+            ((previous.price - current.price) / previous.price) * 100
+          ),
+          previousPrice: previous.price,
+          date: current.date,
+        }
+      : null;
+
+  return {
+    points,
+    initialPrice: prices[0] ?? null,
+    lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+    highestPrice: prices.length > 0 ? Math.max(...prices) : null,
+    changes: Math.max(0, points.length - 1),
+    priceDrop,
+  };
+}
+
+/**
+ * Mongoose plugin tracking Ad.price changes
+ * - save(): compares with price loaded from database
+ * - findOneAndUpdate(), updateOne(), updateMany(): read prices before the
+ *   update when it may change price, compare after it
+ *
+ * Pass the acting user with doc.$locals.changedBy or query option changedBy
+ *
+ * @param {Object} schema - Mongoose schema
+ */
+export function adPriceHistoryPlugin(schema) {
+  schema.post("init", function () {
+    this.$locals.loadedPrice = this.price;
+  });
+
+  schema.pre("save", function (next) {
+    this.$locals.priceChanged = this.isNew || this.isModified("price");
+    next();
+  });
+
+  schema.post("save", async function () {
+    if (!this.$locals.priceChanged) return;
+
+    const previousPrice = this.$locals.loadedPrice;
+    if (previousPrice === this.price) return;
+
+    this.$locals.loadedPrice = this.price;
+    this.$locals.priceChanged = false;
+    await recordPriceChange(this, previousPrice, this.$locals.changedBy);
+  });
+
+  schema.pre("findOneAndUpdate", async function () {
+    if (!updatesPrice(this.getUpdate())) return;
+
+    const existing = await this.model
+      .findOne(this.getQuery())
+      .select("price")
+      .lean();
+    this._previousPrice = existing?.price;
+  });
+
+  schema.post("findOneAndUpdate", async function (doc) {
+    if (this._previousPrice === undefined || !doc) return;
+
+    // Result may be the pre-update document (new: false) - reload price
+    const ad =
+      doc.price === this._previousPrice
+        ? await this.model.findById(doc._id)
+        : doc;
+    if (!ad || ad.price === this._previousPrice) return;
+
+    await recordPriceChange(
+      ad,
+      this._previousPrice,
+      this.getOptions().changedBy
+    );
+  });
+
+  schema.pre(["updateOne", "updateMany"], async function () {
+    if (!updatesPrice(this.getUpdate())) return;
+
+    const existing = await this.model
+      .find(this.getQuery())
+      .limit(this.op === "updateOne" ? 1 : 0)
+      .select("price")
+      .lean();
+    this._previousPrices = new Map(
+      existing.map((ad) => [ad._id.toString(), ad.price])
+    );
+  });
+
+  schema.post(["updateOne", "updateMany"], async function () {
+    if (!this._previousPrices?.size) return;
+
+    const ads = await this.model.find({
+      _id: { $in: [...this._previousPrices.keys()] },
+    });
+    for (const ad of ads) {
+      const previousPrice = this._previousPrices.get(ad._id.toString());
+      if (ad.price === previousPrice) continue;
+      await recordPriceChange(ad, previousPrice, this.getOptions().changedBy);
+    }
+  });
+}
+
+export default {
+  recordPriceChange,
+  notifyPriceDrop,
+  getPriceHistory,
+  adPriceHistoryPlugin,
+};
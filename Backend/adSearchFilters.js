@@ -0,0 +1,306 @@
+/**
+ * Ad Search Filters - Translates search form fields into MongoDB constraints
+ *
+ * Features:
+ * - Multi-value checklist filters (brand[], model[], fuelType[]...)
+ * - Brand / model resolved through the vehicle taxonomy: canonical IDs,
+ *   alias names for ads not backfilled yet ("VW" finds "Volkswagen")
+ * - From/to range filters (price, year, mileage, power, capacity, weight)
+ * - Single-select filters (driveType, damageStatus, sellerType...)
+ * - Boolean flags (firstOwner, imported, registeredInPL, vat...)
+ * - Legacy parameter aliases (make, minPrice/maxPrice, minYear/maxYear)
+ * - Free-text query (q) over headline, title, description, brand, model
+ * - Publication date lower bound (publishedAfter) used by saved search
+ *   alerts; createdAfter kept for links sent before moderation
+ */
+
+import { getVisibleStatusFilter, buildPublishedFilter } from "./adLifecycle.js";
+import { buildTextFilterConditions } from "./adTextSearch.js";
+import { resolveVehicleSearch } from "./vehicleTaxonomy.js";
+
+/* ----------------------------- Filter maps ----------------------------- */
+
+// Checklist fields: query param -> Ad field (matched with $in)
+const ARRAY_FILTERS = {
+  generation: { field: "generation" },
+  bodyType: { field: "bodyType" },
+  fuelType: { field: "fuelType" },
+  transmission: { field: "transmission" },
+  region: { field: "region" },
+  city: { field: "city" },
+  color: { field: "color" },
+  doorCount: { field: "doorCount", numeric: true },
+  condition: { field: "condition" },
+  countryOfOrigin: { field: "countryOfOrigin" },
+  finish: { field: "finish" },
+};
+
+// Range fields: Ad field -> accepted from/to query params
+const RANGE_FILTERS = {
+  price: { from: ["priceFrom", "minPrice"], to: ["priceTo", "maxPrice"] },
+  year: { from: ["yearFrom", "minYear"], to: ["yearTo", "maxYear"] },
+  mileage: { from: ["mileageFrom"], to: ["mileageTo"] },
+  power: { from: ["enginePowerFrom"], to: ["enginePowerTo"] },
+  engineCapacity: { from: ["engineCapacityFrom"], to: ["engineCapacityTo"] },
+  weight: { from: ["weightFrom"], to: ["weightTo"] },
+};
+
+// Single-select fields: query param -> Ad field
+const VALUE_FILTERS = {
+  damageStatus: "damageStatus",
+  country: "country",
+  driveType: "driveType",
+  tuning: "tuning",
+  accidentStatus: "accidentStatus",
+  vehicleCondition: "vehicleCondition",
+  sellingForm: "sellingForm",
+  sellerType: "sellerType",
+};
+
+// Boolean flags - only applied when checked (unchecked means "any")
+const BOOLEAN_FILTERS = [
+  "firstOwner",
+  "imported",
+  "registeredInPL",
+  "vat",
+  "invoiceOptions",
+  "disabledAdapted",
+];
+
+// Values that mean "no filter" for single-select fields
+const ANY_VALUES = ["", "all", "wszystkie"];
+
+/* ------------------------------- Helpers ------------------------------- */
+
+const isEmpty = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+/**
+ * Normalize query value to array of non-empty strings
+ * Accepts "a", ["a", "b"] and "a,b" (comma-separated)
+ * @param {string|Array} value - Raw query value
+ * @returns {Array<string>} - List of values
+ */
+export const toList = (value) => {
+  if (isEmpty(value)) return [];
+  const values = Array.isArray(value) ? value : String(value).split(",");
+  return values
+    .map((item) => String(item).trim())
+    .filter((item) => item !== "");
+};
+
+/**
+ * Read first non-empty numeric value from list of query params
+ * @param {Object} query - Request query
+ * @param {Array<string>} keys - Accepted parameter names
+ * @returns {number|null} - Parsed number or null
+ */
+const readNumber = (query, keys) => {
+  for (const key of keys) {
+    if (isEmpty(query[key])) continue;
+    const parsed = parseFloat(query[key]);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return null;
+};
+
+/**
+ * Read values of a checklist filter, including its legacy aliases
+ * and the "[]" suffixed form when the query parser kept it verbatim
+ * @param {Object} query - Request query
+ * @param {string} key - Parameter name
+ * @param {Array<string>} aliases - Alternative parameter names
+ * @returns {Array<string>} - Unique values
+ */
+export const readListFilter = (query = {}, key, aliases = []) => {
+  const values = [key, ...aliases].flatMap((name) => [
+    ...toList(query[name]),
+    ...toList(query[`${name}[]`]),
+  ]);
+  return [...new Set(values)];
+};
+
+/**
+ * Read from/to bounds of a range filter
+ * @param {Object} query - Request query
+ * @param {string} field - Ad field name (key of RANGE_FILTERS)
+ * @returns {{from: number|null, to: number|null}} - Range bounds
+ */
+export const readRangeFilter = (query = {}, field) => {
+  const config = RANGE_FILTERS[field];
+  if (!config) return { from: null, to: null };
+  return {
+    from: readNumber(query, config.from),
+    to: readNumber(query, config.to),
+  };
+};
+
+const isChecked = (value) => value === true || value === "true";
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Read brand / model search values resolved through the taxonomy
+ * @param {Object} query - Request query
+ * @param {Object|null} taxonomy - Taxonomy index (vehicleTaxonomy.loadTaxonomy)
+ * @param {Array<string>} exclude - Filter keys to skip
+ * @returns {{brands: Array, models: Array}} - Terms { id, names }
+ */
+export const readVehicleFilter = (query = {}, taxonomy, exclude = []) =>
+  resolveVehicleSearch(taxonomy, {
+    brands: exclude.includes("brand")
+      ? []
+      : readListFilter(query, "brand", ["make"]),
+    models: exclude.includes("model") ? [] : readListFilter(query, "model"),
+  });
+
+/**
+ * Condition for one taxonomy level: canonical ID, or - for ads without
+ * ID yet - any known name (case and surrounding spaces ignored)
+ */
+const vehicleLevelCondition = (idField, nameField, terms) => {
+  const names = [...new Set(terms.flatMap((term) => term.names))];
+  return {
+    $or: [
+      { [idField]: { $in: terms.map((term) => term.id) } },
+      {
+        [idField]: null,
+        [nameField]: new RegExp(
+          `^\\s*(?:${names.map(escapeRegex).join("|")})\\s*$`,
+          "i"
+        ),
+      },
+    ],
+  };
+};
+
+/**
+ * Build brand / model conditions
+ * @param {{brands: Array, models: Array}} vehicle - See readVehicleFilter
+ * @returns {Array<Object>} - Conditions for $and
+ */
+export function buildVehicleConditions({ brands, models }) {
+  const conditions = [];
+  if (brands.length > 0) {
+    conditions.push(vehicleLevelCondition("brandId", "brand", brands));
+  }
+  if (models.length > 0) {
+    conditions.push(vehicleLevelCondition("modelId", "model", models));
+  }
+  return conditions;
+}
+
+/* ---------------------------- Filter builder ---------------------------- */
+
+/**
+ * Build MongoDB filter from search form query
+ * Every field sent by SearchFormUpdated becomes a real constraint
+ *
+ * @param {Object} query - Request query (req.query)
+ * @param {Object} options
+ * @param {Array<string>} options.exclude - Filter keys to skip (used by facets)
+ * @param {Object|null} options.taxonomy - Taxonomy index for brand / model
+ *   (without it only slug IDs and the typed names match)
+ * @returns {Object} - MongoDB filter (active ads only)
+ */
+export function buildSearchFilter(
+  query = {},
+  { exclude = [], taxonomy = null } = {}
+) {
+  const filter = { status: getVisibleStatusFilter() };
+
+  // Brand / model through taxonomy
+  const vehicleConditions = buildVehicleConditions(
+    readVehicleFilter(query, taxonomy, exclude)
+  );
+  if (vehicleConditions.length > 0) filter.$and = vehicleConditions;
+
+  // Checklist filters
+  Object.entries(ARRAY_FILTERS).forEach(([key, config]) => {
+    if (exclude.includes(key)) return;
+    const values = readListFilter(query, key, config.aliases);
+    if (values.length === 0) return;
+
+    const matchValues = config.numeric
+      ? values.flatMap((value) =>
+          Number.isNaN(Number(value)) ? [value] : [value, Number(value)]
+        )
+      : values;
+
+    filter[config.field] =
+      matchValues.length === 1 ? matchValues[0] : { $in: matchValues };
+  });
+
+  // Range filters
+  Object.keys(RANGE_FILTERS).forEach((field) => {
+    if (exclude.includes(field)) return;
+    const { from, to } = readRangeFilter(query, field);
+    if (from === null && to === null) return;
+
+    filter[field] = {};
+    if (from !== null) filter[field].$gte = from;
+    if (to !== null) filter[field].$lte = to;
+  });
+
+  // Single-select filters
+  Object.entries(VALUE_FILTERS).forEach(([key, field]) => {
+    if (exclude.includes(key) || isEmpty(query[key])) return;
+    const value = String(query[key]).trim();
+    if (ANY_VALUES.includes(value.toLowerCase())) return;
+    filter[field] = value;
+  });
+
+  // Boolean flags
+  BOOLEAN_FILTERS.forEach((key) => {
+    if (exclude.includes(key)) return;
+    if (isChecked(query[key])) filter[key] = true;
+  });
+
+  // Free-text location (city name typed by the user)
+  if (!exclude.includes("location") && !isEmpty(query.location)) {
+    const location = String(query.location).trim();
+    const locationRegex = new RegExp(`^${escapeRegex(location)}`, "i");
+    filter.$and = [
+      ...(filter.$and || []),
+      { $or: [{ city: locationRegex }, { location: locationRegex }] },
+    ];
+  }
+
+  // Only ads created after given date (ISO string)
+  if (!exclude.includes("createdAfter") && !isEmpty(query.createdAfter)) {
+    const createdAfter = new Date(query.createdAfter);
+    if (!Number.isNaN(createdAfter.getTime())) {
+      filter.createdAt = { $gt: createdAfter };
+    }
+  }
+
+  // Only ads published after given date (ISO string)
+  if (!exclude.includes("publishedAfter") && !isEmpty(query.publishedAfter)) {
+    const publishedAfter = new Date(query.publishedAfter);
+    if (!Number.isNaN(publishedAfter.getTime())) {
+      filter.$and = [
+        ...(filter.$and || []),
+        buildPublishedFilter(publishedAfter),
+      ];
+    }
+  }
+
+  // Free-text query - every word must match one of the text fields
+  if (!exclude.includes("q")) {
+    const textConditions = buildTextFilterConditions(query.q);
+    if (textConditions.length > 0) {
+      filter.$and = [...(filter.$and || []), ...textConditions];
+    }
+  }
+
+  return filter;
+}
+
+export default {
+  buildSearchFilter,
+  buildVehicleConditions,
+  readVehicleFilter,
+  readListFilter,
+  readRangeFilter,
+  toList,
+};
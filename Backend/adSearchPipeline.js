@@ -0,0 +1,407 @@
+/**
+ * Ad Search Pipeline - MongoDB aggregation stages for ad search
+ *
+ * Features:
+ * - Relevance scoring computed in the database ($addFields)
+ * - Multi-stage sorting (featured → user criteria → score → date)
+ * - Bounded memory: $sort + $skip + $limit coalesce into a top-k sort
+ * - Keyset (cursor) variants for search and plain listing
+ * - Optional geo-radius search ($geoNear first, distance in km)
+ */
+
+import {
+  readListFilter,
+  readRangeFilter,
+  readVehicleFilter,
+} from "./adSearchFilters.js";
+import { buildKeysetCondition, buildKeysetMatchStage } from "./adCursor.js";
+import { buildTextScoreExpression } from "./adTextSearch.js";
+import { buildGeoNearStage, buildDistanceRoundingStage } from "./adGeo.js";
+
+// Fields allowed as user-selected sort keys
+const SORT_FIELDS = ["price", "year", "mileage", "createdAt", "distance"];
+
+// Plain listing has no distance
+const LISTING_SORT_FIELDS = SORT_FIELDS.filter((field) => field !== "distance");
+
+// Listing type that is always promoted to the top
+const FEATURED_LISTING_TYPE = "wyróżnione";
+
+/**
+ * Trimmed, lowercased field value (empty string for non-strings)
+ * @param {string} field - Field path, e.g. "$brand"
+ * @returns {Object} - Aggregation expression
+ */
+const normalizedField = (field) => ({
+  $cond: [
+    { $eq: [{ $type: field }, "string"] },
+    { $toLower: { $trim: { input: field } } },
+    "",
+  ],
+});
+
+/**
+ * Check if normalized field equals one of the requested values
+ * @param {string} field - Field path, e.g. "$brand"
+ * @param {Array<string>} values - Requested values
+ * @returns {Object} - Aggregation expression
+ */
+const fieldMatchesAny = (field, values) => ({
+  $in: [normalizedField(field), values.map((v) => v.trim().toLowerCase())],
+});
+
+/**
+ * Check if ad belongs to one of the taxonomy terms (canonical ID or,
+ * for ads without ID, one of the known names)
+ * @param {string} idField - ID field path, e.g. "$brandId"
+ * @param {string} nameField - Name field path, e.g. "$brand"
+ * @param {Array<{id: string, names: Array<string>}>} terms - Resolved terms
+ * @returns {Object} - Aggregation expression
+ */
+const fieldMatchesTerms = (idField, nameField, terms) => ({
+  $or: [
+    { $in: [idField, terms.map((term) => term.id)] },
+    fieldMatchesAny(
+      nameField,
+      terms.flatMap((term) => term.names)
+    ),
+  ],
+});
+
+/**
+ * Numeric comparison that is false when the field is missing or not a number
+ * (same semantics as comparing undefined in JS)
+ * @param {string} operator - $gte or $lte
+ * @param {string} field - Field path
+ * @param {number} value - Value to compare against
+ * @returns {Object} - Aggregation expression
+ */
+const numericCompare = (operator, field, value) => ({
+  $and: [{ $isNumber: field }, { [operator]: [field, value] }],
+});
+
+/**
+ * Build relevance score expression
+ * Multi-factor scoring algorithm:
+ * - Brand + Model exact match: 100 points
+ * - Brand match only: 50 points
+ * - Price range match: 30 points (15 for one-sided match)
+ * - Year range match: 20 points
+ * - Other attributes: 5-10 points each
+ * - Free-text (q) relevance: 5-20 points per matched word and field
+ *
+ * @param {Object} filters - Search filters (req.query)
+ * @param {Object|null} taxonomy - Taxonomy index for brand / model aliases
+ * @returns {Object} - Aggregation expression evaluating to the match score
+ */
+export function buildMatchScoreExpression(filters = {}, taxonomy = null) {
+  const terms = [];
+
+  const { brands, models } = readVehicleFilter(filters, taxonomy);
+
+  // Exact brand + model match (highest priority)
+  if (brands.length > 0) {
+    const brandMatch = fieldMatchesTerms("$brandId", "$brand", brands);
+
+    if (models.length > 0) {
+      const modelMatch = fieldMatchesTerms("$modelId", "$model", models);
+      terms.push({
+        $cond: [
+          { $and: [brandMatch, modelMatch] },
+          100,
+          { $cond: [brandMatch, 50, 0] },
+        ],
+      });
+    } else {
+      terms.push({ $cond: [brandMatch, 50, 0] });
+    }
+  }
+
+  // Price range matching
+  const { from: minPrice, to: maxPrice } = readRangeFilter(filters, "price");
+  const aboveMin =
+    minPrice !== null ? numericCompare("$gte", "$price", minPrice) : false;
+  const belowMax =
+    maxPrice !== null ? numericCompare("$lte", "$price", maxPrice) : false;
+
+  if (minPrice !== null && maxPrice !== null) {
+    terms.push({
+      $cond: [
+        { $and: [aboveMin, belowMax] },
+        30,
+        { $cond: [{ $or: [aboveMin, belowMax] }, 15, 0] },
+      ],
+    });
+  } else if (minPrice !== null || maxPrice !== null) {
+    terms.push({ $cond: [minPrice !== null ? aboveMin : belowMax, 15, 0] });
+  }
+
+  // Year range matching
+  const { from: minYear, to: maxYear } = readRangeFilter(filters, "year");
+  if (minYear !== null && maxYear !== null) {
+    terms.push({
+      $cond: [
+        {
+          $and: [
+            numericCompare("$gte", "$year", minYear),
+            numericCompare("$lte", "$year", maxYear),
+          ],
+        },
+        20,
+        0,
+      ],
+    });
+  }
+
+  // Additional attribute matching
+  const attributeWeights = { fuelType: 10, transmission: 5, bodyType: 5 };
+  Object.entries(attributeWeights).forEach(([field, points]) => {
+    const values = readListFilter(filters, field);
+    if (values.length === 0) return;
+    terms.push({ $cond: [fieldMatchesAny(`$${field}`, values), points, 0] });
+  });
+
+  // Free-text relevance
+  const textScore = buildTextScoreExpression(filters.q);
+  if (textScore) terms.push(textScore);
+
+  return terms.length > 0 ? { $add: terms } : { $literal: 0 };
+}
+
+/**
+ * Resolve user-selected sort field (falls back to createdAt)
+ * @param {string} sortBy - Requested sort field
+ * @returns {string} - Supported sort field
+ */
+export const resolveSortField = (sortBy) =>
+  SORT_FIELDS.includes(sortBy) ? sortBy : "createdAt";
+
+/**
+ * Resolve sort field of plain listing (falls back to createdAt)
+ * Page and cursor mode both use it, so they return the same order.
+ * @param {string} sortBy - Requested sort field
+ * @returns {string} - Stored Ad field
+ */
+export const resolveListingSortField = (sortBy) =>
+  LISTING_SORT_FIELDS.includes(sortBy) ? sortBy : "createdAt";
+
+/**
+ * Build expression for user-selected sort key (missing values treated as 0)
+ * @param {string} sortBy - Requested sort field
+ * @returns {string|Object} - Aggregation expression
+ */
+export function buildSortValueExpression(sortBy) {
+  const sortField = resolveSortField(sortBy);
+  return sortField === "createdAt"
+    ? "$createdAt"
+    : { $ifNull: [`$${sortField}`, 0] };
+}
+
+/**
+ * Build $addFields stage with computed search fields
+ * - match_score: relevance score
+ * - is_featured: 1 for featured listings, 0 otherwise
+ * - _sortValue: user-selected sort key (missing values treated as 0)
+ *
+ * @param {Object} filters - Search filters (req.query)
+ * @param {string} sortBy - User-selected sort field
+ * @param {Object|null} taxonomy - Taxonomy index for brand / model aliases
+ * @returns {Object} - $addFields stage
+ */
+export function buildSearchFieldsStage(filters, sortBy, taxonomy = null) {
+  return {
+    $addFields: {
+      match_score: buildMatchScoreExpression(filters, taxonomy),
+      is_featured: {
+        $cond: [{ $eq: ["$listingType", FEATURED_LISTING_TYPE] }, 1, 0],
+      },
+      _sortValue: buildSortValueExpression(sortBy),
+    },
+  };
+}
+
+/**
+ * Sort keys for search results
+ * Stage 1: featured ads first
+ * Stage 2: user-selected sorting
+ * Stage 3: match score
+ * Stage 4: creation date (newest first), then _id for a stable order
+ *
+ * @param {string} order - "asc" or "desc"
+ * @returns {Array<{field: string, direction: number}>} - Ordered sort keys
+ */
+export const getSearchSortKeys = (order = "desc") => [
+  { field: "is_featured", direction: -1 },
+  { field: "_sortValue", direction: order === "desc" ? -1 : 1 },
+  { field: "match_score", direction: -1 },
+  { field: "createdAt", direction: -1 },
+  { field: "_id", direction: -1 },
+];
+
+/**
+ * Sort keys for plain listing (getAllAds): stored sort field, ties broken
+ * on _id - matches a { <field>, _id } index
+ * @param {string} sortBy - Requested sort field
+ * @param {string} order - "asc" or "desc"
+ * @returns {Array<{field: string, direction: number}>} - Ordered sort keys
+ */
+export const getListingSortKeys = (sortBy, order = "desc") => {
+  const direction = order === "desc" ? -1 : 1;
+  return [
+    { field: resolveListingSortField(sortBy), direction },
+    { field: "_id", direction },
+  ];
+};
+
+/**
+ * Build $sort stage from ordered sort keys
+ * @param {Array<{field: string, direction: number}>} sortKeys - Sort keys
+ * @returns {Object} - $sort stage
+ */
+export const buildSortStage = (sortKeys) => ({
+  $sort: Object.fromEntries(
+    sortKeys.map(({ field, direction }) => [field, direction])
+  ),
+});
+
+/**
+ * Remove helper fields added for sorting before sending results
+ * @param {Object} ad - Aggregated ad
+ * @returns {Object} - Ad without internal fields
+ */
+export const stripInternalFields = (ad) => {
+  const rest = { ...ad };
+  delete rest._sortValue;
+  return rest;
+};
+
+/**
+ * Build initial stages: $geoNear for geo searches, plain $match otherwise
+ * @param {Object} filter - $match filter
+ * @param {Object|null} geo - Geo search parameters (see adGeo.resolveGeoQuery)
+ * @returns {Array<Object>} - Initial pipeline stages
+ */
+export const buildMatchStages = (filter, geo) =>
+  geo
+    ? [buildGeoNearStage(geo, filter), buildDistanceRoundingStage()]
+    : [{ $match: filter }];
+
+/**
+ * Build full paginated search pipeline
+ * @param {Object} params
+ * @param {Object} params.filter - $match filter
+ * @param {Object} params.query - Raw search query used for scoring
+ * @param {string} params.sortBy - User-selected sort field
+ * @param {string} params.order - Sort order
+ * @param {number} params.skip - Number of documents to skip
+ * @param {number} params.limit - Page size
+ * @param {Object|null} params.geo - Geo search parameters
+ * @param {Object|null} params.taxonomy - Taxonomy index (scoring)
+ * @returns {Array<Object>} - Aggregation pipeline
+ */
+export function buildSearchPipeline({
+  filter,
+  query,
+  sortBy,
+  order,
+  skip,
+  limit,
+  geo = null,
+  taxonomy = null,
+}) {
+  return [
+    ...buildMatchStages(filter, geo),
+    buildSearchFieldsStage(query, sortBy, taxonomy),
+    buildSortStage(getSearchSortKeys(order)),
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { _sortValue: 0 } },
+  ];
+}
+
+/**
+ * Build keyset-paginated search pipeline
+ * Fetches limit + 1 documents so the caller can tell if more pages exist
+ *
+ * @param {Object} params
+ * @param {Object} params.filter - $match filter
+ * @param {Object} params.query - Raw search query used for scoring
+ * @param {string} params.sortBy - User-selected sort field
+ * @param {string} params.order - Sort order
+ * @param {Array|null} params.after - Decoded cursor values (null for first page)
+ * @param {number} params.limit - Page size
+ * @param {Object|null} params.geo - Geo search parameters
+ * @param {Object|null} params.taxonomy - Taxonomy index (scoring)
+ * @returns {Array<Object>} - Aggregation pipeline
+ */
+export function buildSearchCursorPipeline({
+  filter,
+  query,
+  sortBy,
+  order,
+  after,
+  limit,
+  geo = null,
+  taxonomy = null,
+}) {
+  const sortKeys = getSearchSortKeys(order);
+
+  return [
+    ...buildMatchStages(filter, geo),
+    buildSearchFieldsStage(query, sortBy, taxonomy),
+    ...(after ? [buildKeysetMatchStage(sortKeys, after)] : []),
+    buildSortStage(sortKeys),
+    { $limit: limit + 1 },
+  ];
+}
+
+/**
+ * Build keyset-paginated listing pipeline (no relevance scoring)
+ * Seek and sort run on stored fields in the first stages, so an index
+ * can serve them.
+ * @param {Object} params
+ * @param {Object} params.filter - $match filter
+ * @param {string} params.sortBy - User-selected sort field
+ * @param {string} params.order - Sort order
+ * @param {Array|null} params.after - Decoded cursor values (null for first page)
+ * @param {number} params.limit - Page size
+ * @param {Object} params.projection - Fields to return
+ * @returns {Array<Object>} - Aggregation pipeline
+ */
+export function buildListingCursorPipeline({
+  filter,
+  sortBy,
+  order,
+  after,
+  limit,
+  projection,
+}) {
+  const sortKeys = getListingSortKeys(sortBy, order);
+
+  return [
+    {
+      $match: after
+        ? { $and: [filter, buildKeysetCondition(sortKeys, after)] }
+        : filter,
+    },
+    buildSortStage(sortKeys),
+    { $limit: limit + 1 },
+    { $project: { ...projection, [sortKeys[0].field]: 1 } },
+  ];
+}
+
+export default {
+  buildMatchStages,
+  resolveSortField,
+  resolveListingSortField,
+  buildSortValueExpression,
+  buildMatchScoreExpression,
+  buildSearchFieldsStage,
+  getSearchSortKeys,
+  getListingSortKeys,
+  buildSortStage,
+  stripInternalFields,
+  buildSearchPipeline,
+  buildSearchCursorPipeline,
+  buildListingCursorPipeline,
+};
@@ -0,0 +1,309 @@
+/**
+ * Ad Similarity - Weighted, explainable similar-ads ranking
+ *
+ * Features:
+ * - Single scored query instead of hard-coded fallback levels
+ * - Weighs brand/model, price proximity, year, mileage, body type,
+ *   fuel type, transmission and power
+ * - Every result carries its score and the reasons it matched
+ *   (e.g. "same model, ±8% price")
+ */
+
+import { getVisibleStatusFilter } from "./adLifecycle.js";
+
+// Score weights (max 100 points in total)
+const WEIGHTS = {
+  model: 20,
+  brand: 10,
+  price: 25,
+  year: 15,
+  mileage: 10,
+  bodyType: 8,
+  fuelType: 5,
+  transmission: 3,
+  power: 4,
+};
+
+// Relative/absolute distances at which a numeric component drops to 0
+const PRICE_TOLERANCE = 0.3;
+const YEAR_TOLERANCE = 6;
+const MILEAGE_TOLERANCE = 0.6;
+const POWER_TOLERANCE = 0.35;
+
+// Minimum mileage used as denominator (avoids huge ratios for new cars)
+const MIN_MILEAGE_BASE = 20000;
+
+// Close enough to be mentioned as a reason
+const REASON_PRICE_PERCENT = 15;
+const REASON_YEAR_DIFF = 2;
+const REASON_MILEAGE_PERCENT = 25;
+
+/* ---- Helpers ---- */
+
+/**
+ * Linear closeness: 1 when equal, 0 at tolerance and beyond
+ * @param {string} field - Ad field
+ * @param {number} target - Value of the current ad
+ * @param {number} tolerance - Distance at which score reaches 0
+ * @returns {Object} - Aggregation expression (0-1)
+ */
+const closenessExpression = (field, target, tolerance) => ({
+  $cond: [
+    { $isNumber: `$${field}` },
+    {
+      $max: [
+        0,
+        {
+          $subtract: [
+            1,
+            {
+              $divide: [
+                { $abs: { $subtract: [`$${field}`, target] } },
+                tolerance,
+              ],
+            },
+          ],
+        },
+      ],
+    },
+    0,
+  ],
+});
+
+// Value as $literal - ad strings starting with "$" must not become paths
+const equalsExpression = (field, value) => ({
+  $cond: [{ $eq: [`$${field}`, { $literal: value }] }, 1, 0],
+});
+
+const hasNumber = (value) => typeof value === "number" && value > 0;
+
+/**
+ * Build component expressions for the current ad
+ * Components without reference value on the current ad are skipped
+ * @param {Object} ad - Current ad
+ * @returns {Object} - Map of component -> expression (0-1)
+ */
+const buildComponents = (ad) => {
+  const components = {
+    brand: equalsExpression("brand", ad.brand),
+    model: {
+      $cond: [
+        {
+          $and: [
+            { $eq: ["$brand", { $literal: ad.brand }] },
+            { $eq: ["$model", { $literal: ad.model }] },
+          ],
+        },
+        1,
+        0,
+      ],
+    },
+  };
+
+  if (hasNumber(ad.price)) {
+    components.price = closenessExpression(
+      "price",
+      ad.price,
+      ad.price * PRICE_TOLERANCE
+    );
+  }
+  if (hasNumber(ad.year)) {
+    components.year = closenessExpression("year", ad.year, YEAR_TOLERANCE);
+  }
+  if (typeof ad.mileage === "number") {
+    components.mileage = closenessExpression(
+      "mileage",
+      ad.mileage,
+      Math.max(ad.mileage, MIN_MILEAGE_BASE) * MILEAGE_TOLERANCE
+    );
+  }
+  if (hasNumber(ad.power)) {
+    components.power = closenessExpression(
+      "power",
+      ad.power,
+      ad.power * POWER_TOLERANCE
+    );
+  }
+
+  for (const field of ["bodyType", "fuelType", "transmission"]) {
+    if (ad[field]) components[field] = equalsExpression(field, ad[field]);
+  }
+
+  return components;
+};
+
+/**
+ * Candidate prefilter - anything sharing brand or body type, or priced
+ * within tolerance. Keeps the scored set small without excluding
+ * similarly priced cars of other brands.
+ * @param {Object} ad - Current ad
+ * @returns {Object} - MongoDB filter
+ */
+const buildCandidateFilter = (ad) => {
+  const alternatives = [{ brand: ad.brand }];
+
+  if (ad.bodyType) alternatives.push({ bodyType: ad.bodyType });
+  if (hasNumber(ad.price)) {
+    alternatives.push({
+      price: {
+        $gte: ad.price * (1 - PRICE_TOLERANCE),
+        $lte: ad.price * (1 + PRICE_TOLERANCE),
+      },
+    });
+  }
+
+  return {
+    status: getVisibleStatusFilter(),
+    _id: { $ne: ad._id },
+    $or: alternatives,
+  };
+};
+
+/* ---- Pipeline ---- */
+
+/**
+ * Build similar-ads aggregation pipeline
+ * @param {Object} ad - Current ad
+ * @param {Object} options - { limit, projection }
+ * @returns {Array} - Aggregation pipeline
+ */
+export function buildSimilarAdsPipeline(ad, { limit, projection }) {
+  const components = buildComponents(ad);
+
+  const score = {
+    $add: Object.keys(components).map((key) => ({
+      $multiply: [`$_similarity.${key}`, WEIGHTS[key]],
+    })),
+  };
+
+  return [
+    { $match: buildCandidateFilter(ad) },
+    { $addFields: { _similarity: components } },
+    { $addFields: { similarityScore: { $round: [score, 1] } } },
+    { $sort: { similarityScore: -1, createdAt: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $project: {
+        ...Object.fromEntries(projection.split(" ").map((field) => [field, 1])),
+        similarityScore: 1,
+      },
+    },
+  ];
+}
+
+/* ---- Explanation ---- */
+
+const percentDiff = (value, reference) =>
+  Math.round((Math.abs(value - reference) / reference) * 100);
+
+/**
+ * Explain why an ad matched
+ * @param {Object} ad - Current ad
+ * @param {Object} similar - Similar ad
+ * @returns {Array<Object>} - Reasons [{ code, value? }], strongest first
+ */
+export function explainSimilarity(ad, similar) {
+  const reasons = [];
+
+  if (similar.brand === ad.brand && similar.model === ad.model) {
+    reasons.push({ code: "same_model" });
+  } else if (similar.brand === ad.brand) {
+    reasons.push({ code: "same_brand" });
+  }
+
+  if (hasNumber(ad.price) && typeof similar.price === "number") {
+    const diff = percentDiff(similar.price, ad.price);
+    if (diff <= REASON_PRICE_PERCENT) {
+      reasons.push({ code: "similar_price", value: diff });
+    }
+  }
+
+  if (hasNumber(ad.year) && typeof similar.year === "number") {
+    const diff = Math.abs(similar.year - ad.year);
+    if (diff <= REASON_YEAR_DIFF) {
+      reasons.push({
+        code: diff === 0 ? "same_year" : "similar_year",
+        value: diff,
+      });
+    }
+  }
+
+  if (typeof ad.mileage === "number" && typeof similar.mileage === "number") {
+    const diff = Math.round(
+      (Math.abs(similar.mileage - ad.mileage) /
+        Math.max(ad.mileage, MIN_MILEAGE_BASE)) *
+        100
+    );
+    if (diff <= REASON_MILEAGE_PERCENT) {
+      reasons.push({ code: "similar_mileage", value: diff });
+    }
+  }
+
+  for (const field of ["bodyType", "fuelType", "transmission"]) {
+    if (ad[field] && similar[field] === ad[field]) {
+      reasons.push({ code: `same_${field}`, value: ad[field] });
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * Format reasons as short English summary
+ * @param {Array<Object>} reasons - Reasons from explainSimilarity
+ * @returns {string} - e.g. "same model, ±8% price"
+ */
+export function formatReasons(reasons) {
+  return reasons
+    .map(({ code, value }) => {
+      switch (code) {
+        case "same_model":
+          return "same model";
+        case "same_brand":
+          return "same brand";
+        case "similar_price":
+          return `±${value}% price`;
+        case "same_year":
+          return "same year";
+        case "similar_year":
+          return `±${value} ${value === 1 ? "year" : "years"}`;
+        case "similar_mileage":
+          return `±${value}% mileage`;
+        case "same_bodyType":
+          return "same body type";
+        case "same_fuelType":
+          return "same fuel";
+        case "same_transmission":
+          return "same transmission";
+        default:
+          return null;
+      }
+    })
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Attach explanation to aggregation results
+ * @param {Object} ad - Current ad
+ * @param {Array<Object>} results - Pipeline results
+ * @returns {Array<Object>} - Similar ads with reasons
+ */
+export function withExplanation(ad, results) {
+  return results.map((similar) => {
+    const reasons = explainSimilarity(ad, similar);
+
+    return {
+      ...similar,
+      matchReasons: reasons,
+      matchExplanation: formatReasons(reasons),
+    };
+  });
+}
+
+export default {
+  buildSimilarAdsPipeline,
+  explainSimilarity,
+  formatReasons,
+  withExplanation,
+};
@@ -0,0 +1,313 @@
+/**
+ * Ad Text Search - Free-text "q" search over ad text fields
+ *
+ * Features:
+ * - Searches headline, title, description, brand and model
+ * - Diacritic folding ("skora" matches "skóra", "skoda" matches "Škoda")
+ * - Light Polish stemming (inflected forms match: "octavii" -> "octav")
+ * - Every query word must match at least one field (AND semantics)
+ * - Filter runs on an indexed "searchTerms" field (folded words and their
+ *   stems, kept up to date by a mongoose plugin) with anchored prefixes
+ * - Field-weighted relevance folded into match_score
+ *
+ * Setup: register plugin on Ad schema - AdSchema.plugin(adTextSearchPlugin)
+ * and run backfillAdSearchTerms(Ad) once for existing ads.
+ */
+
+import logger from "../../utils/logger.js";
+
+// Searched fields and relevance points per matched word
+const TEXT_FIELDS = {
+  brand: 20,
+  model: 20,
+  headline: 10,
+  title: 10,
+  description: 5,
+};
+
+// Maximum number of words taken from the query
+const MAX_QUERY_TERMS = 8;
+
+// Minimum stem length - shorter stems match too much
+const MIN_STEM_LENGTH = 3;
+
+// Maximum number of terms stored per ad (long descriptions)
+const MAX_AD_TERMS = 400;
+
+// Common Polish inflection suffixes (on folded text), longest first
+const POLISH_SUFFIXES = [
+  "owie",
+  "ami",
+  "ach",
+  "ego",
+  "emu",
+  "ymi",
+  "imi",
+  "ich",
+  "ych",
+  "iem",
+  "ow",
+  "om",
+  "ie",
+  "ia",
+  "ii",
+  "ym",
+  "im",
+  "ej",
+  "em",
+  "a",
+  "e",
+  "i",
+  "o",
+  "u",
+  "y",
+];
+
+const STOP_WORDS = new Set(["na", "do", "od", "po", "za", "ze", "bez", "dla"]);
+
+// Characters matched for each folded letter (lower and upper case)
+const DIACRITIC_VARIANTS = {
+  a: "aąáäAĄÁÄ",
+  c: "cćčCĆČ",
+  e: "eęéěEĘÉĚ",
+  l: "lłLŁ",
+  n: "nńňNŃŇ",
+  o: "oóöOÓÖ",
+  s: "sśšSŚŠ",
+  u: "uúüůUÚÜŮ",
+  z: "zźżžZŹŻŽ",
+};
+
+/* ------------------------------- Helpers ------------------------------- */
+
+/**
+ * Lowercase and strip diacritics (ł has no decomposition - mapped manually)
+ * @param {string} text - Input text
+ * @returns {string} - Folded text
+ */
+export const foldDiacritics = (text = "") =>
+  String(text)
+    .toLowerCase()
+    .replace(/ł/g, "l")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+
+/**
+ * Reduce folded Polish word to its stem
+ * @param {string} word - Folded word
+ * @returns {string} - Stem
+ */
+export const stemPolish = (word) => {
+  if (/^\d+$/.test(word)) return word;
+
+  for (const suffix of POLISH_SUFFIXES) {
+    if (
+      word.endsWith(suffix) &&
+      word.length - suffix.length >= MIN_STEM_LENGTH
+    ) {
+      return word.slice(0, -suffix.length);
+    }
+  }
+  return word;
+};
+
+// Folded words of a text, without stop words
+const splitWords = (text) =>
+  foldDiacritics(text)
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length >= 2 && !STOP_WORDS.has(word));
+
+/**
+ * Split query into unique stems
+ * @param {string} q - Raw query
+ * @returns {Array<string>} - Stems
+ */
+export const tokenizeQuery = (q) => {
+  if (typeof q !== "string") return [];
+
+  const stems = splitWords(q).map(stemPolish);
+
+  return [...new Set(stems)].slice(0, MAX_QUERY_TERMS);
+};
+
+/**
+ * Terms stored on the ad for the indexed filter - folded words of the
+ * searched fields and their stems
+ * @param {Object} ad - Ad (searched fields)
+ * @returns {Array<string>} - Unique terms
+ */
+export const buildSearchTerms = (ad) => {
+  const terms = new Set();
+
+  for (const field of Object.keys(TEXT_FIELDS)) {
+    if (typeof ad[field] !== "string") continue;
+    for (const word of splitWords(ad[field])) {
+      terms.add(word);
+      terms.add(stemPolish(word));
+    }
+  }
+
+  return [...terms].slice(0, MAX_AD_TERMS);
+};
+
+/**
+ * Build diacritic-insensitive regex source for a stem
+ * @param {string} stem - Folded stem (a-z0-9 only)
+ * @returns {string} - Regex source
+ */
+const stemToPattern = (stem) =>
+  stem
+    .split("")
+    .map((char) =>
+      DIACRITIC_VARIANTS[char] ? `[${DIACRITIC_VARIANTS[char]}]` : char
+    )
+    .join("");
+
+/**
+ * String field or empty string (regex operators require strings)
+ * @param {string} field - Field name
+ * @returns {Object} - Aggregation expression
+ */
+const stringField = (field) => ({
+  $cond: [{ $eq: [{ $type: `$${field}` }, "string"] }, `$${field}`, ""],
+});
+
+/* ------------------------------ Query parts ------------------------------ */
+
+/**
+ * Build filter conditions for text query
+ * Each word must start a term of the ad - anchored, case-sensitive prefix
+ * on folded terms, so the searchTerms index serves it
+ * @param {string} q - Raw query
+ * @returns {Array<Object>} - Conditions to add to $and (empty if no query)
+ */
+export function buildTextFilterConditions(q) {
+  // Stems contain a-z0-9 only - nothing to escape
+  return tokenizeQuery(q).map((stem) => ({
+    searchTerms: new RegExp(`^${stem}`),
+  }));
+}
+
+/**
+ * Build text relevance expression
+ * Sum of field weights for every (word, field) pair that matches
+ * @param {string} q - Raw query
+ * @returns {Object|null} - Aggregation expression (null if no query)
+ */
+export function buildTextScoreExpression(q) {
+  const stems = tokenizeQuery(q);
+  if (stems.length === 0) return null;
+
+  const terms = stems.flatMap((stem) =>
+    Object.entries(TEXT_FIELDS).map(([field, points]) => ({
+      $cond: [
+        {
+          $regexMatch: {
+            input: stringField(field),
+            regex: stemToPattern(stem),
+            options: "i",
+          },
+        },
+        points,
+        0,
+      ],
+    }))
+  );
+
+  return { $add: terms };
+}
+
+/* -------------------------------- Plugin -------------------------------- */
+
+/**
+ * Mongoose plugin keeping Ad.searchTerms in sync with the searched fields
+ * - save(): new ads and changed text fields
+ * - findOneAndUpdate()/updateOne(): when update touches text fields
+ *
+ * @param {Object} schema - Mongoose schema
+ */
+export function adTextSearchPlugin(schema) {
+  schema.add({
+    searchTerms: { type: [String], default: undefined, select: false },
+  });
+
+  schema.index({ searchTerms: 1 });
+
+  schema.pre("save", function (next) {
+    const fields = Object.keys(TEXT_FIELDS);
+    if (this.isNew || fields.some((field) => this.isModified(field))) {
+      this.searchTerms = buildSearchTerms(this);
+    }
+    next();
+  });
+
+  schema.pre(["findOneAndUpdate", "updateOne"], async function () {
+    const update = this.getUpdate() || {};
+    if (Array.isArray(update)) return;
+
+    const fields = Object.keys(TEXT_FIELDS);
+    const target = update.$set || update;
+    if (!fields.some((field) => target[field] !== undefined)) return;
+
+    // Partial update (e.g. only description) - fill in stored values
+    const existing = fields.every((field) => field in target)
+      ? {}
+      : await this.model
+          .findOne(this.getQuery())
+          .select(fields.join(" "))
+          .lean();
+
+    target.searchTerms = buildSearchTerms({ ...existing, ...target });
+    this.setUpdate(update);
+  });
+}
+
+/**
+ * Fill searchTerms of ads saved before the plugin was registered
+ * @param {Object} Ad - Ad model
+ * @param {number} batchSize - Number of ads updated per bulk write
+ * @returns {Promise<number>} - Number of ads updated
+ */
+export async function backfillAdSearchTerms(Ad, batchSize = 500) {
+  const cursor = Ad.find({ searchTerms: { $exists: false } })
+    .select(Object.keys(TEXT_FIELDS).join(" "))
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const ad of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: ad._id },
+        update: { $set: { searchTerms: buildSearchTerms(ad) } },
+      },
+    });
+
+    if (operations.length >= batchSize) {
+      await Ad.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Ad.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  logger.info("Ad search terms backfilled", { updated });
+  return updated;
+}
+
+export default {
+  foldDiacritics,
+  stemPolish,
+  tokenizeQuery,
+  buildSearchTerms,
+  buildTextFilterConditions,
+  buildTextScoreExpression,
+  adTextSearchPlugin,
+  backfillAdSearchTerms,
+};
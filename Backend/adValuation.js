@@ -0,0 +1,252 @@
+/**
+ * Ad Valuation - Market price estimate from comparable listings
+ *
+ * Features:
+ * - Comparables: active and recently sold ads of the same brand/model
+ *   (canonical brandId / modelId, aliases for ads not backfilled yet)
+ * - Multi-level fallback (generation/fuel/year/mileage constraints widen
+ *   step by step, same idea as getSimilarAds)
+ * - IQR outlier trimming, then p25 / median / p75 price band
+ * - Label: below / at / above market
+ * - IDs of every comparable used, plus a preview of the closest ones
+ */
+
+import Ad from "../../models/listings/ad.js";
+import {
+  AD_STATUS,
+  getStoredStatuses,
+  getVisibleStatusFilter,
+} from "./adLifecycle.js";
+import { loadTaxonomy, resolveVehicleSearch } from "./vehicleTaxonomy.js";
+import { buildVehicleConditions } from "./adSearchFilters.js";
+
+// Minimum number of comparables needed for an estimate
+export const MIN_COMPARABLES = 5;
+
+// Maximum number of comparables taken into account
+const MAX_COMPARABLES = 200;
+
+// Sold ads older than this are not representative anymore
+const SOLD_LOOKBACK_DAYS = 180;
+
+// Closest comparables returned in full (the rest as IDs only)
+const COMPARABLES_PREVIEW_SIZE = 10;
+
+/**
+ * Matching levels - from most to least specific
+ * yearRange: ± years, mileageRatio: ± fraction of ad mileage
+ */
+const MATCH_LEVELS = [
+  {
+    name: "generation",
+    generation: true,
+    fuelType: true,
+    yearRange: 2,
+    mileageRatio: 0.3,
+  },
+  { name: "model_fuel", fuelType: true, yearRange: 3, mileageRatio: 0.5 },
+  { name: "model", yearRange: 4, mileageRatio: null },
+];
+
+/**
+ * Linear interpolation percentile on sorted array
+ * @param {Array<number>} sorted - Sorted values
+ * @param {number} p - Percentile (0-1)
+ * @returns {number} - Percentile value
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 1) return sorted[0];
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+/**
+ * Remove outliers outside 1.5 * IQR
+ * @param {Array<Object>} comparables - Ads with price
+ * @returns {Array<Object>} - Comparables without outliers
+ */
+const trimOutliers = (comparables) => {
+  if (comparables.length < 4) return comparables;
+
+  const sorted = comparables.map((ad) => ad.price).sort((a, b) => a - b);
+  const q1 = percentile(sorted, 0.25);
+  const q3 = percentile(sorted, 0.75);
+  const fence = 1.5 * (q3 - q1);
+
+  return comparables.filter(
+    (ad) => ad.price >= q1 - fence && ad.price <= q3 + fence
+  );
+};
+
+/**
+ * Brand / model conditions of the valued ad, resolved through taxonomy
+ * @param {Object} ad - Valued ad
+ * @returns {Promise<Array<Object>>} - Conditions for $and
+ */
+const buildVehicleMatch = async (ad) => {
+  const brand = ad.brandId || ad.brand;
+  const model = ad.modelId || ad.model;
+
+  return buildVehicleConditions(
+    resolveVehicleSearch(await loadTaxonomy(), {
+      brands: brand ? [brand] : [],
+      models: model ? [model] : [],
+    })
+  );
+};
+
+/**
+ * Build comparables filter for given match level
+ * @param {Object} ad - Valued ad
+ * @param {Object} level - Match level config
+ * @param {Array<Object>} vehicleConditions - See buildVehicleMatch
+ * @returns {Object} - MongoDB filter
+ */
+const buildComparablesFilter = (ad, level, vehicleConditions) => {
+  const soldSince = new Date(
+    Date.now() - SOLD_LOOKBACK_DAYS * 24 * 60 * 60 * 1000
+  );
+  const soldStatuses = { $in: getStoredStatuses([AD_STATUS.SOLD]) };
+
+  const filter = {
+    _id: { $ne: ad._id },
+    price: { $gt: 0 },
+    $and: [
+      ...vehicleConditions,
+      {
+        $or: [
+          { status: getVisibleStatusFilter() },
+          { status: soldStatuses, soldAt: { $gte: soldSince } },
+          // Sold before lifecycle tracking - no soldAt
+          {
+            status: soldStatuses,
+            soldAt: { $exists: false },
+            updatedAt: { $gte: soldSince },
+          },
+        ],
+      },
+    ],
+  };
+
+  if (level.generation && ad.generation) filter.generation = ad.generation;
+  if (level.fuelType && ad.fuelType) filter.fuelType = ad.fuelType;
+
+  if (ad.year) {
+    filter.year = {
+      $gte: ad.year - level.yearRange,
+      $lte: ad.year + level.yearRange,
+    };
+  }
+
+  if (level.mileageRatio && ad.mileage) {
+    filter.mileage = {
+      $gte: Math.floor(ad.mileage * (1 - level.mileageRatio)),
+      $lte: Math.ceil(ad.mileage * (1 + level.mileageRatio)),
+    };
+  }
+
+  return filter;
+};
+
+/**
+ * Order comparables by closeness to the ad (year, then mileage)
+ * @param {Object} ad - Valued ad
+ * @param {Array<Object>} comparables - Comparables
+ * @returns {Array<Object>} - New sorted array
+ */
+const sortByCloseness = (ad, comparables) =>
+  [...comparables].sort(
+    (a, b) =>
+      Math.abs((a.year || 0) - (ad.year || 0)) -
+        Math.abs((b.year || 0) - (ad.year || 0)) ||
+      Math.abs((a.mileage || 0) - (ad.mileage || 0)) -
+        Math.abs((b.mileage || 0) - (ad.mileage || 0))
+  );
+
+/**
+ * Comparables part of the response
+ * @param {Object} ad - Valued ad
+ * @param {Array<Object>} used - Comparables after outlier trimming
+ * @returns {Object} - { comparablesUsed, comparableIds, comparablesPreview }
+ */
+const describeComparables = (ad, used) => {
+  const sorted = sortByCloseness(ad, used);
+  return {
+    comparablesUsed: sorted.length,
+    comparableIds: sorted.map((comparable) => comparable._id),
+    comparablesPreview: sorted.slice(0, COMPARABLES_PREVIEW_SIZE),
+  };
+};
+
+/**
+ * Estimate market value of an ad
+ * @param {Object} ad - Ad document or plain object
+ * @returns {Promise<Object>} - Valuation result
+ */
+export async function estimateMarketValue(ad) {
+  let comparables = [];
+  let matchLevel = null;
+  const vehicleConditions = await buildVehicleMatch(ad);
+
+  // Try each match level until we have enough comparables
+  for (const level of MATCH_LEVELS) {
+    comparables = await Ad.find(
+      buildComparablesFilter(ad, level, vehicleConditions)
+    )
+      .sort({ createdAt: -1 })
+      .limit(MAX_COMPARABLES)
+      .select(
+        "_id headline brand model generation year mileage fuelType price status mainImage createdAt"
+      )
+      .lean();
+    matchLevel = level.name;
+
+    if (comparables.length >= MIN_COMPARABLES) break;
+  }
+
+  const used = trimOutliers(comparables);
+
+  if (used.length < MIN_COMPARABLES) {
+    return {
+      price: ad.price ?? null,
+      currency: "PLN",
+      label: "insufficient_data",
+      band: null,
+      matchLevel,
+      ...describeComparables(ad, used),
+    };
+  }
+
+  const prices = used
+    .map((comparable) => comparable.price)
+    .sort((a, b) => a - b);
+  const band = {
+    p25: Math.round(percentile(prices, 0.25)),
+    median: Math.round(percentile(prices, 0.5)),
+    p75: Math.round(percentile(prices, 0.75)),
+  };
+
+  let label = "at_market";
+  if (typeof ad.price === "number") {
+    if (ad.price < band.p25) label = "below_market";
+    else if (ad.price > band.p75) label = "above_market";
+  }
+
+  return {
+    price: ad.price ?? null,
+    currency: "PLN",
+    label,
+    band,
+    differenceFromMedian:
+      typeof ad.price === "number" ? ad.price - band.median : null,
+    matchLevel,
+    ...describeComparables(ad, used),
+  };
+}
+
+export default {
+  MIN_COMPARABLES,
+  estimateMarketValue,
+};
@@ -0,0 +1,40 @@
+/**
+ * AdView Model - Unique viewers of an ad per day
+ *
+ * One document per (ad, day, viewer). Viewer is a user ID or a salted
+ * hash of IP + user agent - no raw IP is stored. Unique index makes
+ * counting idempotent; documents expire after a few days.
+ */
+
+import mongoose from "mongoose";
+
+// Kept long enough to dedupe late batches around midnight
+const VIEW_TTL_SECONDS = 3 * 24 * 60 * 60;
+
+const adViewSchema = new mongoose.Schema({
+  ad: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ad",
+    required: true,
+  },
+  // "YYYY-MM-DD" in stats time zone
+  day: {
+    type: String,
+    required: true,
+  },
+  viewer: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: VIEW_TTL_SECONDS,
+  },
+});
+
+adViewSchema.index({ ad: 1, day: 1, viewer: 1 }, { unique: true });
+
+const AdView = mongoose.model("AdView", adViewSchema);
+
+export default AdView;
@@ -0,0 +1,471 @@
+/**
+ * Ad View Tracker - Unique view and favourite counters with batched writes
+ *
+ * Features:
+ * - Unique viewers per ad per day: logged-in user ID, otherwise
+ *   HMAC(day + IP + user agent) - raw IPs are never stored
+ * - Bots, crawlers, link previews and the ad owner are not counted
+ * - Hits buffered in memory and flushed in bulk (interval or buffer size);
+ *   a failed write puts its part back into the buffers for the next flush
+ * - Dedupe across flushes and instances via AdView unique index
+ * - Daily series (AdDailyStats) for the ad owner, Ad.views total kept
+ *   in sync
+ */
+
+import crypto from "crypto";
+import mongoose from "mongoose";
+import Ad from "../../models/listings/ad.js";
+import AdView from "./adView.js";
+import AdDailyStats from "./adDailyStats.js";
+import logger from "../../utils/logger.js";
+
+// Default interval between flushes (30 seconds)
+const DEFAULT_FLUSH_INTERVAL_MS = 30 * 1000;
+
+// Flush early when this many hits are buffered
+const MAX_BUFFERED_HITS = 1000;
+
+// Days are counted in the marketplace time zone
+export const STATS_TIME_ZONE = "Europe/Warsaw";
+
+export const MAX_STATS_DAYS = 365;
+
+const isProd = process.env.NODE_ENV === "production";
+const VIEWER_SECRET =
+  process.env.VIEW_HASH_SECRET ||
+  process.env.RL_SECRET ||
+  "change-me-in-production";
+
+// Enforce secret key in production (safety check)
+if (isProd && VIEWER_SECRET === "change-me-in-production") {
+  throw new Error("VIEW_HASH_SECRET must be set in production");
+}
+
+const BOT_USER_AGENT =
+  /bot|crawl|spider|slurp|archiver|facebookexternalhit|whatsapp|telegram|preview|headless|phantom|lighthouse|pingdom|uptime|curl|wget|python|java\/|go-http|axios|node-fetch|okhttp|postman/i;
+
+const dayFormatter = new Intl.DateTimeFormat("en-CA", {
+  timeZone: STATS_TIME_ZONE,
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * Stats day of a date ("YYYY-MM-DD" in STATS_TIME_ZONE)
+ * @param {Date} [date] - Date
+ * @returns {string} - Day key
+ */
+export const getStatsDay = (date = new Date()) => dayFormatter.format(date);
+
+/**
+ * Detect bots and non-browser clients
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean} - True when the hit should be ignored
+ */
+export const isBot = (userAgent) =>
+  !userAgent || userAgent.length < 10 || BOT_USER_AGENT.test(userAgent);
+
+/**
+ * Viewer key for deduplication
+ * @param {Object} viewer - { userId, ip, userAgent }
+ * @param {string} day - Stats day
+ * @returns {string} - "u:<userId>" or "a:<hash>"
+ */
+export const getViewerKey = ({ userId, ip, userAgent }, day) =>
+  userId
+    ? `u:${userId}`
+    : `a:${crypto
+        .createHmac("sha256", VIEWER_SECRET)
+        .update(`${day}|${ip}|${userAgent}`)
+        .digest("base64url")}`;
+
+// Add counts of one map into another
+const addCounts = (target, source) => {
+  for (const [key, count] of source) {
+    target.set(key, (target.get(key) || 0) + count);
+  }
+};
+
+// Entries of a map under the given keys
+const pickKeys = (map, keys) =>
+  new Map(
+    [...keys].filter((key) => map.has(key)).map((key) => [key, map.get(key)])
+  );
+
+/**
+ * Unordered bulk write reporting which operations failed
+ * @param {Object} Model - Mongoose model
+ * @param {Array<Object>} operations - Bulk operations
+ * @returns {Promise<Array<number>>} - Indexes of failed operations
+ * @throws {Error} - When it is unknown which operations were written
+ */
+const bulkWriteUnordered = async (Model, operations) => {
+  try {
+    await Model.bulkWrite(operations, { ordered: false });
+    return [];
+  } catch (error) {
+    const writeErrors = [].concat(error.writeErrors || []);
+    if (writeErrors.length === 0) throw error;
+    return writeErrors.map((writeError) => writeError.index);
+  }
+};
+
+/**
+ * AdViewTracker class - buffers hits and writes counters in bulk
+ * @class
+ */
+class AdViewTracker {
+  constructor() {
+    this.timer = null;
+    this.isFlushing = false;
+    // "adId|day" -> Set of viewer keys
+    this.views = new Map();
+    // "adId|day" -> { added, removed }
+    this.favorites = new Map();
+    // "adId|day" -> unique views recorded, daily stats not written yet
+    this.countedViews = new Map();
+    // adId -> views not added to Ad.views yet
+    this.viewTotals = new Map();
+    this.bufferedHits = 0;
+  }
+
+  /**
+   * Start periodic flushes
+   * @param {number} intervalMs - Interval between flushes
+   */
+  start(intervalMs = DEFAULT_FLUSH_INTERVAL_MS) {
+    if (this.timer) {
+      logger.info("Ad view tracker already started");
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.flush().catch((error) =>
+        logger.error("Ad view flush failed", { error: error.message })
+      );
+    }, intervalMs);
+
+    logger.info("Ad view tracker started", { intervalMs });
+  }
+
+  /**
+   * Stop periodic flushes and write what is buffered
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Ad view tracker stopped");
+    }
+    await this.flush();
+  }
+
+  /**
+   * Record ad view
+   * @param {Object} ad - Ad (_id, owner)
+   * @param {Object} viewer - { userId, ip, userAgent }
+   * @returns {boolean} - True when the view was buffered
+   */
+  trackView(ad, viewer) {
+    if (isBot(viewer.userAgent)) return false;
+    if (viewer.userId && ad.owner?.toString() === viewer.userId.toString()) {
+      return false;
+    }
+
+    const day = getStatsDay();
+    const key = `${ad._id}|${day}`;
+    if (!this.views.has(key)) this.views.set(key, new Set());
+
+    const viewers = this.views.get(key);
+    const viewerKey = getViewerKey(viewer, day);
+    if (viewers.has(viewerKey)) return false;
+
+    viewers.add(viewerKey);
+    this.onHit();
+    return true;
+  }
+
+  /**
+   * Record favourite added (delta 1) or removed (delta -1)
+   * @param {string} adId - Ad ID
+   * @param {number} delta - 1 or -1
+   */
+  recordFavoriteChange(adId, delta) {
+    const key = `${adId}|${getStatsDay()}`;
+    const counters = this.favorites.get(key) || { added: 0, removed: 0 };
+
+    if (delta > 0) counters.added++;
+    else counters.removed++;
+
+    this.favorites.set(key, counters);
+    this.onHit();
+  }
+
+  onHit() {
+    this.bufferedHits++;
+    if (this.bufferedHits >= MAX_BUFFERED_HITS) {
+      this.flush().catch((error) =>
+        logger.error("Ad view flush failed", { error: error.message })
+      );
+    }
+  }
+
+  /**
+   * Write buffered hits
+   * Steps already written are not repeated - the failed step and the ones
+   * after it go back to the buffers. Of a partly failed counter write only
+   * the failed rows go back.
+   * @returns {Promise<{views: number, favorites: number}>} - Flush summary
+   */
+  async flush() {
+    if (this.isFlushing || this.bufferedHits === 0) {
+      return { views: 0, favorites: 0 };
+    }
+
+    this.isFlushing = true;
+    const views = this.views;
+    const favorites = this.favorites;
+    const counted = this.countedViews;
+    const totals = this.viewTotals;
+    this.views = new Map();
+    this.favorites = new Map();
+    this.countedViews = new Map();
+    this.viewTotals = new Map();
+    this.bufferedHits = 0;
+
+    let pending = { views, favorites, counted, totals };
+    try {
+      addCounts(counted, await this.writeViews(views));
+      pending = { favorites, counted, totals };
+
+      // Failed rows go back at once, written ones are not repeated
+      const failedStats = await this.writeDailyStats(counted, favorites);
+      this.restore({
+        favorites: pickKeys(favorites, failedStats),
+        counted: pickKeys(counted, failedStats),
+      });
+      for (const [key, count] of counted) {
+        if (failedStats.has(key)) continue;
+        const ad = key.split("|")[0];
+        totals.set(ad, (totals.get(ad) || 0) + count);
+      }
+      pending = { totals };
+
+      const failedTotals = await this.writeTotals(totals);
+      this.restore({ totals: pickKeys(totals, failedTotals) });
+
+      if (failedStats.size > 0 || failedTotals.length > 0) {
+        logger.warn("Ad view flush partly failed", {
+          dailyStats: failedStats.size,
+          totals: failedTotals.length,
+        });
+      }
+
+      const viewCount = [...counted.values()].reduce((a, b) => a + b, 0);
+      logger.debug("Ad view flush completed", {
+        views: viewCount,
+        favorites: favorites.size,
+      });
+      return { views: viewCount, favorites: favorites.size };
+    } catch (error) {
+      this.restore(pending);
+      throw error;
+    } finally {
+      this.isFlushing = false;
+    }
+  }
+
+  /**
+   * Put unwritten parts of a failed flush back (hits may have arrived
+   * meanwhile)
+   * @param {Object} pending - { views, favorites, counted, totals }
+   */
+  restore({ views, favorites, counted, totals }) {
+    let restored = 0;
+
+    for (const [key, viewers] of views || []) {
+      if (!this.views.has(key)) this.views.set(key, new Set());
+      viewers.forEach((viewer) => this.views.get(key).add(viewer));
+      restored += viewers.size;
+    }
+
+    for (const [key, { added, removed }] of favorites || []) {
+      const counters = this.favorites.get(key) || { added: 0, removed: 0 };
+      counters.added += added;
+      counters.removed += removed;
+      this.favorites.set(key, counters);
+      restored++;
+    }
+
+    if (counted) {
+      addCounts(this.countedViews, counted);
+      restored += counted.size;
+    }
+    if (totals) {
+      addCounts(this.viewTotals, totals);
+      restored += totals.size;
+    }
+
+    this.bufferedHits += restored;
+  }
+
+  /**
+   * Insert viewer records, skipping viewers already counted
+   * @param {Map} views - "adId|day" -> Set of viewer keys
+   * @returns {Promise<Map>} - "adId|day" -> number of new unique viewers
+   */
+  async writeViews(views) {
+    const keys = [];
+    const operations = [];
+
+    for (const [key, viewers] of views) {
+      const [ad, day] = key.split("|");
+      for (const viewer of viewers) {
+        keys.push(key);
+        operations.push({
+          updateOne: {
+            filter: { ad, day, viewer },
+            update: { $setOnInsert: { createdAt: new Date() } },
+            upsert: true,
+          },
+        });
+      }
+    }
+
+    if (operations.length === 0) return new Map();
+
+    let result;
+    try {
+      result = await AdView.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // Concurrent upsert of the same viewer - the others were written
+      if (error.code !== 11000 || !error.result) throw error;
+      result = error.result;
+    }
+
+    const newViews = new Map();
+    for (const index of Object.keys(result.upsertedIds || {})) {
+      const key = keys[index];
+      newViews.set(key, (newViews.get(key) || 0) + 1);
+    }
+    return newViews;
+  }
+
+  /**
+   * Increment daily stats
+   * @param {Map} newViews - "adId|day" -> new unique viewers
+   * @param {Map} favorites - "adId|day" -> { added, removed }
+   * @returns {Promise<Set<string>>} - "adId|day" keys not written
+   */
+  async writeDailyStats(newViews, favorites) {
+    const keys = [...new Set([...newViews.keys(), ...favorites.keys()])];
+    const statsOperations = [];
+
+    for (const key of keys) {
+      const [ad, day] = key.split("|");
+      const views = newViews.get(key) || 0;
+      const { added = 0, removed = 0 } = favorites.get(key) || {};
+
+      statsOperations.push({
+        updateOne: {
+          filter: { ad, day },
+          update: {
+            $inc: { views, favoritesAdded: added, favoritesRemoved: removed },
+          },
+          upsert: true,
+        },
+      });
+    }
+
+    if (statsOperations.length === 0) return new Set();
+
+    const failed = await bulkWriteUnordered(AdDailyStats, statsOperations);
+    return new Set(failed.map((index) => keys[index]));
+  }
+
+  /**
+   * Increment Ad.views totals
+   * @param {Map} totals - adId -> new unique viewers
+   * @returns {Promise<Array<string>>} - Ad IDs not written
+   */
+  async writeTotals(totals) {
+    const entries = [...totals].filter(([, views]) => views > 0);
+    const operations = entries.map(([ad, views]) => ({
+      updateOne: { filter: { _id: ad }, update: { $inc: { views } } },
+    }));
+
+    if (operations.length === 0) return [];
+
+    const failed = await bulkWriteUnordered(Ad, operations);
+    return failed.map((index) => entries[index][0]);
+  }
+}
+
+/**
+ * Stats day keys of the last N days, oldest first (today included)
+ * @param {number} days - Number of days
+ * @returns {Array<string>} - Day keys
+ */
+export function getStatsDayKeys(days) {
+  // Step back from today's key in UTC - no DST gaps or repeats
+  const today = new Date(`${getStatsDay()}T00:00:00Z`);
+  return Array.from({ length: days }, (_, index) =>
+    new Date(today.getTime() - (days - 1 - index) * 86400000)
+      .toISOString()
+      .slice(0, 10)
+  );
+}
+
+/**
+ * Fill stored daily stats into a full series (missing days as zero)
+ * @param {Array<string>} dayKeys - Day keys (see getStatsDayKeys)
+ * @param {Array<Object>} entries - AdDailyStats documents of one ad
+ * @returns {Object} - { series: [{ day, views, favoritesAdded,
+ *   favoritesRemoved }], totals }
+ */
+export function buildDailySeries(dayKeys, entries) {
+  const byDay = new Map(entries.map((entry) => [entry.day, entry]));
+
+  const series = dayKeys.map((day) => ({
+    day,
+    views: byDay.get(day)?.views || 0,
+    favoritesAdded: byDay.get(day)?.favoritesAdded || 0,
+    favoritesRemoved: byDay.get(day)?.favoritesRemoved || 0,
+  }));
+
+  const totals = series.reduce(
+    (sum, entry) => ({
+      views: sum.views + entry.views,
+      favoritesAdded: sum.favoritesAdded + entry.favoritesAdded,
+      favoritesRemoved: sum.favoritesRemoved + entry.favoritesRemoved,
+    }),
+    { views: 0, favoritesAdded: 0, favoritesRemoved: 0 }
+  );
+
+  return { series, totals };
+}
+
+/**
+ * Daily stats series of an ad
+ * @param {string} adId - Ad ID
+ * @param {number} days - Number of days up to today
+ * @returns {Promise<Object>} - { series, totals } (see buildDailySeries)
+ */
+export async function getDailyStatsSeries(adId, days) {
+  const dayKeys = getStatsDayKeys(days);
+
+  const stored = await AdDailyStats.find({
+    ad: new mongoose.Types.ObjectId(adId),
+    day: { $gte: dayKeys[0] },
+  })
+    .select("day views favoritesAdded favoritesRemoved")
+    .lean();
+
+  return buildDailySeries(dayKeys, stored);
+}
+
+// Export tracker instance as singleton
+const adViewTracker = new AdViewTracker();
+export default adViewTracker;
@@ -0,0 +1,61 @@
+/**
+ * DataExport Model - GDPR data export requests
+ *
+ * One document per request. The archive is built by dataExportJob and
+ * downloadable by its owner until expiresAt.
+ */
+
+import mongoose from "mongoose";
+
+export const DATA_EXPORT_STATUS = {
+  QUEUED: "queued",
+  PROCESSING: "processing",
+  READY: "ready",
+  FAILED: "failed",
+  EXPIRED: "expired",
+};
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(DATA_EXPORT_STATUS),
+      default: DATA_EXPORT_STATUS.QUEUED,
+    },
+    // Archive location on the export storage (never sent to the client)
+    filePath: {
+      type: String,
+    },
+    fileSize: {
+      type: Number,
+    },
+    // Number of records per section
+    counts: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    error: {
+      type: String,
+    },
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: Date,
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+    lastDownloadedAt: Date,
+  },
+  { timestamps: true }
+);
+
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, createdAt: 1 });
+
+const DataExport = mongoose.model("DataExport", dataExportSchema);
+
+export default DataExport;
@@ -0,0 +1,258 @@
+/**
+ * Data Export Job - Builds requested GDPR archives in the background
+ *
+ * Features:
+ * - Queued exports processed one at a time, oldest first
+ * - Started right after a request, periodic runs pick up leftovers
+ *   (restarts, exports stuck in "processing")
+ * - Owner gets a "data_export_ready" notification with the download link
+ * - Archives deleted after DATA_EXPORT_TTL_HOURS
+ *
+ * DATA_EXPORT_DIR must be set in production - storage shared by all
+ * instances (any instance builds archives and serves downloads).
+ */
+
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import DataExport, { DATA_EXPORT_STATUS } from "./dataExport.js";
+import { writeUserDataArchive } from "./userDataExport.js";
+import { notifyUser } from "./userNotifications.js";
+import logger from "../../utils/logger.js";
+
+// Default interval between runs (15 minutes)
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// How long a ready archive can be downloaded
+export const DATA_EXPORT_TTL_HOURS = 48;
+
+// Exports "processing" longer than this are considered abandoned
+const STALE_PROCESSING_MS = 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const isProd = process.env.NODE_ENV === "production";
+
+// Enforce shared export storage in production (safety check)
+if (isProd && !process.env.DATA_EXPORT_DIR) {
+  throw new Error("DATA_EXPORT_DIR must be set in production");
+}
+
+const EXPORT_DIR =
+  process.env.DATA_EXPORT_DIR || path.join(os.tmpdir(), "data-exports");
+
+/**
+ * Remove archive file, missing file is fine
+ * @param {string} filePath - Archive path
+ */
+const removeArchive = async (filePath) => {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+/**
+ * DataExportJob class - schedules and builds data exports
+ * @class
+ */
+class DataExportJob {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+    this.runRequested = false;
+  }
+
+  /**
+   * Start periodic runs
+   * @param {number} intervalMs - Interval between runs
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    if (this.timer) {
+      logger.info("Data export job already started");
+      return;
+    }
+
+    this.timer = setInterval(() => this.trigger(), intervalMs);
+
+    logger.info("Data export job started", { intervalMs });
+  }
+
+  /**
+   * Stop periodic runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Data export job stopped");
+    }
+  }
+
+  /**
+   * Run in background (called after a new export is queued)
+   * A request during a run triggers one more run afterwards.
+   */
+  trigger() {
+    if (this.isRunning) {
+      this.runRequested = true;
+      return;
+    }
+
+    this.run()
+      .catch((error) =>
+        logger.error("Data export run failed", { error: error.message })
+      )
+      .finally(() => {
+        if (this.runRequested) {
+          this.runRequested = false;
+          this.trigger();
+        }
+      });
+  }
+
+  /**
+   * Build queued exports and remove expired archives
+   * @returns {Promise<{built: number, failed: number, expired: number}>}
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn("Data export run skipped - previous run in progress");
+      return { built: 0, failed: 0, expired: 0 };
+    }
+
+    this.isRunning = true;
+
+    try {
+      // Re-queue exports abandoned by a crashed process
+      await DataExport.updateMany(
+        {
+          status: DATA_EXPORT_STATUS.PROCESSING,
+          startedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) },
+        },
+        { $set: { status: DATA_EXPORT_STATUS.QUEUED } }
+      );
+
+      let built = 0;
+      let failed = 0;
+
+      let dataExport;
+      while ((dataExport = await this.claimNext())) {
+        if (await this.buildExport(dataExport)) built++;
+        else failed++;
+      }
+
+      const expired = await this.expireExports();
+
+      logger.info("Data export run completed", { built, failed, expired });
+      return { built, failed, expired };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Take oldest queued export
+   * @returns {Promise<Object|null>} - Export document or null
+   */
+  async claimNext() {
+    return DataExport.findOneAndUpdate(
+      { status: DATA_EXPORT_STATUS.QUEUED },
+      {
+        $set: { status: DATA_EXPORT_STATUS.PROCESSING, startedAt: new Date() },
+      },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Write archive and notify owner
+   * @param {Object} dataExport - Export document
+   * @returns {Promise<boolean>} - True when archive is ready
+   */
+  async buildExport(dataExport) {
+    const filePath = path.join(EXPORT_DIR, `${dataExport._id}.json.gz`);
+
+    try {
+      await fs.mkdir(EXPORT_DIR, { recursive: true, mode: 0o700 });
+      const counts = await writeUserDataArchive(dataExport.user, filePath);
+      const { size } = await fs.stat(filePath);
+
+      const completedAt = new Date();
+      dataExport.set({
+        status: DATA_EXPORT_STATUS.READY,
+        filePath,
+        fileSize: size,
+        counts,
+        completedAt,
+        expiresAt: new Date(
+          completedAt.getTime() + DATA_EXPORT_TTL_HOURS * HOUR_MS
+        ),
+      });
+      await dataExport.save();
+    } catch (error) {
+      logger.error("Data export build error", {
+        error: error.message,
+        exportId: dataExport._id,
+      });
+
+      await removeArchive(filePath).catch(() => {});
+      dataExport.set({
+        status: DATA_EXPORT_STATUS.FAILED,
+        error: error.message,
+        completedAt: new Date(),
+      });
+      await dataExport.save();
+      return false;
+    }
+
+    await notifyUser(dataExport.user, {
+      type: "data_export_ready",
+      title: "Your data export is ready",
+      message: `Your data archive is ready to download for the next ${DATA_EXPORT_TTL_HOURS} hours.`,
+      link: "/profile",
+      metadata: {
+        exportId: dataExport._id,
+        downloadUrl: `/api/profile/data-export/${dataExport._id}/download`,
+        expiresAt: dataExport.expiresAt,
+      },
+    });
+
+    return true;
+  }
+
+  /**
+   * Delete archives past expiresAt
+   * @returns {Promise<number>} - Number of expired exports
+   */
+  async expireExports() {
+    const cursor = DataExport.find({
+      status: DATA_EXPORT_STATUS.READY,
+      expiresAt: { $lte: new Date() },
+    }).cursor();
+    let expired = 0;
+
+    for await (const dataExport of cursor) {
+      try {
+        await removeArchive(dataExport.filePath);
+        dataExport.status = DATA_EXPORT_STATUS.EXPIRED;
+        dataExport.filePath = undefined;
+        await dataExport.save();
+        expired++;
+      } catch (error) {
+        logger.error("Data export expiry error", {
+          error: error.message,
+          exportId: dataExport._id,
+        });
+      }
+    }
+
+    return expired;
+  }
+}
+
+// Export job instance as singleton
+const dataExportJob = new DataExportJob();
+export default dataExportJob;
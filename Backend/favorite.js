@@ -0,0 +1,47 @@
+/**
+ * Favorite Model - Ad saved by a user (watchlist entry)
+ *
+ * One document per (user, ad). Optional named list and private note;
+ * price at the time of saving shows price changes since.
+ */
+
+import mongoose from "mongoose";
+
+const favoriteSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ad",
+      required: true,
+      index: true,
+    },
+    // Empty for the default list
+    list: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "FavoriteList",
+      default: null,
+    },
+    // Private - visible only to the user
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    priceAtAdd: {
+      type: Number,
+    },
+  },
+  { timestamps: true }
+);
+
+favoriteSchema.index({ user: 1, ad: 1 }, { unique: true });
+favoriteSchema.index({ user: 1, list: 1, createdAt: -1 });
+
+const Favorite = mongoose.model("Favorite", favoriteSchema);
+
+export default Favorite;
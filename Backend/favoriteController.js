@@ -0,0 +1,244 @@
+/**
+ * Favorite Controller - Watchlist endpoints of logged-in users
+ *
+ * Features:
+ * - Favourites with current price/status, filtered by list
+ * - Add / remove / move between lists / private note
+ * - Named lists management
+ * - Favourite ad IDs for heart icons
+ *
+ * Routes require authentication (/api/favorites).
+ */
+
+import {
+  FavoriteError,
+  addFavorite,
+  removeFavorite,
+  updateFavorite,
+  getFavorites,
+  getFavoriteAdIds,
+  getFavoriteLists,
+  createFavoriteList,
+  renameFavoriteList,
+  deleteFavoriteList,
+} from "./favorites.js";
+import logger from "../../utils/logger.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Send FavoriteError as client error, pass anything else on
+ */
+const handleError = (error, res, next, context) => {
+  if (error instanceof FavoriteError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error(context, { error: error.message });
+  return next(error);
+};
+
+/**
+ * Get favourites
+ * GET /api/favorites?list=<listId|default>&page=1&limit=20
+ */
+export const getUserFavorites = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(
+      MAX_PAGE_SIZE,
+      Math.max(1, parseInt(req.query.limit) || DEFAULT_PAGE_SIZE)
+    );
+
+    const { favorites, total } = await getFavorites(req.user.userId, {
+      listId: req.query.list,
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      favorites,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Get favorites error");
+  }
+};
+
+/**
+ * Get IDs of favourite ads
+ * GET /api/favorites/ids
+ */
+export const getUserFavoriteIds = async (req, res, next) => {
+  try {
+    const ids = await getFavoriteAdIds(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      ids,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Get favorite IDs error");
+  }
+};
+
+/**
+ * Add ad to favourites
+ * POST /api/favorites/:adId
+ * Body: { listId?, note? }
+ */
+export const addToFavorites = async (req, res, next) => {
+  try {
+    const { favorite, created } = await addFavorite(
+      req.user.userId,
+      req.params.adId,
+      { listId: req.body.listId, note: req.body.note }
+    );
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? "Added to favourites" : "Favourite updated",
+      favorite,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Add favorite error");
+  }
+};
+
+/**
+ * Move favourite to another list and/or change its note
+ * PATCH /api/favorites/:adId
+ * Body: { listId?, note? }
+ */
+export const updateUserFavorite = async (req, res, next) => {
+  try {
+    const favorite = await updateFavorite(req.user.userId, req.params.adId, {
+      listId: req.body.listId,
+      note: req.body.note,
+    });
+
+    return res.status(200).json({
+      success: true,
+      favorite,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Update favorite error");
+  }
+};
+
+/**
+ * Remove ad from favourites
+ * DELETE /api/favorites/:adId
+ */
+export const removeFromFavorites = async (req, res, next) => {
+  try {
+    const removed = await removeFavorite(req.user.userId, req.params.adId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: "Favourite not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Removed from favourites",
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Remove favorite error");
+  }
+};
+
+/**
+ * Get lists with counts (default list first)
+ * GET /api/favorites/lists
+ * (register /lists routes before /:adId)
+ */
+export const getUserFavoriteLists = async (req, res, next) => {
+  try {
+    const lists = await getFavoriteLists(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      lists,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Get favorite lists error");
+  }
+};
+
+/**
+ * Create list
+ * POST /api/favorites/lists
+ * Body: { name }
+ */
+export const createUserFavoriteList = async (req, res, next) => {
+  try {
+    const list = await createFavoriteList(req.user.userId, req.body.name);
+
+    return res.status(201).json({
+      success: true,
+      list,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Create favorite list error");
+  }
+};
+
+/**
+ * Rename list
+ * PATCH /api/favorites/lists/:listId
+ * Body: { name }
+ */
+export const renameUserFavoriteList = async (req, res, next) => {
+  try {
+    const list = await renameFavoriteList(
+      req.user.userId,
+      req.params.listId,
+      req.body.name
+    );
+
+    return res.status(200).json({
+      success: true,
+      list,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Rename favorite list error");
+  }
+};
+
+/**
+ * Delete list (favourites move to the default list)
+ * DELETE /api/favorites/lists/:listId
+ */
+export const deleteUserFavoriteList = async (req, res, next) => {
+  try {
+    const moved = await deleteFavoriteList(req.user.userId, req.params.listId);
+
+    return res.status(200).json({
+      success: true,
+      moved,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Delete favorite list error");
+  }
+};
+
+export default {
+  getUserFavorites,
+  getUserFavoriteIds,
+  addToFavorites,
+  updateUserFavorite,
+  removeFromFavorites,
+  getUserFavoriteLists,
+  createUserFavoriteList,
+  renameUserFavoriteList,
+  deleteUserFavoriteList,
+};
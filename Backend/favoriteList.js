@@ -0,0 +1,28 @@
+/**
+ * FavoriteList Model - Named list of favourites (e.g. "Kombi do 40 tys.")
+ */
+
+import mongoose from "mongoose";
+
+const favoriteListSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+    },
+  },
+  { timestamps: true }
+);
+
+favoriteListSchema.index({ user: 1, name: 1 }, { unique: true });
+
+const FavoriteList = mongoose.model("FavoriteList", favoriteListSchema);
+
+export default FavoriteList;
@@ -0,0 +1,588 @@
+/**
+ * Favorites - Watchlist of ads with named lists and private notes
+ *
+ * Features:
+ * - Add / remove ads, one record per user and ad (Favorite)
+ * - Named lists (FavoriteList) and private notes
+ * - Ad.favorites counter and daily stats updated with every change;
+ *   recountAdFavorites() repairs drift from real records
+ * - Owner notified about new likes ("listing_liked" with listingStats)
+ * - Watchers notified when an ad is sold or expires (plugin) and about
+ *   price drops (adPriceHistory uses getFavoriteWatchers)
+ *
+ * Setup: register plugin on Ad schema - AdSchema.plugin(adFavoritesPlugin)
+ * and run migrateUserFavorites() once to move legacy User.favorites.
+ */
+
+import mongoose from "mongoose";
+import Ad from "../../models/listings/ad.js";
+import User from "../../models/user/user.js";
+import Favorite from "./favorite.js";
+import FavoriteList from "./favoriteList.js";
+import adViewTracker from "./adViewTracker.js";
+import { notifyUser, notifyUsers } from "./userNotifications.js";
+import {
+  AD_STATUS,
+  VISIBLE_STATUSES,
+  toLifecycleStatus,
+} from "./adLifecycle.js";
+import logger from "../../utils/logger.js";
+
+export const MAX_FAVORITE_LISTS = 20;
+
+// Fields returned with favourites
+const FAVORITE_AD_FIELDS =
+  "_id headline title brand model year mileage fuelType price status images mainImage mainImageIndex owner createdAt";
+
+// Status changes watchers are notified about
+const WATCHED_STATUS_CHANGES = {
+  [AD_STATUS.SOLD]: {
+    type: "favorite_sold",
+    title: (adTitle) => `Sold: ${adTitle}`,
+    message: (adTitle) =>
+      `A listing on your watchlist has been sold: "${adTitle}".`,
+  },
+  [AD_STATUS.EXPIRED]: {
+    type: "favorite_expired",
+    title: (adTitle) => `Listing expired: ${adTitle}`,
+    message: (adTitle) =>
+      `A listing on your watchlist is no longer available: "${adTitle}".`,
+  },
+};
+
+/**
+ * Client error (invalid ID, unknown list, own ad...)
+ */
+export class FavoriteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "FavoriteError";
+    this.status = status;
+  }
+}
+
+const adTitle = (ad) => ad.headline || `${ad.brand} ${ad.model}`;
+
+const assertObjectId = (id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new FavoriteError(`Invalid ${label} ID`);
+  }
+};
+
+/**
+ * Resolve list ID from request (null/"default" = default list)
+ * @returns {Promise<ObjectId|null>} - List ID
+ */
+const resolveListId = async (userId, listId) => {
+  if (listId === undefined || listId === null || listId === "default") {
+    return null;
+  }
+  assertObjectId(listId, "list");
+
+  const list = await FavoriteList.exists({ _id: listId, user: userId });
+  if (!list) throw new FavoriteError("List not found", 404);
+  return list._id;
+};
+
+const normalizeNote = (note) =>
+  typeof note === "string" ? note.trim().slice(0, 500) : undefined;
+
+/* ---- Counters ---- */
+
+/**
+ * Apply counter change of one ad: Ad.favorites, daily stats, owner notice
+ * @param {Object} ad - Ad (_id, owner, headline, brand, model, views)
+ * @param {number} delta - 1 or -1
+ * @param {string} userId - User who (un)liked the ad
+ */
+const applyFavoriteChange = async (ad, delta, userId) => {
+  const updated = await Ad.findOneAndUpdate(
+    delta > 0 ? { _id: ad._id } : { _id: ad._id, favorites: { $gt: 0 } },
+    { $inc: { favorites: delta } },
+    { new: true, projection: { favorites: 1, views: 1 } }
+  ).lean();
+
+  adViewTracker.recordFavoriteChange(ad._id, delta);
+
+  if (delta > 0 && ad.owner && ad.owner.toString() !== userId.toString()) {
+    await notifyUser(ad.owner, {
+      type: "listing_liked",
+      title: "Your listing was added to favourites",
+      message: `Someone added "${adTitle(ad)}" to favourites.`,
+      link: `/listing/${ad._id}`,
+      relatedListing: ad._id,
+      listingStats: {
+        favorites: updated?.favorites ?? 0,
+        views: updated?.views ?? 0,
+      },
+    });
+  }
+};
+
+/* ---- Favourites ---- */
+
+/**
+ * Add ad to favourites (or move it / update note if already added)
+ * @param {string} userId - User ID
+ * @param {string} adId - Ad ID
+ * @param {Object} [options] - { listId, note }
+ * @returns {Promise<{favorite: Object, created: boolean}>}
+ */
+export async function addFavorite(userId, adId, { listId, note } = {}) {
+  assertObjectId(adId, "ad");
+
+  const ad = await Ad.findById(adId)
+    .select("_id owner status price headline brand model")
+    .lean();
+  if (!ad) throw new FavoriteError("Ad not found", 404);
+  if (ad.owner?.toString() === userId.toString()) {
+    throw new FavoriteError("You cannot add your own ad to favourites");
+  }
+
+  const list = await resolveListId(userId, listId);
+  const noteText = normalizeNote(note);
+
+  const existing = await Favorite.findOne({ user: userId, ad: adId });
+  if (existing) {
+    if (listId !== undefined) existing.list = list;
+    if (noteText !== undefined) existing.note = noteText || undefined;
+    if (existing.isModified()) await existing.save();
+    return { favorite: existing, created: false };
+  }
+
+  if (!VISIBLE_STATUSES.includes(toLifecycleStatus(ad.status))) {
+    throw new FavoriteError("Ad is not available", 409);
+  }
+
+  let favorite;
+  try {
+    favorite = await Favorite.create({
+      user: userId,
+      ad: adId,
+      list,
+      note: noteText || undefined,
+      priceAtAdd: ad.price,
+    });
+  } catch (error) {
+    // Parallel request added it first - counter already updated there
+    if (error.code === 11000) {
+      return {
+        favorite: await Favorite.findOne({ user: userId, ad: adId }),
+        created: false,
+      };
+    }
+    throw error;
+  }
+
+  await applyFavoriteChange(ad, 1, userId);
+  logger.debug("Favorite added", { userId, adId });
+
+  return { favorite, created: true };
+}
+
+/**
+ * Remove ad from favourites
+ * @param {string} userId - User ID
+ * @param {string} adId - Ad ID
+ * @returns {Promise<boolean>} - true when a favourite was removed
+ */
+export async function removeFavorite(userId, adId) {
+  assertObjectId(adId, "ad");
+
+  const removed = await Favorite.findOneAndDelete({ user: userId, ad: adId });
+  if (!removed) return false;
+
+  await applyFavoriteChange({ _id: removed.ad }, -1, userId);
+  logger.debug("Favorite removed", { userId, adId });
+
+  return true;
+}
+
+/**
+ * Move favourite to another list and/or change its note
+ * @param {string} userId - User ID
+ * @param {string} adId - Ad ID
+ * @param {Object} changes - { listId?, note? }
+ * @returns {Promise<Object>} - Favourite
+ */
+export async function updateFavorite(userId, adId, { listId, note }) {
+  assertObjectId(adId, "ad");
+
+  const favorite = await Favorite.findOne({ user: userId, ad: adId });
+  if (!favorite) throw new FavoriteError("Favourite not found", 404);
+
+  if (listId !== undefined) favorite.list = await resolveListId(userId, listId);
+  if (note !== undefined) favorite.note = normalizeNote(note) || undefined;
+
+  await favorite.save();
+  return favorite;
+}
+
+/**
+ * Get user's favourites with current ad data
+ * @param {string} userId - User ID
+ * @param {Object} [options] - { listId, skip, limit }
+ * @returns {Promise<{favorites: Array<Object>, total: number}>}
+ */
+export async function getFavorites(
+  userId,
+  { listId, skip = 0, limit = 20 } = {}
+) {
+  const filter = { user: userId };
+  if (listId !== undefined) filter.list = await resolveListId(userId, listId);
+
+  const [records, total] = await Promise.all([
+    Favorite.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate("ad", FAVORITE_AD_FIELDS)
+      .lean(),
+    Favorite.countDocuments(filter),
+  ]);
+
+  const favorites = records
+    .filter((record) => record.ad)
+    .map((record) => {
+      const { ad } = record;
+      const priceChange =
+        typeof record.priceAtAdd === "number" && typeof ad.price === "number"
+          ? ad.price - record.priceAtAdd
+          : null;
+
+      return {
+        id: record._id,
+        ad,
+        list: record.list,
+        note: record.note,
+        addedAt: record.createdAt,
+        priceAtAdd: record.priceAtAdd,
+        priceChange: priceChange || null,
+        available: VISIBLE_STATUSES.includes(toLifecycleStatus(ad.status)),
+      };
+    });
+
+  return { favorites, total };
+}
+
+/**
+ * IDs of user's favourite ads (heart icons in listings)
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>} - Ad IDs
+ */
+export async function getFavoriteAdIds(userId) {
+  return (await Favorite.distinct("ad", { user: userId })).map((id) =>
+    id.toString()
+  );
+}
+
+/**
+ * Users watching an ad (owner excluded)
+ * @param {Object} ad - Ad (_id, owner)
+ * @returns {Promise<Array<string>>} - User IDs
+ */
+export async function getFavoriteWatchers(ad) {
+  const users = await Favorite.distinct("user", { ad: ad._id });
+  return users
+    .map((userId) => userId.toString())
+    .filter((userId) => userId !== ad.owner?.toString());
+}
+
+/* ---- Lists ---- */
+
+/**
+ * Get user's lists with number of favourites in each
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - [{ id, name, count }], default first
+ */
+export async function getFavoriteLists(userId) {
+  const [lists, counts] = await Promise.all([
+    FavoriteList.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+    Favorite.aggregate([
+      { $match: { user: new mongoose.Types.ObjectId(userId) } },
+      { $group: { _id: "$list", count: { $sum: 1 } } },
+    ]),
+  ]);
+  const countByList = new Map(
+    counts.map((row) => [String(row._id), row.count])
+  );
+
+  return [
+    {
+      id: null,
+      name: null,
+      isDefault: true,
+      count: countByList.get("null") || 0,
+    },
+    ...lists.map((list) => ({
+      id: list._id,
+      name: list.name,
+      isDefault: false,
+      count: countByList.get(list._id.toString()) || 0,
+    })),
+  ];
+}
+
+const normalizeListName = (name) => {
+  const value =
+    typeof name === "string" ? name.trim().replace(/\s+/g, " ") : "";
+  if (!value || value.length > 60) {
+    throw new FavoriteError("List name must be 1-60 characters");
+  }
+  return value;
+};
+
+/**
+ * Create named list
+ * @param {string} userId - User ID
+ * @param {string} name - List name
+ * @returns {Promise<Object>} - List
+ */
+export async function createFavoriteList(userId, name) {
+  const listName = normalizeListName(name);
+
+  if (
+    (await FavoriteList.countDocuments({ user: userId })) >= MAX_FAVORITE_LISTS
+  ) {
+    throw new FavoriteError(
+      `You can have up to ${MAX_FAVORITE_LISTS} lists`,
+      409
+    );
+  }
+
+  try {
+    return await FavoriteList.create({ user: userId, name: listName });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new FavoriteError("List with this name already exists", 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Rename list
+ * @param {string} userId - User ID
+ * @param {string} listId - List ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} - List
+ */
+export async function renameFavoriteList(userId, listId, name) {
+  assertObjectId(listId, "list");
+  const listName = normalizeListName(name);
+
+  try {
+    const list = await FavoriteList.findOneAndUpdate(
+      { _id: listId, user: userId },
+      { $set: { name: listName } },
+      { new: true }
+    );
+    if (!list) throw new FavoriteError("List not found", 404);
+    return list;
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new FavoriteError("List with this name already exists", 409);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Delete list - its favourites move to the default list
+ * @param {string} userId - User ID
+ * @param {string} listId - List ID
+ * @returns {Promise<number>} - Number of moved favourites
+ */
+export async function deleteFavoriteList(userId, listId) {
+  assertObjectId(listId, "list");
+
+  const list = await FavoriteList.findOneAndDelete({
+    _id: listId,
+    user: userId,
+  });
+  if (!list) throw new FavoriteError("List not found", 404);
+
+  const { modifiedCount } = await Favorite.updateMany(
+    { user: userId, list: list._id },
+    { $set: { list: null } }
+  );
+  return modifiedCount;
+}
+
+/* ---- Watcher notifications ---- */
+
+/**
+ * Notify watchers about sold / expired ad
+ * @param {Object} ad - Ad document
+ * @param {string} status - New status
+ * @returns {Promise<number>} - Number of notified users
+ */
+export async function notifyFavoriteWatchers(ad, status) {
+  const change = WATCHED_STATUS_CHANGES[status];
+  if (!change) return 0;
+
+  const recipients = await getFavoriteWatchers(ad);
+  if (recipients.length === 0) return 0;
+
+  const delivered = await notifyUsers(recipients, {
+    type: change.type,
+    title: change.title(adTitle(ad)),
+    message: change.message(adTitle(ad)),
+    link: `/listing/${ad._id}`,
+    relatedListing: ad._id,
+    metadata: { status },
+  });
+
+  logger.info("Favourite watchers notified", {
+    adId: ad._id,
+    status,
+    delivered,
+  });
+  return delivered;
+}
+
+/**
+ * Mongoose plugin - notifies watchers when an ad is sold or expires
+ * @param {Object} schema - Mongoose schema
+ */
+export function adFavoritesPlugin(schema) {
+  schema.pre("save", function (next) {
+    this.$locals.watchedStatus =
+      !this.isNew &&
+      this.isModified("status") &&
+      WATCHED_STATUS_CHANGES[this.status]
+        ? this.status
+        : null;
+    next();
+  });
+
+  schema.post("save", async function () {
+    const status = this.$locals.watchedStatus;
+    if (!status) return;
+    this.$locals.watchedStatus = null;
+
+    try {
+      await notifyFavoriteWatchers(this, status);
+    } catch (error) {
+      logger.error("Favourite watchers notification error", {
+        error: error.message,
+        adId: this._id,
+      });
+    }
+  });
+}
+
+/* ---- Maintenance ---- */
+
+/**
+ * Set Ad.favorites from Favorite records
+ * Both passes stream and write in batches (no ID list in one query).
+ * @param {number} batchSize - Number of ads per bulk write / lookup
+ * @returns {Promise<number>} - Number of corrected ads
+ */
+export async function recountAdFavorites(batchSize = 500) {
+  let corrected = 0;
+
+  // Counters of ads with records
+  const counts = Favorite.aggregate([
+    { $group: { _id: "$ad", count: { $sum: 1 } } },
+  ]).cursor();
+
+  let operations = [];
+  const writeCounts = async () => {
+    const result = await Ad.bulkWrite(operations, { ordered: false });
+    corrected += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const { _id, count } of counts) {
+    operations.push({
+      updateOne: {
+        filter: { _id, favorites: { $ne: count } },
+        update: { $set: { favorites: count } },
+      },
+    });
+    if (operations.length >= batchSize) await writeCounts();
+  }
+  if (operations.length > 0) await writeCounts();
+
+  // Ads with a counter but no records
+  const counted = Ad.find({ favorites: { $gt: 0 } })
+    .select("_id")
+    .lean()
+    .cursor();
+
+  let adIds = [];
+  const resetStale = async () => {
+    const favorited = await Favorite.distinct("ad", { ad: { $in: adIds } });
+    const kept = new Set(favorited.map((id) => id.toString()));
+    const stale = adIds.filter((id) => !kept.has(id.toString()));
+
+    if (stale.length > 0) {
+      const result = await Ad.updateMany(
+        { _id: { $in: stale }, favorites: { $gt: 0 } },
+        { $set: { favorites: 0 } }
+      );
+      corrected += result.modifiedCount;
+    }
+    adIds = [];
+  };
+
+  for await (const ad of counted) {
+    adIds.push(ad._id);
+    if (adIds.length >= batchSize) await resetStale();
+  }
+  if (adIds.length > 0) await resetStale();
+
+  logger.info("Ad favourites recounted", { corrected });
+  return corrected;
+}
+
+/**
+ * Move legacy User.favorites arrays to Favorite records, then recount
+ * @returns {Promise<number>} - Number of created favourites
+ */
+export async function migrateUserFavorites() {
+  const cursor = User.find({ "favorites.0": { $exists: true } })
+    .select("_id favorites")
+    .lean()
+    .cursor();
+
+  let created = 0;
+  for await (const user of cursor) {
+    const result = await Favorite.bulkWrite(
+      user.favorites.map((ad) => ({
+        updateOne: {
+          filter: { user: user._id, ad },
+          update: { $setOnInsert: { list: null } },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    created += result.upsertedCount;
+  }
+
+  await recountAdFavorites();
+  logger.info("Legacy favourites migrated", { created });
+  return created;
+}
+
+export default {
+  MAX_FAVORITE_LISTS,
+  FavoriteError,
+  addFavorite,
+  removeFavorite,
+  updateFavorite,
+  getFavorites,
+  getFavoriteAdIds,
+  getFavoriteWatchers,
+  getFavoriteLists,
+  createFavoriteList,
+  renameFavoriteList,
+  deleteFavoriteList,
+  notifyFavoriteWatchers,
+  adFavoritesPlugin,
+  recountAdFavorites,
+  migrateUserFavorites,
+};
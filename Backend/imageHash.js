@@ -0,0 +1,208 @@
+/**
+ * Image Hash - Perceptual image hashes for duplicate detection
+ *
+ * Features:
+ * - 64-bit difference hash (dHash): robust to resizing, recompression
+ *   and small colour changes
+ * - Loads ad images from local uploads directory or from own upload / CDN
+ *   hosts (IMAGE_HOSTS) - other URLs are never fetched
+ * - Hamming distance and band keys for indexed candidate lookup
+ *
+ * Image decoding uses sharp (loaded on first use). Without it (or for
+ * images that can't be read) hashing is skipped and duplicate detection
+ * relies on the other signals.
+ *
+ * Setup: IMAGE_HOSTS - comma separated host names serving ad images
+ * (e.g. "cdn.autosell.pl,autosell.pl").
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import logger from "../../utils/logger.js";
+
+// Root for relative image paths ("/uploads/ads/...")
+const UPLOADS_ROOT = path.resolve(process.env.UPLOADS_ROOT || process.cwd());
+
+// Hosts images may be fetched from (ad.images is user input)
+const IMAGE_HOSTS = new Set(
+  (process.env.IMAGE_HOSTS || "")
+    .split(",")
+    .map((host) => host.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const FETCH_TIMEOUT_MS = 10000;
+
+// Larger files are not hashed
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+
+// 64-bit hash split into 4 bands of 16 bits (4 hex chars)
+const BAND_COUNT = 4;
+const BAND_HEX_LENGTH = 4;
+
+let sharpModule;
+
+/**
+ * Load sharp once
+ * @returns {Promise<Function|null>} - sharp or null when unavailable
+ */
+const loadSharp = async () => {
+  if (sharpModule === undefined) {
+    try {
+      sharpModule = (await import("sharp")).default;
+    } catch (error) {
+      sharpModule = null;
+      logger.warn("sharp not available - image hashing disabled", {
+        error: error.message,
+      });
+    }
+  }
+  return sharpModule;
+};
+
+/**
+ * Parse image URL, accepted only for IMAGE_HOSTS
+ * @param {string} source - Image URL
+ * @returns {URL|null}
+ */
+const toAllowedUrl = (source) => {
+  try {
+    const url = new URL(source);
+    if (url.protocol !== "https:" && url.protocol !== "http:") return null;
+    if (url.username || url.password) return null;
+    return IMAGE_HOSTS.has(url.hostname.toLowerCase()) ? url : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Download image, stopping as soon as it exceeds MAX_IMAGE_BYTES
+ * (content-length may be missing or wrong)
+ * @param {URL} url - Allowed image URL
+ * @returns {Promise<Buffer|null>} - Image bytes
+ */
+const downloadImage = async (url) => {
+  const response = await fetch(url, {
+    redirect: "error", // An allowed host must not point elsewhere
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+  if (!response.ok || !response.body) return null;
+
+  const length = Number(response.headers.get("content-length"));
+  if (length > MAX_IMAGE_BYTES) {
+    await response.body.cancel();
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    // Leaving the loop cancels the download
+    if (size > MAX_IMAGE_BYTES) return null;
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Read image bytes from allowed URL or uploads directory
+ * @param {string} source - Image URL or path
+ * @returns {Promise<Buffer|null>} - Image bytes
+ */
+const readImage = async (source) => {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(source) || source.startsWith("//")) {
+    const url = toAllowedUrl(source);
+    if (!url) {
+      logger.debug("Image host not allowed - hash skipped", { source });
+      return null;
+    }
+    return downloadImage(url);
+  }
+
+  // Relative path - must stay inside uploads root
+  const filePath = path.resolve(UPLOADS_ROOT, source.replace(/^\/+/, ""));
+  if (!filePath.startsWith(UPLOADS_ROOT + path.sep)) return null;
+
+  const stats = await fs.stat(filePath);
+  if (stats.size > MAX_IMAGE_BYTES) return null;
+
+  return fs.readFile(filePath);
+};
+
+/**
+ * Compute 64-bit dHash of an image
+ * @param {string} source - Image URL or path
+ * @returns {Promise<string|null>} - 16 hex chars or null
+ */
+export async function computeImageHash(source) {
+  const sharp = await loadSharp();
+  if (!sharp || typeof source !== "string" || !source) return null;
+
+  try {
+    const image = await readImage(source);
+    if (!image) return null;
+
+    // 9x8 grayscale: compare each pixel with its right neighbour
+    const pixels = await sharp(image)
+      .grayscale()
+      .resize(9, 8, { fit: "fill" })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+      for (let col = 0; col < 8; col++) {
+        const left = pixels[row * 9 + col];
+        const right = pixels[row * 9 + col + 1];
+        hash = (hash << 1n) | (left > right ? 1n : 0n);
+      }
+    }
+
+    return hash.toString(16).padStart(16, "0");
+  } catch (error) {
+    logger.warn("Image hash failed", { source, error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Hamming distance between two 64-bit hex hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} - Number of differing bits (0-64)
+ */
+export function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Band keys for candidate lookup ("0:ab12", "1:cd34", ...)
+ * Hashes within distance < BAND_COUNT always share at least one band.
+ * @param {string} hash - Hex hash
+ * @returns {Array<string>} - Band keys
+ */
+export function getHashBands(hash) {
+  return Array.from(
+    { length: BAND_COUNT },
+    (_, band) =>
+      `${band}:${hash.slice(
+        band * BAND_HEX_LENGTH,
+        (band + 1) * BAND_HEX_LENGTH
+      )}`
+  );
+}
+
+export default {
+  computeImageHash,
+  hammingDistance,
+  getHashBands,
+};
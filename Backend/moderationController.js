@@ -0,0 +1,368 @@
+/**
+ * Moderation Controller - Admin moderation queue for new and edited ads
+ *
+ * Features:
+ * - Pending ads queue (oldest first) with filters: flag, severity, brand,
+ *   owner, submission date
+ * - Ad details with pre-check flags and moderation history
+ * - Approve / reject with reason code
+ * - Re-run automatic pre-checks
+ * - Audit trail search
+ * - Duplicate listing clusters
+ *
+ * Routes are admin-only (admin auth middleware on /api/admin/moderation).
+ */
+
+import mongoose from "mongoose";
+import Ad from "../../models/listings/ad.js";
+import ModerationLog from "./moderationLog.js";
+import {
+  REJECTION_REASONS,
+  checkAdForModeration,
+  approveAd,
+  rejectAd,
+} from "./adModeration.js";
+import {
+  DUPLICATE_SCORE_THRESHOLD,
+  getDuplicateClusters,
+} from "./adDuplicates.js";
+import {
+  AD_STATUS,
+  InvalidTransitionError,
+  toLifecycleStatus,
+} from "./adLifecycle.js";
+import logger from "../../utils/logger.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Fields returned in queue list
+const QUEUE_FIELDS =
+  "_id brand model headline price year mileage images mainImage owner status submittedAt createdAt moderation";
+
+const MAX_NOTE_LENGTH = 1000;
+
+/**
+ * Parse page/limit query params
+ */
+const parsePagination = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE)
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Parse ?from=&to= into MongoDB date range
+ * @returns {Object|null} - { $gte?, $lte? } or null
+ */
+const parseDateRange = (query) => {
+  const range = {};
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+
+  if (from && !isNaN(from)) range.$gte = from;
+  if (to && !isNaN(to)) range.$lte = to;
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Build queue filter from query
+ * ?flag=banned_words&severity=high&flagged=true&brand=&owner=&from=&to=
+ */
+const buildQueueFilter = (query) => {
+  const filter = { status: AD_STATUS.PENDING };
+
+  if (query.flag) filter["moderation.flags.code"] = query.flag;
+  if (query.severity) filter["moderation.flags.severity"] = query.severity;
+  if (["true", "false"].includes(query.flagged)) {
+    filter["moderation.flags.0"] = { $exists: query.flagged === "true" };
+  }
+  if (query.brand) filter.brand = query.brand;
+  if (query.owner && mongoose.Types.ObjectId.isValid(query.owner)) {
+    filter.owner = query.owner;
+  }
+
+  const submittedAt = parseDateRange(query);
+  if (submittedAt) filter.submittedAt = submittedAt;
+
+  return filter;
+};
+
+/**
+ * Find ad by route param
+ * @returns {Promise<Object|null>} - Ad document or null
+ */
+const findAd = (id) =>
+  mongoose.Types.ObjectId.isValid(id) ? Ad.findById(id) : null;
+
+/**
+ * Get moderation queue
+ * GET /api/admin/moderation
+ */
+export const getModerationQueue = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = buildQueueFilter(req.query);
+
+    const [ads, total] = await Promise.all([
+      Ad.find(filter)
+        .sort({ submittedAt: 1, createdAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .select(QUEUE_FIELDS)
+        .populate("owner", "name lastName email")
+        .lean(),
+      Ad.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      ads,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      reasons: REJECTION_REASONS,
+    });
+  } catch (error) {
+    logger.error("Get moderation queue error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Get ad with pre-check flags and moderation history
+ * GET /api/admin/moderation/:id
+ */
+export const getModerationDetails = async (req, res, next) => {
+  try {
+    const ad = await findAd(req.params.id)?.populate(
+      "owner",
+      "name lastName email"
+    );
+
+    if (!ad) {
+      return res.status(404).json({
+        success: false,
+        message: "Ad not found",
+      });
+    }
+
+    const history = await ModerationLog.find({ ad: ad._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate("moderator", "name lastName email")
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      ad,
+      history,
+      reasons: REJECTION_REASONS,
+    });
+  } catch (error) {
+    logger.error("Get moderation details error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Shared approve/reject handler
+ */
+const decide = async (req, res, next, action) => {
+  try {
+    const moderatorId = req.user.userId;
+    const { reasonCode } = req.body;
+    const note =
+      typeof req.body.note === "string"
+        ? req.body.note.trim().slice(0, MAX_NOTE_LENGTH)
+        : undefined;
+
+    if (action === "reject" && !REJECTION_REASONS[reasonCode]) {
+      return res.status(400).json({
+        success: false,
+        message: "Valid reason code is required",
+        reasons: Object.keys(REJECTION_REASONS),
+      });
+    }
+
+    const ad = await findAd(req.params.id);
+    if (!ad) {
+      return res.status(404).json({
+        success: false,
+        message: "Ad not found",
+      });
+    }
+
+    if (toLifecycleStatus(ad.status) !== AD_STATUS.PENDING) {
+      return res.status(409).json({
+        success: false,
+        message: "Ad is not waiting for moderation",
+        status: ad.status,
+      });
+    }
+
+    if (action === "approve") {
+      await approveAd(ad, moderatorId, note);
+    } else {
+      await rejectAd(ad, moderatorId, reasonCode, note);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: action === "approve" ? "Ad approved" : "Ad rejected",
+      status: ad.status,
+    });
+  } catch (error) {
+    if (error instanceof InvalidTransitionError) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    logger.error(`Moderation ${action} error`, {
+      error: error.message,
+      adId: req.params.id,
+    });
+    return next(error);
+  }
+};
+
+/**
+ * Approve ad
+ * POST /api/admin/moderation/:id/approve
+ * Body: { note? }
+ */
+export const approveListing = (req, res, next) =>
+  decide(req, res, next, "approve");
+
+/**
+ * Reject ad
+ * POST /api/admin/moderation/:id/reject
+ * Body: { reasonCode, note? }
+ */
+export const rejectListing = (req, res, next) =>
+  decide(req, res, next, "reject");
+
+/**
+ * Re-run automatic pre-checks (e.g. after banned words list change)
+ * POST /api/admin/moderation/:id/recheck
+ */
+export const recheckListing = async (req, res, next) => {
+  try {
+    const ad = await findAd(req.params.id);
+    if (!ad) {
+      return res.status(404).json({
+        success: false,
+        message: "Ad not found",
+      });
+    }
+
+    const flags = await checkAdForModeration(ad);
+
+    return res.status(200).json({
+      success: true,
+      flags,
+    });
+  } catch (error) {
+    logger.error("Moderation recheck error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Search moderation audit trail
+ * GET /api/admin/moderation/log?ad=&moderator=&action=&from=&to=
+ * (register before /api/admin/moderation/:id)
+ */
+export const getModerationLog = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    for (const field of ["ad", "moderator"]) {
+      if (
+        req.query[field] &&
+        mongoose.Types.ObjectId.isValid(req.query[field])
+      ) {
+        filter[field] = req.query[field];
+      }
+    }
+    if (["checked", "approved", "rejected"].includes(req.query.action)) {
+      filter.action = req.query.action;
+    }
+    if (req.query.reasonCode) filter.reasonCode = req.query.reasonCode;
+
+    const createdAt = parseDateRange(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const [entries, total] = await Promise.all([
+      ModerationLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("moderator", "name lastName email")
+        .populate("ad", "brand model headline")
+        .lean(),
+      ModerationLog.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      entries,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    logger.error("Get moderation log error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * List clusters of likely duplicate / re-posted ads
+ * GET /api/admin/moderation/duplicates?minScore=0.5&owner=&page=&limit=
+ * (register before /api/admin/moderation/:id)
+ */
+export const getDuplicateListingClusters = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const minScore = Math.min(
+      1,
+      Math.max(
+        DUPLICATE_SCORE_THRESHOLD,
+        parseFloat(req.query.minScore) || DUPLICATE_SCORE_THRESHOLD
+      )
+    );
+    const owner = mongoose.Types.ObjectId.isValid(req.query.owner)
+      ? req.query.owner
+      : undefined;
+
+    const clusters = await getDuplicateClusters({ minScore, owner });
+
+    return res.status(200).json({
+      success: true,
+      clusters: clusters.slice(skip, skip + limit),
+      total: clusters.length,
+      page,
+      totalPages: Math.ceil(clusters.length / limit),
+    });
+  } catch (error) {
+    logger.error("Get duplicate clusters error", { error: error.message });
+    return next(error);
+  }
+};
+
+export default {
+  getModerationQueue,
+  getModerationDetails,
+  approveListing,
+  rejectListing,
+  recheckListing,
+  getModerationLog,
+  getDuplicateListingClusters,
+};
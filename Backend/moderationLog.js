@@ -0,0 +1,61 @@
+/**
+ * ModerationLog Model - Audit trail of ad moderation
+ *
+ * One document per moderation event: automatic pre-check results and
+ * every approve/reject decision with moderator, reason code and note.
+ */
+
+import mongoose from "mongoose";
+
+const moderationLogSchema = new mongoose.Schema(
+  {
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Ad",
+      required: true,
+    },
+    // Empty for automatic checks
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: ["checked", "approved", "rejected"],
+      required: true,
+    },
+    reasonCode: {
+      type: String,
+    },
+    note: {
+      type: String,
+      maxlength: 1000,
+    },
+    previousStatus: {
+      type: String,
+    },
+    newStatus: {
+      type: String,
+    },
+    // Pre-check flags at the time of the event
+    flags: {
+      type: [
+        {
+          _id: false,
+          code: String,
+          severity: String,
+          detail: mongoose.Schema.Types.Mixed,
+        },
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+moderationLogSchema.index({ ad: 1, createdAt: -1 });
+moderationLogSchema.index({ moderator: 1, createdAt: -1 });
+
+const ModerationLog = mongoose.model("ModerationLog", moderationLogSchema);
+
+export default ModerationLog;
@@ -0,0 +1,56 @@
+/**
+ * OneTimeCode Model - Verification codes and reset tokens
+ *
+ * At most one live code per user and purpose. Only the HMAC of the code
+ * is stored. Removed by MongoDB after expiresAt (see oneTimeCodes).
+ */
+
+import mongoose from "mongoose";
+
+export const CODE_PURPOSES = {
+  EMAIL_CHANGE: "email_change",
+  PHONE_CHANGE: "phone_change",
+  PASSWORD_RESET: "password_reset",
+  ACCOUNT_DELETION: "account_deletion",
+};
+
+const oneTimeCodeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: Object.values(CODE_PURPOSES),
+      required: true,
+    },
+    codeHash: {
+      type: String,
+      required: true,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // When the code was last sent (resend cooldown)
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+oneTimeCodeSchema.index({ user: 1, purpose: 1 }, { unique: true });
+oneTimeCodeSchema.index({ purpose: 1, codeHash: 1 });
+oneTimeCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OneTimeCode = mongoose.model("OneTimeCode", oneTimeCodeSchema);
+
+export default OneTimeCode;
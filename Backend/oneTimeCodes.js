@@ -0,0 +1,230 @@
+/**
+ * One-Time Codes - Shared service for verification codes and reset tokens
+ *
+ * Features:
+ * - 6-digit codes (email / phone change, account deletion) and 256-bit
+ *   tokens (password reset link)
+ * - Only HMACs stored, compared in constant time
+ * - Limited attempts per code - the code is invalidated after the last one
+ * - Resend cooldown per user and purpose
+ * - Single use - a verified code is deleted atomically, a link token is
+ *   looked up first and revoked once the dependent change is saved
+ *
+ * CODE_HASH_SECRET (falls back to RL_SECRET) must be set in production.
+ */
+
+import crypto from "crypto";
+import OneTimeCode, { CODE_PURPOSES } from "./oneTimeCode.js";
+
+const CODE_SETTINGS = {
+  [CODE_PURPOSES.EMAIL_CHANGE]: {
+    type: "code",
+    ttlMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    cooldownMs: 60 * 1000,
+  },
+  [CODE_PURPOSES.PHONE_CHANGE]: {
+    type: "code",
+    ttlMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    cooldownMs: 60 * 1000,
+  },
+  [CODE_PURPOSES.ACCOUNT_DELETION]: {
+    type: "code",
+    ttlMs: 15 * 60 * 1000,
+    maxAttempts: 5,
+    cooldownMs: 60 * 1000,
+  },
+  // Looked up by token - guessing is blocked by its length, not attempts
+  [CODE_PURPOSES.PASSWORD_RESET]: {
+    type: "token",
+    ttlMs: 60 * 60 * 1000,
+    cooldownMs: 60 * 1000,
+  },
+};
+
+const isProd = process.env.NODE_ENV === "production";
+const CODE_SECRET =
+  process.env.CODE_HASH_SECRET ||
+  process.env.RL_SECRET ||
+  "change-me-in-production";
+
+// Enforce secret key in production (safety check)
+if (isProd && CODE_SECRET === "change-me-in-production") {
+  throw new Error("CODE_HASH_SECRET must be set in production");
+}
+
+/**
+ * Client error (invalid / expired code, cooldown...)
+ */
+export class OneTimeCodeError extends Error {
+  constructor(message, status = 400, retryAfter) {
+    super(message);
+    this.name = "OneTimeCodeError";
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const invalidCode = () =>
+  new OneTimeCodeError("Verification code is invalid or expired");
+
+const hashCode = (purpose, value) =>
+  crypto
+    .createHmac("sha256", CODE_SECRET)
+    .update(`${purpose}:${String(value).trim()}`)
+    .digest("hex");
+
+const hashesMatch = (a, b) =>
+  crypto.timingSafeEqual(Buffer.from(a, "hex"), Buffer.from(b, "hex"));
+
+const generateValue = (type) =>
+  type === "token"
+    ? crypto.randomBytes(32).toString("hex")
+    : String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+/**
+ * Create code for user and purpose (replaces the previous one)
+ * @param {string} userId - User ID
+ * @param {string} purpose - CODE_PURPOSES value
+ * @returns {Promise<{code: string, expiresAt: Date}>} - Plain code to send
+ * @throws {OneTimeCodeError} - 429 during resend cooldown
+ */
+export async function issueCode(userId, purpose) {
+  const settings = CODE_SETTINGS[purpose];
+  if (!settings) throw new Error(`Unknown code purpose: ${purpose}`);
+
+  const now = Date.now();
+  const code = generateValue(settings.type);
+  const expiresAt = new Date(now + settings.ttlMs);
+
+  try {
+    // Matches only when no code exists or the cooldown is over - a
+    // fresh code makes the upsert hit the unique index instead
+    await OneTimeCode.updateOne(
+      {
+        user: userId,
+        purpose,
+        $or: [
+          { sentAt: { $lte: new Date(now - settings.cooldownMs) } },
+          { expiresAt: { $lte: new Date(now) } },
+        ],
+      },
+      {
+        $set: {
+          codeHash: hashCode(purpose, code),
+          attempts: 0,
+          sentAt: new Date(now),
+          expiresAt,
+        },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await OneTimeCode.findOne({ user: userId, purpose })
+      .select("sentAt")
+      .lean();
+    const retryAfterMs = existing
+      ? existing.sentAt.getTime() + settings.cooldownMs - now
+      : settings.cooldownMs;
+
+    throw new OneTimeCodeError(
+      "Please wait before requesting a new code",
+      429,
+      Math.max(1, Math.ceil(retryAfterMs / 1000))
+    );
+  }
+
+  return { code, expiresAt };
+}
+
+/**
+ * Check code entered by user - deleted when it matches or when the
+ * last attempt is used up
+ * @param {string} userId - User ID
+ * @param {string} purpose - CODE_PURPOSES value
+ * @param {string} code - Code entered by user
+ * @throws {OneTimeCodeError}
+ */
+export async function verifyCode(userId, purpose, code) {
+  const settings = CODE_SETTINGS[purpose];
+
+  // Count the attempt before comparing - parallel guesses can't exceed
+  // the limit
+  const record = await OneTimeCode.findOneAndUpdate(
+    {
+      user: userId,
+      purpose,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: settings.maxAttempts },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  ).lean();
+
+  if (!record) throw invalidCode();
+
+  if (!hashesMatch(hashCode(purpose, code), record.codeHash)) {
+    if (record.attempts >= settings.maxAttempts) {
+      await OneTimeCode.deleteOne({ _id: record._id });
+      throw new OneTimeCodeError(
+        "Too many invalid attempts. Please request a new code."
+      );
+    }
+    throw invalidCode();
+  }
+
+  const { deletedCount } = await OneTimeCode.deleteOne({
+    _id: record._id,
+    codeHash: record.codeHash,
+  });
+  if (deletedCount !== 1) throw invalidCode();
+}
+
+/**
+ * Check token from a link (password reset) without using it up - call
+ * revokeCodes() once the change it authorizes is saved
+ * Lookup is by HMAC, so the plain token is never compared directly.
+ * @param {string} purpose - CODE_PURPOSES value
+ * @param {string} token - Token from the link
+ * @returns {Promise<Object>} - User ID the token was issued for
+ * @throws {OneTimeCodeError}
+ */
+export async function findTokenUser(purpose, token) {
+  if (!token) throw invalidCode();
+
+  const record = await OneTimeCode.findOne({
+    purpose,
+    codeHash: hashCode(purpose, token),
+    expiresAt: { $gt: new Date() },
+  })
+    .select("user")
+    .lean();
+
+  if (!record) throw invalidCode();
+  return record.user;
+}
+
+/**
+ * Drop live codes of the user
+ * @param {string} userId - User ID
+ * @param {string} [purpose] - Only this purpose
+ */
+export async function revokeCodes(userId, purpose) {
+  await OneTimeCode.deleteMany(
+    purpose ? { user: userId, purpose } : { user: userId }
+  );
+}
+
+export { CODE_PURPOSES };
+
+export default {
+  CODE_PURPOSES,
+  OneTimeCodeError,
+  issueCode,
+  verifyCode,
+  findTokenUser,
+  revokeCodes,
+};
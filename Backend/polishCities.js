@@ -0,0 +1,136 @@
+/**
+ * Polish Cities Gazetteer - Offline city name -> coordinates lookup
+ *
+ * Covers voivodeship capitals and other cities above ~40k inhabitants.
+ * Coordinates point at the city centre (WGS84, decimal degrees).
+ */
+
+import { foldDiacritics } from "./adTextSearch.js";
+
+const POLISH_CITIES = [
+  { name: "Warszawa", lat: 52.2297, lng: 21.0122 },
+  { name: "Kraków", lat: 50.0647, lng: 19.945 },
+  { name: "Łódź", lat: 51.7592, lng: 19.456 },
+  { name: "Wrocław", lat: 51.1079, lng: 17.0385 },
+  { name: "Poznań", lat: 52.4064, lng: 16.9252 },
+  { name: "Gdańsk", lat: 54.352, lng: 18.6466 },
+  { name: "Szczecin", lat: 53.4285, lng: 14.5528 },
+  { name: "Bydgoszcz", lat: 53.1235, lng: 18.0084 },
+  { name: "Lublin", lat: 51.2465, lng: 22.5684 },
+  { name: "Białystok", lat: 53.1325, lng: 23.1688 },
+  { name: "Katowice", lat: 50.2649, lng: 19.0238 },
+  { name: "Gdynia", lat: 54.5189, lng: 18.5305 },
+  { name: "Częstochowa", lat: 50.8118, lng: 19.1203 },
+  { name: "Radom", lat: 51.4027, lng: 21.1471 },
+  { name: "Toruń", lat: 53.0138, lng: 18.5984 },
+  { name: "Sosnowiec", lat: 50.2863, lng: 19.1041 },
+  { name: "Rzeszów", lat: 50.0412, lng: 21.9991 },
+  { name: "Kielce", lat: 50.8661, lng: 20.6286 },
+  { name: "Gliwice", lat: 50.2945, lng: 18.6714 },
+  { name: "Olsztyn", lat: 53.7784, lng: 20.4801 },
+  { name: "Zabrze", lat: 50.3249, lng: 18.7857 },
+  { name: "Bielsko-Biała", lat: 49.8224, lng: 19.0584 },
+  { name: "Bytom", lat: 50.3484, lng: 18.9156 },
+  { name: "Zielona Góra", lat: 51.9356, lng: 15.5062 },
+  { name: "Rybnik", lat: 50.0971, lng: 18.5463 },
+  { name: "Ruda Śląska", lat: 50.2558, lng: 18.8556 },
+  { name: "Opole", lat: 50.6751, lng: 17.9213 },
+  { name: "Tychy", lat: 50.1236, lng: 18.987 },
+  { name: "Gorzów Wielkopolski", lat: 52.7368, lng: 15.2288 },
+  { name: "Elbląg", lat: 54.1522, lng: 19.4088 },
+  { name: "Płock", lat: 52.5463, lng: 19.7065 },
+  { name: "Dąbrowa Górnicza", lat: 50.3217, lng: 19.1949 },
+  { name: "Wałbrzych", lat: 50.7714, lng: 16.2843 },
+  { name: "Włocławek", lat: 52.6483, lng: 19.0677 },
+  { name: "Tarnów", lat: 50.0121, lng: 20.9858 },
+  { name: "Chorzów", lat: 50.2975, lng: 18.9545 },
+  { name: "Koszalin", lat: 54.1944, lng: 16.1722 },
+  { name: "Kalisz", lat: 51.7611, lng: 18.091 },
+  { name: "Legnica", lat: 51.207, lng: 16.1553 },
+  { name: "Grudziądz", lat: 53.4837, lng: 18.7536 },
+  { name: "Jaworzno", lat: 50.205, lng: 19.274 },
+  { name: "Słupsk", lat: 54.4641, lng: 17.0287 },
+  { name: "Jastrzębie-Zdrój", lat: 49.9574, lng: 18.574 },
+  { name: "Nowy Sącz", lat: 49.6175, lng: 20.7153 },
+  { name: "Jelenia Góra", lat: 50.9044, lng: 15.7194 },
+  { name: "Siedlce", lat: 52.1676, lng: 22.2902 },
+  { name: "Mysłowice", lat: 50.2083, lng: 19.1661 },
+  { name: "Konin", lat: 52.223, lng: 18.2511 },
+  { name: "Piła", lat: 53.1511, lng: 16.7378 },
+  { name: "Piotrków Trybunalski", lat: 51.4053, lng: 19.703 },
+  { name: "Inowrocław", lat: 52.7979, lng: 18.261 },
+  { name: "Lubin", lat: 51.401, lng: 16.2015 },
+  { name: "Ostrów Wielkopolski", lat: 51.655, lng: 17.8069 },
+  { name: "Suwałki", lat: 54.1118, lng: 22.9309 },
+  { name: "Gniezno", lat: 52.5348, lng: 17.5826 },
+  { name: "Stargard", lat: 53.3364, lng: 15.0497 },
+  { name: "Głogów", lat: 51.6636, lng: 16.0845 },
+  { name: "Siemianowice Śląskie", lat: 50.3264, lng: 19.0294 },
+  { name: "Pabianice", lat: 51.6645, lng: 19.3547 },
+  { name: "Leszno", lat: 51.8406, lng: 16.5749 },
+  { name: "Zamość", lat: 50.7231, lng: 23.252 },
+  { name: "Łomża", lat: 53.1781, lng: 22.059 },
+  { name: "Ełk", lat: 53.8284, lng: 22.3647 },
+  { name: "Przemyśl", lat: 49.7838, lng: 22.7678 },
+  { name: "Tczew", lat: 54.0924, lng: 18.7779 },
+  { name: "Chełm", lat: 51.1431, lng: 23.4712 },
+  { name: "Mielec", lat: 50.2874, lng: 21.4239 },
+  { name: "Biała Podlaska", lat: 52.0325, lng: 23.1149 },
+  { name: "Sopot", lat: 54.4418, lng: 18.5601 },
+  { name: "Zakopane", lat: 49.2992, lng: 19.9496 },
+  { name: "Ostrołęka", lat: 53.084, lng: 21.5752 },
+  { name: "Świnoujście", lat: 53.9105, lng: 14.2471 },
+  { name: "Krosno", lat: 49.6887, lng: 21.7706 },
+  { name: "Sanok", lat: 49.5557, lng: 22.2056 },
+  { name: "Puławy", lat: 51.4166, lng: 21.9694 },
+  { name: "Starachowice", lat: 51.0374, lng: 21.0711 },
+  { name: "Skierniewice", lat: 51.9547, lng: 20.1583 },
+  { name: "Pruszków", lat: 52.1708, lng: 20.8124 },
+  { name: "Legionowo", lat: 52.4015, lng: 20.9265 },
+  { name: "Otwock", lat: 52.1053, lng: 21.2614 },
+  { name: "Piaseczno", lat: 52.0813, lng: 21.0238 },
+];
+
+// Common alternative spellings -> canonical city name
+const CITY_ALIASES = {
+  warsaw: "Warszawa",
+  cracow: "Kraków",
+  breslau: "Wrocław",
+  danzig: "Gdańsk",
+  stettin: "Szczecin",
+  trojmiasto: "Gdańsk",
+};
+
+// Lookup key: folded lowercase name with dashes/whitespace collapsed
+const toKey = (name) =>
+  foldDiacritics(name)
+    .replace(/[\s-]+/g, " ")
+    .trim();
+
+const citiesByKey = new Map(
+  POLISH_CITIES.map((city) => [toKey(city.name), city])
+);
+
+/**
+ * Find city by name (case and diacritic insensitive)
+ * @param {string} name - City name, e.g. "krakow", "Kraków", "Bielsko Biala"
+ * @returns {{name: string, lat: number, lng: number}|null} - City or null
+ */
+export function findCity(name) {
+  if (typeof name !== "string" || name.trim() === "") return null;
+
+  const key = toKey(name);
+  const alias = CITY_ALIASES[key];
+  return citiesByKey.get(alias ? toKey(alias) : key) || null;
+}
+
+/**
+ * List all known cities (e.g. for autocomplete)
+ * @returns {Array<{name: string, lat: number, lng: number}>} - Cities
+ */
+export const getCities = () => POLISH_CITIES.map((city) => ({ ...city }));
+
+export default {
+  findCity,
+  getCities,
+};
@@ -0,0 +1,39 @@
+/**
+ * PriceHistory Model - Time series of ad price changes
+ *
+ * One document per price point: initial price on creation and every
+ * later change. Ad.price always holds the current value.
+ */
+
+import mongoose from "mongoose";
+
+const priceHistorySchema = new mongoose.Schema({
+  ad: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ad",
+    required: true,
+  },
+  price: {
+    type: Number,
+    required: true,
+  },
+  // null for the initial price point
+  previousPrice: {
+    type: Number,
+    default: null,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+priceHistorySchema.index({ ad: 1, changedAt: 1 });
+
+const PriceHistory = mongoose.model("PriceHistory", priceHistorySchema);
+
+export default PriceHistory;
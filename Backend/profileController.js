@@ -3,19 +3,73 @@
  *
  * Features:
  * - Profile data management
- * - Two-factor verification (email/SMS)
+ * - Two-factor verification (email/SMS), hashed single-use codes
  * - Password reset with tokens
  * - Email enumeration protection
  * - Audit logging
  * - GDPR compliance
+ * - Seller analytics (JSON and CSV export)
+ * - Recently viewed ads history
+ * - Data export (GDPR archive, built in background)
+ * - Account deletion with grace period
+ * - Security events history (stored audit trail)
  */
 
+import mongoose from "mongoose";
 import { validationResult } from "express-validator";
 import User from "../../models/user/user.js";
-import Ad from "../../models/listings/ad.js";
 import Message from "../../models/communication/message.js";
 import Notification from "../../models/communication/notification.js";
 import logger from "../../utils/logger.js";
+import {
+  DEFAULT_ANALYTICS_DAYS,
+  MAX_ANALYTICS_DAYS,
+  getSellerAnalytics,
+  formatAnalyticsCsv,
+} from "./sellerAnalytics.js";
+import {
+  MAX_VIEW_HISTORY_ITEMS,
+  mergeRecentlyViewed,
+  getRecentlyViewedAds,
+  removeRecentlyViewed,
+  clearRecentlyViewed,
+} from "./recentlyViewed.js";
+import DataExport, { DATA_EXPORT_STATUS } from "./dataExport.js";
+import dataExportJob from "./dataExportJob.js";
+import {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  AccountDeletionError,
+  getAccountDeletion,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+  cancelAccountDeletion,
+} from "./userAccountDeletion.js";
+import { SECURITY_EVENT_TYPES } from "./securityEvent.js";
+import { recordSecurityEvent, getUserSecurityEvents } from "./securityAudit.js";
+import { revokeAllSessions } from "./userSessions.js";
+import {
+  CODE_PURPOSES,
+  OneTimeCodeError,
+  issueCode,
+  verifyCode,
+  findTokenUser,
+  revokeCodes,
+} from "./oneTimeCodes.js";
+
+/**
+ * Send OneTimeCodeError as client error, pass anything else on
+ */
+const handleCodeError = (error, res, next, context) => {
+  if (error instanceof OneTimeCodeError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+      retryAfter: error.retryAfter,
+    });
+  }
+  logger.error(context, { error: error.message });
+  return next(error);
+};
 
 /**
  * Get user profile with security checks
@@ -121,14 +175,21 @@ export const updateUserProfile = async (req, res, next) => {
 
     // Track changes for audit log
     const changes = [];
+    const auditChanges = [];
     if (name && name !== user.name) {
       changes.push(`Name changed from "${user.name}" to "${name}"`);
+      auditChanges.push({ field: "name", before: user.name, after: name });
       user.name = name.trim();
     }
     if (lastName && lastName !== user.lastName) {
       changes.push(
         `Last name changed from "${user.lastName}" to "${lastName}"`
       );
+      auditChanges.push({
+        field: "lastName",
+        before: user.lastName,
+        after: lastName,
+      });
       user.lastName = lastName.trim();
     }
 
@@ -140,6 +201,10 @@ export const updateUserProfile = async (req, res, next) => {
         userId,
         changes,
       });
+      await recordSecurityEvent(userId, SECURITY_EVENT_TYPES.PROFILE_UPDATED, {
+        changes: auditChanges,
+        req,
+      });
     }
 
     // Return updated profile data
@@ -214,19 +279,28 @@ export const requestEmailChange = async (req, res, next) => {
       });
     }
 
-    // Generate verification code (6 digits)
-    const { generateVerificationCode, sendEmailChangeVerification } =
-      await import("../../services/emailService.js");
-    const verificationCode = generateVerificationCode();
+    // Generate verification code (6 digits, valid 15 minutes)
+    const { code: verificationCode } = await issueCode(
+      userId,
+      CODE_PURPOSES.EMAIL_CHANGE
+    );
 
-    // Save verification code with 15-minute expiry
-    user.emailVerificationCode = verificationCode;
-    user.emailVerificationCodeExpires = new Date(Date.now() + 15 * 60 * 1000);
-    user.pendingEmail = newEmail.toLowerCase();
-    await user.save();
+    try {
+      user.emailVerificationCode = undefined; // Plaintext code of old flow
+      user.emailVerificationCodeExpires = undefined;
+      user.pendingEmail = newEmail.toLowerCase();
+      await user.save();
 
-    // Send verification email to NEW address
-    await sendEmailChangeVerification(newEmail, verificationCode, user.name);
+      // Send verification email to NEW address
+      const { sendEmailChangeVerification } = await import(
+        "../../services/emailService.js"
+      );
+      await sendEmailChangeVerification(newEmail, verificationCode, user.name);
+    } catch (error) {
+      // Code never reached the user - no resend cooldown
+      await revokeCodes(userId, CODE_PURPOSES.EMAIL_CHANGE);
+      throw error;
+    }
 
     logger.info("Email change requested", {
       userId,
@@ -239,8 +313,7 @@ export const requestEmailChange = async (req, res, next) => {
       message: "Verification code sent to new email address",
     });
   } catch (error) {
-    logger.error("Request email change error", { error: error.message });
-    return next(error);
+    return handleCodeError(error, res, next, "Request email change error");
   }
 };
 
@@ -269,18 +342,14 @@ export const verifyEmailChange = async (req, res, next) => {
       });
     }
 
-    // Validate verification code
-    if (
-      !user.emailVerificationCode ||
-      user.emailVerificationCode !== code ||
-      !user.emailVerificationCodeExpires ||
-      user.emailVerificationCodeExpires < new Date()
-    ) {
-      logger.warn("Invalid email verification code", { userId });
-      return res.status(400).json({
-        success: false,
-        message: "Verification code is invalid or expired",
-      });
+    // Validate verification code (limited attempts, single use)
+    try {
+      await verifyCode(userId, CODE_PURPOSES.EMAIL_CHANGE, code);
+    } catch (error) {
+      if (error instanceof OneTimeCodeError) {
+        logger.warn("Invalid email verification code", { userId });
+      }
+      throw error;
     }
 
     if (!user.pendingEmail) {
@@ -308,6 +377,11 @@ export const verifyEmailChange = async (req, res, next) => {
       `Email changed from ${oldEmail} to ${user.email}`,
     ]);
 
+    await recordSecurityEvent(userId, SECURITY_EVENT_TYPES.EMAIL_CHANGED, {
+      changes: [{ field: "email", before: oldEmail, after: user.email }],
+      req,
+    });
+
     logger.info("Email changed successfully", {
       userId,
       oldEmail: oldEmail.substring(0, 3) + "***",
@@ -326,8 +400,7 @@ export const verifyEmailChange = async (req, res, next) => {
       },
     });
   } catch (error) {
-    logger.error("Verify email change error", { error: error.message });
-    return next(error);
+    return handleCodeError(error, res, next, "Verify email change error");
   }
 };
 
@@ -373,19 +446,28 @@ export const requestPhoneChange = async (req, res, next) => {
       });
     }
 
-    // Generate verification code
-    const { generateVerificationCode, sendPhoneChangeVerification } =
-      await import("../../services/emailService.js");
-    const verificationCode = generateVerificationCode();
+    // Generate verification code (6 digits, valid 15 minutes)
+    const { code: verificationCode } = await issueCode(
+      userId,
+      CODE_PURPOSES.PHONE_CHANGE
+    );
 
-    // Save verification code with 15-minute expiry
-    user.smsVerificationCode = verificationCode;
-    user.smsVerificationCodeExpires = new Date(Date.now() + 15 * 60 * 1000);
-    user.pendingPhone = newPhone;
-    await user.save();
+    try {
+      user.smsVerificationCode = undefined; // Plaintext code of old flow
+      user.smsVerificationCodeExpires = undefined;
+      user.pendingPhone = newPhone;
+      await user.save();
 
-    // Send verification SMS
-    await sendPhoneChangeVerification(newPhone, verificationCode);
+      // Send verification SMS
+      const { sendPhoneChangeVerification } = await import(
+        "../../services/emailService.js"
+      );
+      await sendPhoneChangeVerification(newPhone, verificationCode);
+    } catch (error) {
+      // Code never reached the user - no resend cooldown
+      await revokeCodes(userId, CODE_PURPOSES.PHONE_CHANGE);
+      throw error;
+    }
 
     logger.info("Phone change requested", {
       userId,
@@ -397,8 +479,7 @@ export const requestPhoneChange = async (req, res, next) => {
       message: "Verification code sent via SMS",
     });
   } catch (error) {
-    logger.error("Request phone change error", { error: error.message });
-    return next(error);
+    return handleCodeError(error, res, next, "Request phone change error");
   }
 };
 
@@ -427,18 +508,14 @@ export const verifyPhoneChange = async (req, res, next) => {
       });
     }
 
-    // Validate verification code
-    if (
-      !user.smsVerificationCode ||
-      user.smsVerificationCode !== code ||
-      !user.smsVerificationCodeExpires ||
-      user.smsVerificationCodeExpires < new Date()
-    ) {
-      logger.warn("Invalid phone verification code", { userId });
-      return res.status(400).json({
-        success: false,
-        message: "Verification code is invalid or expired",
-      });
+    // Validate verification code (limited attempts, single use)
+    try {
+      await verifyCode(userId, CODE_PURPOSES.PHONE_CHANGE, code);
+    } catch (error) {
+      if (error instanceof OneTimeCodeError) {
+        logger.warn("Invalid phone verification code", { userId });
+      }
+      throw error;
     }
 
     if (!user.pendingPhone) {
@@ -466,6 +543,13 @@ export const verifyPhoneChange = async (req, res, next) => {
       `Phone changed from ${oldPhone} to ${user.phoneNumber}`,
     ]);
 
+    await recordSecurityEvent(userId, SECURITY_EVENT_TYPES.PHONE_CHANGED, {
+      changes: [
+        { field: "phoneNumber", before: oldPhone, after: user.phoneNumber },
+      ],
+      req,
+    });
+
     logger.info("Phone changed successfully", {
       userId,
       oldPhone: "***" + (oldPhone?.slice(-4) || ""),
@@ -484,8 +568,7 @@ export const verifyPhoneChange = async (req, res, next) => {
       },
     });
   } catch (error) {
-    logger.error("Verify phone change error", { error: error.message });
-    return next(error);
+    return handleCodeError(error, res, next, "Verify phone change error");
   }
 };
 
@@ -525,19 +608,43 @@ export const requestPasswordReset = async (req, res, next) => {
       });
     }
 
-    // Generate reset token (cryptographically secure)
-    const { generateResetToken, sendPasswordResetEmail } = await import(
-      "../../services/emailService.js"
-    );
-    const resetToken = generateResetToken();
-
-    // Save token with 1-hour expiry
-    user.passwordResetToken = resetToken;
-    user.passwordResetTokenExpires = new Date(Date.now() + 60 * 60 * 1000);
-    await user.save();
+    // Generate reset token (cryptographically secure, valid 1 hour)
+    let resetToken;
+    try {
+      ({ code: resetToken } = await issueCode(
+        user._id,
+        CODE_PURPOSES.PASSWORD_RESET
+      ));
+    } catch (error) {
+      if (!(error instanceof OneTimeCodeError)) throw error;
+      // Resend cooldown - same answer as always
+      logger.debug("Password reset requested during cooldown", {
+        userId: user._id,
+      });
+      return res.status(200).json({
+        success: true,
+        message: successMessage,
+      });
+    }
 
-    // Send reset email
-    await sendPasswordResetEmail(user.email, resetToken, user.name);
+    try {
+      // Plaintext token of old flow
+      if (user.passwordResetToken) {
+        user.passwordResetToken = undefined;
+        user.passwordResetTokenExpires = undefined;
+        await user.save();
+      }
+
+      // Send reset email
+      const { sendPasswordResetEmail } = await import(
+        "../../services/emailService.js"
+      );
+      await sendPasswordResetEmail(user.email, resetToken, user.name);
+    } catch (error) {
+      // Link never reached the user - no resend cooldown
+      await revokeCodes(user._id, CODE_PURPOSES.PASSWORD_RESET);
+      throw error;
+    }
 
     logger.info("Password reset requested", {
       userId: user._id,
@@ -580,14 +687,17 @@ export const resetPassword = async (req, res, next) => {
       });
     }
 
-    // Find user with valid token
-    const user = await User.findOne({
-      passwordResetToken: token,
-      passwordResetTokenExpires: { $gt: new Date() },
-    });
+    // Find user with valid token (used up only after the password is saved)
+    let user = null;
+    try {
+      const userId = await findTokenUser(CODE_PURPOSES.PASSWORD_RESET, token);
+      user = await User.findById(userId);
+    } catch (error) {
+      if (!(error instanceof OneTimeCodeError)) throw error;
+    }
 
     if (!user) {
-      logger.warn("Invalid or expired password reset token", { token });
+      logger.warn("Invalid or expired password reset token");
       return res.status(400).json({
         success: false,
         message: "Password reset token is invalid or expired",
@@ -602,6 +712,11 @@ export const resetPassword = async (req, res, next) => {
     user.accountLocked = false;
     await user.save();
 
+    await revokeCodes(user._id, CODE_PURPOSES.PASSWORD_RESET);
+
+    // Sign out everywhere - the old password may have leaked
+    await revokeAllSessions(user._id, "password_reset");
+
     // Send notification
     const { sendProfileChangeNotification } = await import(
       "../../services/emailService.js"
@@ -610,6 +725,11 @@ export const resetPassword = async (req, res, next) => {
       "Password changed successfully",
     ]);
 
+    await recordSecurityEvent(user._id, SECURITY_EVENT_TYPES.PASSWORD_RESET, {
+      changes: [{ field: "password" }],
+      req,
+    });
+
     logger.info("Password reset successfully", {
       userId: user._id,
       email: user.email.substring(0, 3) + "***",
@@ -626,43 +746,50 @@ export const resetPassword = async (req, res, next) => {
 };
 
 /**
- * Get recently viewed ads for user
- * GET /api/profile/recently-viewed
+ * Get recently viewed ads for user (newest first)
+ * GET /api/profile/recently-viewed?limit=10
+ *
+ * Each entry has the ad's current price and status, the price when it
+ * was viewed and whether the ad is still available.
  */
 export const getRecentlyViewed = async (req, res, next) => {
   try {
     const userId = req.user.userId;
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || 10, 1),
+      MAX_VIEW_HISTORY_ITEMS
+    );
 
-    // Get user's recently viewed ads (last 10)
-    const recentlyViewedAds = await Ad.find({
-      owner: userId,
-    })
-      .sort({ updatedAt: -1 })
-      .limit(10)
-      .select(
-        "id title brand model price status images mainImage mainImageIndex createdAt updatedAt"
-      );
+    const entries = await getRecentlyViewedAds(userId, limit);
 
     const recentlyViewedData = {
       success: true,
-      recentlyViewed: recentlyViewedAds.map((ad) => ({
-        id: ad._id,
-        title: ad.title,
-        brand: ad.brand,
-        model: ad.model,
-        price: ad.price,
-        status: ad.status,
-        images: ad.images,
-        mainImage: ad.mainImage,
-        mainImageIndex: ad.mainImageIndex,
-        createdAt: ad.createdAt,
-        updatedAt: ad.updatedAt,
-      })),
+      recentlyViewed: entries.map(
+        ({ ad, viewedAt, priceAtView, priceChange, available }) => ({
+          id: ad._id,
+          title: ad.headline || ad.title,
+          brand: ad.brand,
+          model: ad.model,
+          year: ad.year,
+          mileage: ad.mileage,
+          price: ad.price,
+          status: ad.status,
+          available,
+          images: ad.images,
+          mainImage: ad.mainImage,
+          mainImageIndex: ad.mainImageIndex,
+          createdAt: ad.createdAt,
+          updatedAt: ad.updatedAt,
+          viewedAt,
+          priceAtView,
+          priceChange,
+        })
+      ),
     };
 
     logger.debug("Recently viewed fetched", {
       userId,
-      count: recentlyViewedAds.length,
+      count: entries.length,
     });
 
     return res.status(200).json(recentlyViewedData);
@@ -671,3 +798,490 @@ export const getRecentlyViewed = async (req, res, next) => {
     return next(error);
   }
 };
+
+/**
+ * Merge guest view history (local storage) after login
+ * POST /api/profile/recently-viewed/merge
+ * Body: { items: [{ adId, viewedAt }] }
+ */
+export const mergeRecentlyViewedHistory = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { items } = req.body;
+
+    if (!Array.isArray(items)) {
+      return res.status(400).json({
+        success: false,
+        message: "Items must be an array",
+      });
+    }
+
+    const count = await mergeRecentlyViewed(userId, items);
+
+    logger.debug("Guest view history merged", {
+      userId,
+      received: items.length,
+      count,
+    });
+
+    return res.status(200).json({
+      success: true,
+      count,
+    });
+  } catch (error) {
+    logger.error("Merge recently viewed error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Remove ad from view history
+ * DELETE /api/profile/recently-viewed/:adId
+ */
+export const removeRecentlyViewedItem = async (req, res, next) => {
+  try {
+    const { adId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(adId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid ad ID",
+      });
+    }
+
+    await removeRecentlyViewed(req.user.userId, adId);
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    logger.error("Remove recently viewed error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Clear view history
+ * DELETE /api/profile/recently-viewed
+ */
+export const clearRecentlyViewedHistory = async (req, res, next) => {
+  try {
+    await clearRecentlyViewed(req.user.userId);
+
+    return res.status(200).json({ success: true });
+  } catch (error) {
+    logger.error("Clear recently viewed error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Parse ?days= for analytics endpoints
+ */
+const parseAnalyticsDays = (query) =>
+  Math.min(
+    Math.max(parseInt(query.days) || DEFAULT_ANALYTICS_DAYS, 1),
+    MAX_ANALYTICS_DAYS
+  );
+
+/**
+ * Get performance analytics of user's ads
+ * GET /api/profile/analytics?days=30
+ *
+ * Per ad: daily views and favourites, messages received, conversion
+ * ratios, average time to first reply, rank in search for its own
+ * brand/model. Plus account-level summary.
+ */
+export const getProfileAnalytics = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const days = parseAnalyticsDays(req.query);
+
+    const analytics = await getSellerAnalytics(userId, { days });
+
+    logger.debug("Profile analytics fetched", {
+      userId,
+      days,
+      ads: analytics.ads.length,
+    });
+
+    return res.status(200).json({
+      success: true,
+      ...analytics,
+    });
+  } catch (error) {
+    logger.error("Get profile analytics error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Export analytics of user's ads as CSV (one row per ad)
+ * GET /api/profile/analytics/export?days=30
+ */
+export const exportProfileAnalytics = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const days = parseAnalyticsDays(req.query);
+
+    const analytics = await getSellerAnalytics(userId, { days });
+    const { from, to } = analytics.period;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="analytics-${from}-${to}.csv"`
+    );
+
+    return res.status(200).send(formatAnalyticsCsv(analytics));
+  } catch (error) {
+    logger.error("Export profile analytics error", { error: error.message });
+    return next(error);
+  }
+};
+
+/* ---------------------------- Data export ---------------------------- */
+
+// Minimum time between two exports of the same user
+const DATA_EXPORT_COOLDOWN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Client view of an export request
+ */
+const formatDataExport = (dataExport) => ({
+  id: dataExport._id,
+  status: dataExport.status,
+  createdAt: dataExport.createdAt,
+  completedAt: dataExport.completedAt,
+  expiresAt: dataExport.expiresAt,
+  fileSize: dataExport.fileSize,
+  counts: dataExport.counts,
+  downloadUrl:
+    dataExport.status === DATA_EXPORT_STATUS.READY
+      ? `/api/profile/data-export/${dataExport._id}/download`
+      : null,
+});
+
+/**
+ * Request archive of all user's data (built in background)
+ * POST /api/profile/data-export
+ * (route: dataExportLimiter)
+ *
+ * One export per DATA_EXPORT_COOLDOWN_MS; the user is notified
+ * ("data_export_ready") when the archive can be downloaded.
+ */
+export const requestDataExport = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const latest = await DataExport.findOne({ user: userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    if (
+      latest &&
+      [DATA_EXPORT_STATUS.QUEUED, DATA_EXPORT_STATUS.PROCESSING].includes(
+        latest.status
+      )
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: "Data export already in progress",
+        export: formatDataExport(latest),
+      });
+    }
+
+    // Failed exports don't count towards the limit
+    if (latest && latest.status !== DATA_EXPORT_STATUS.FAILED) {
+      const retryAfterMs =
+        latest.createdAt.getTime() + DATA_EXPORT_COOLDOWN_MS - Date.now();
+      if (retryAfterMs > 0) {
+        return res.status(429).json({
+          success: false,
+          message: "Data export can be requested once per day",
+          code: "DATA_EXPORT_COOLDOWN",
+          retryAfter: Math.ceil(retryAfterMs / 1000),
+          export: formatDataExport(latest),
+        });
+      }
+    }
+
+    const dataExport = await DataExport.create({ user: userId });
+    dataExportJob.trigger();
+
+    logger.info("Data export requested", {
+      userId,
+      exportId: dataExport._id,
+    });
+
+    return res.status(202).json({
+      success: true,
+      message: "Data export started. You will be notified when it's ready.",
+      export: formatDataExport(dataExport),
+    });
+  } catch (error) {
+    logger.error("Request data export error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Get status of the latest export
+ * GET /api/profile/data-export
+ */
+export const getDataExportStatus = async (req, res, next) => {
+  try {
+    const latest = await DataExport.findOne({ user: req.user.userId })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      export: latest ? formatDataExport(latest) : null,
+    });
+  } catch (error) {
+    logger.error("Get data export status error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Download ready archive (owner only)
+ * GET /api/profile/data-export/:id/download
+ */
+export const downloadDataExport = async (req, res, next) => {
+  const { id } = req.params;
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid export ID",
+      });
+    }
+
+    const dataExport = await DataExport.findOne({
+      _id: id,
+      user: req.user.userId,
+    });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        success: false,
+        message: "Data export not found",
+      });
+    }
+
+    if (
+      dataExport.status !== DATA_EXPORT_STATUS.READY ||
+      dataExport.expiresAt <= new Date()
+    ) {
+      return res.status(410).json({
+        success: false,
+        message: "Data export is not available",
+        status: dataExport.status,
+      });
+    }
+
+    const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+    res.setHeader("Cache-Control", "no-store");
+    res.download(
+      dataExport.filePath,
+      `data-export-${date}.json.gz`,
+      { headers: { "Content-Type": "application/gzip" } },
+      (error) => {
+        if (error) {
+          logger.error("Data export download error", {
+            error: error.message,
+            exportId: id,
+          });
+          if (!res.headersSent) next(error);
+          return;
+        }
+
+        logger.info("Data export downloaded", {
+          userId: req.user.userId,
+          exportId: id,
+        });
+
+        DataExport.updateOne(
+          { _id: dataExport._id },
+          { $inc: { downloadCount: 1 }, $set: { lastDownloadedAt: new Date() } }
+        ).catch((updateError) =>
+          logger.warn("Data export download count error", {
+            error: updateError.message,
+            exportId: id,
+          })
+        );
+      }
+    );
+  } catch (error) {
+    logger.error("Download data export error", { error: error.message });
+    return next(error);
+  }
+};
+
+/* -------------------------- Account deletion -------------------------- */
+
+/**
+ * Client view of a deletion request
+ */
+const formatAccountDeletion = (request) => ({
+  status: request.status,
+  requestedAt: request.createdAt,
+  codeExpiresAt: request.codeExpiresAt,
+  scheduledFor: request.scheduledFor,
+});
+
+/**
+ * Send AccountDeletionError as client error, pass anything else on
+ */
+const handleAccountDeletionError = (error, res, next, context) => {
+  if (error instanceof AccountDeletionError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  return handleCodeError(error, res, next, context);
+};
+
+/**
+ * Get open account deletion request
+ * GET /api/profile/account-deletion
+ */
+export const getAccountDeletionStatus = async (req, res, next) => {
+  try {
+    const request = await getAccountDeletion(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      deletion: request ? formatAccountDeletion(request) : null,
+    });
+  } catch (error) {
+    return handleAccountDeletionError(
+      error,
+      res,
+      next,
+      "Get account deletion error"
+    );
+  }
+};
+
+/**
+ * Request account deletion - sends confirmation code to account email
+ * POST /api/profile/account-deletion
+ */
+export const requestAccountDeletionCode = async (req, res, next) => {
+  try {
+    const request = await requestAccountDeletion(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      message: "Confirmation code sent to your email address",
+      deletion: formatAccountDeletion(request),
+    });
+  } catch (error) {
+    return handleAccountDeletionError(
+      error,
+      res,
+      next,
+      "Request account deletion error"
+    );
+  }
+};
+
+/**
+ * Confirm account deletion with code - starts the grace period
+ * POST /api/profile/account-deletion/confirm
+ * Body: { code }
+ *
+ * The account is deleted after ACCOUNT_DELETION_GRACE_DAYS unless the
+ * user logs in (or cancels) before.
+ */
+export const confirmAccountDeletionRequest = async (req, res, next) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: "Confirmation code is required",
+      });
+    }
+
+    const request = await confirmAccountDeletion(req.user.userId, code);
+
+    return res.status(200).json({
+      success: true,
+      message: `Account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Log in before then to cancel.`,
+      deletion: formatAccountDeletion(request),
+    });
+  } catch (error) {
+    return handleAccountDeletionError(
+      error,
+      res,
+      next,
+      "Confirm account deletion error"
+    );
+  }
+};
+
+/**
+ * Cancel account deletion
+ * DELETE /api/profile/account-deletion
+ */
+export const cancelAccountDeletionRequest = async (req, res, next) => {
+  try {
+    const request = await getAccountDeletion(req.user.userId);
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "No pending account deletion",
+      });
+    }
+
+    await cancelAccountDeletion(req.user.userId, "user");
+
+    return res.status(200).json({
+      success: true,
+      message: "Account deletion cancelled",
+    });
+  } catch (error) {
+    return handleAccountDeletionError(
+      error,
+      res,
+      next,
+      "Cancel account deletion error"
+    );
+  }
+};
+
+/* -------------------------- Security events -------------------------- */
+
+/**
+ * Get own security events (profile, email, phone, password changes)
+ * GET /api/profile/security-events?page=1&limit=20
+ */
+export const getSecurityEvents = async (req, res, next) => {
+  try {
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const { events, total } = await getUserSecurityEvents(req.user.userId, {
+      skip: (page - 1) * limit,
+      limit,
+    });
+
+    return res.status(200).json({
+      success: true,
+      events,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+    });
+  } catch (error) {
+    logger.error("Get security events error", { error: error.message });
+    return next(error);
+  }
+};
@@ -142,6 +142,7 @@ export const authLimiter = makeLimiter({
  * Admin login rate limiter
  * 10 attempts per hour per IP+email
  * More restrictive than regular auth
+ * Also counts TOTP login codes (see twoFactorLimiter)
  */
 export const adminLoginLimiter = makeLimiter({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -152,6 +153,27 @@ export const adminLoginLimiter = makeLimiter({
   skipSuccessful: true,
 });
 
+// Short-window bucket of twoFactorLimiter
+const twoFactorCodeLimiter = makeLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  keyGenerator: emailAwareKey,
+  code: "TWO_FACTOR_RATE_LIMIT_EXCEEDED",
+  message: "Too many verification attempts. Please try again later.",
+  skipSuccessful: true,
+});
+
+/**
+ * Two-factor login code limiter (POST /api/auth/2fa/verify)
+ * 10 attempts per 15 minutes per IP+email, and each attempt also counts
+ * against adminLoginLimiter (the body carries the account email)
+ * Skips successful verifications; per-account lockout is in userTwoFactor
+ */
+export const twoFactorLimiter = (req, res, next) =>
+  twoFactorCodeLimiter(req, res, (error) =>
+    error ? next(error) : adminLoginLimiter(req, res, next)
+  );
+
 /**
  * Password reset rate limiter
  * 5 attempts per hour per IP+email
@@ -224,12 +246,26 @@ export const metadataLimiter = makeLimiter({
   message: "Too many metadata requests. Please slow down.",
 });
 
+/**
+ * Data export request limiter
+ * 3 requests per hour per user (one export per day is enforced by the
+ * controller, this only stops request floods)
+ */
+export const dataExportLimiter = makeLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  keyGenerator: (req) => req.user?.userId || ipOnlyKey(req),
+  code: "DATA_EXPORT_LIMIT_EXCEEDED",
+  message: "Too many data export requests. Please try again later.",
+});
+
 /* ---------------------- Backward compatibility ---------------------- */
 export { authLimiter as checkUserRole };
 
 export default {
   authLimiter,
   adminLoginLimiter,
+  twoFactorLimiter,
   passwordResetLimiter,
   registrationLimiter,
   apiLimiter,
@@ -237,4 +273,5 @@ export default {
   messageHourlyLimiter,
   searchLimiter,
   metadataLimiter,
+  dataExportLimiter,
 };
@@ -0,0 +1,208 @@
+/**
+ * Recently Viewed - Server-side view history of logged-in users
+ *
+ * Features:
+ * - Entry written when a user opens an ad (newest first, one per ad)
+ * - Capped at MAX_VIEW_HISTORY_ITEMS entries
+ * - Guest history from local storage merged in after login
+ * - Served with the ad's current price, status and price change since view
+ */
+
+import mongoose from "mongoose";
+import Ad from "../../models/listings/ad.js";
+import ViewHistory from "./viewHistory.js";
+import { VISIBLE_STATUSES, toLifecycleStatus } from "./adLifecycle.js";
+
+export const MAX_VIEW_HISTORY_ITEMS = 50;
+
+// Fields returned with history entries
+const HISTORY_AD_FIELDS =
+  "_id title headline brand model year mileage price status images mainImage mainImageIndex createdAt updatedAt";
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+/**
+ * Record ad view - moves the ad to the top of the user's history
+ * @param {string} userId - User ID
+ * @param {Object} ad - Ad (_id, price)
+ * @returns {Promise<void>}
+ */
+export async function recordRecentlyViewed(userId, ad) {
+  const entry = { ad: toObjectId(ad._id), viewedAt: new Date() };
+  if (typeof ad.price === "number") entry.priceAtView = ad.price;
+
+  // Single atomic update: drop previous entry of the ad, prepend, cap
+  await ViewHistory.updateOne(
+    { user: toObjectId(userId) },
+    [
+      {
+        $set: {
+          items: {
+            $slice: [
+              {
+                $concatArrays: [
+                  [entry],
+                  {
+                    $filter: {
+                      input: { $ifNull: ["$items", []] },
+                      cond: { $ne: ["$$this.ad", entry.ad] },
+                    },
+                  },
+                ],
+              },
+              MAX_VIEW_HISTORY_ITEMS,
+            ],
+          },
+        },
+      },
+    ],
+    { upsert: true }
+  );
+}
+
+/**
+ * Merge guest history (local storage) into the user's history
+ * Per ad the latest view wins; unknown ads are skipped.
+ *
+ * @param {string} userId - User ID
+ * @param {Array<Object>} guestItems - [{ adId, viewedAt }]
+ * @returns {Promise<number>} - Number of entries after merge
+ */
+export async function mergeRecentlyViewed(userId, guestItems) {
+  const now = Date.now();
+  const parsed = guestItems
+    .slice(0, MAX_VIEW_HISTORY_ITEMS)
+    .filter((item) => mongoose.Types.ObjectId.isValid(item?.adId))
+    .map((item) => {
+      const viewedAt = new Date(item.viewedAt);
+      return {
+        ad: item.adId.toString(),
+        // Missing, invalid or future dates count as "now"
+        viewedAt:
+          isNaN(viewedAt) || viewedAt.getTime() > now
+            ? new Date(now)
+            : viewedAt,
+      };
+    });
+
+  const ads = await Ad.find({ _id: { $in: parsed.map((item) => item.ad) } })
+    .select("_id price")
+    .lean();
+  const prices = new Map(ads.map((ad) => [ad._id.toString(), ad.price]));
+
+  const guestEntries = parsed
+    .filter((item) => prices.has(item.ad))
+    .map((item) => {
+      const entry = { ad: toObjectId(item.ad), viewedAt: item.viewedAt };
+      const price = prices.get(item.ad);
+      if (typeof price === "number") entry.priceAtView = price;
+      return entry;
+    });
+
+  // Single atomic update: newest first, keep the latest view per ad, cap
+  const history = await ViewHistory.findOneAndUpdate(
+    { user: toObjectId(userId) },
+    [
+      {
+        $set: {
+          items: {
+            $slice: [
+              {
+                $reduce: {
+                  input: {
+                    $sortArray: {
+                      input: {
+                        $concatArrays: [
+                          { $ifNull: ["$items", []] },
+                          guestEntries,
+                        ],
+                      },
+                      sortBy: { viewedAt: -1 },
+                    },
+                  },
+                  initialValue: [],
+                  in: {
+                    $cond: [
+                      { $in: ["$$this.ad", "$$value.ad"] },
+                      "$$value",
+                      { $concatArrays: ["$$value", ["$$this"]] },
+                    ],
+                  },
+                },
+              },
+              MAX_VIEW_HISTORY_ITEMS,
+            ],
+          },
+        },
+      },
+    ],
+    { upsert: true, new: true, projection: { items: 1 } }
+  ).lean();
+
+  return history?.items?.length || 0;
+}
+
+/**
+ * Get history with current ad data (deleted ads are skipped)
+ * @param {string} userId - User ID
+ * @param {number} limit - Max entries
+ * @returns {Promise<Array<Object>>} - [{ ad, viewedAt, priceAtView,
+ *   priceChange, available }]
+ */
+export async function getRecentlyViewedAds(userId, limit) {
+  const history = await ViewHistory.findOne({ user: userId }).lean();
+  const items = (history?.items || []).slice(0, limit);
+  if (items.length === 0) return [];
+
+  const ads = await Ad.find({ _id: { $in: items.map((item) => item.ad) } })
+    .select(HISTORY_AD_FIELDS)
+    .lean();
+  const adsById = new Map(ads.map((ad) => [ad._id.toString(), ad]));
+
+  return items
+    .filter((item) => adsById.has(item.ad.toString()))
+    .map((item) => {
+      const ad = adsById.get(item.ad.toString());
+      const priceChange =
+        typeof item.priceAtView === "number" && typeof ad.price === "number"
+          ? ad.price - item.priceAtView
+          : null;
+
+      return {
+        ad,
+        viewedAt: item.viewedAt,
+        priceAtView: item.priceAtView,
+        priceChange: priceChange || null,
+        available: VISIBLE_STATUSES.includes(toLifecycleStatus(ad.status)),
+      };
+    });
+}
+
+/**
+ * Remove one ad from history
+ * @param {string} userId - User ID
+ * @param {string} adId - Ad ID
+ */
+export async function removeRecentlyViewed(userId, adId) {
+  await ViewHistory.updateOne(
+    { user: userId },
+    { $pull: { items: { ad: adId } } }
+  );
+}
+
+/**
+ * Clear history
+ * @param {string} userId - User ID
+ */
+export async function clearRecentlyViewed(userId) {
+  await ViewHistory.updateOne({ user: userId }, { $set: { items: [] } });
+}
+
+export default {
+  MAX_VIEW_HISTORY_ITEMS,
+  recordRecentlyViewed,
+  mergeRecentlyViewed,
+  getRecentlyViewedAds,
+  removeRecentlyViewed,
+  clearRecentlyViewed,
+};
@@ -0,0 +1,57 @@
+/**
+ * SavedSearch Model - Named search filters saved by users
+ *
+ * Stores the exact filter object built by SearchFormUpdated.handleSearch
+ * and the state needed by the new-match alert job.
+ */
+
+import mongoose from "mongoose";
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // Search form filters (same shape as searchAds query)
+    filters: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    isPaused: {
+      type: Boolean,
+      default: false,
+    },
+    // Ads created after this date are "new" for the next alert run
+    lastCheckedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastNotifiedAt: {
+      type: Date,
+    },
+    lastMatchCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+    minimize: false,
+  }
+);
+
+// Alert job scans active searches
+savedSearchSchema.index({ isPaused: 1, lastCheckedAt: 1 });
+
+const SavedSearch = mongoose.model("SavedSearch", savedSearchSchema);
+
+export default SavedSearch;
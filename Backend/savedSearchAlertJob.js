@@ -0,0 +1,220 @@
+/**
+ * Saved Search Alert Job - Periodic new-match alerts for saved searches
+ *
+ * Features:
+ * - Evaluates active saved searches against ads published since last run
+ *   (ads approved by moderation count from their approval)
+ * - One notification per search per run (count + links to matching ads)
+ * - Skips user's own ads
+ * - No overlapping runs, errors isolated per saved search
+ */
+
+import Ad from "../../models/listings/ad.js";
+import SavedSearch from "./savedSearch.js";
+import { buildSearchFilter } from "./adSearchFilters.js";
+import { buildPublishedFilter } from "./adLifecycle.js";
+import { loadTaxonomy } from "./vehicleTaxonomy.js";
+import { resolveGeoQuery, applyGeoCountFilter } from "./adGeo.js";
+import { notifyUser } from "./userNotifications.js";
+import logger from "../../utils/logger.js";
+
+// Default interval between runs (15 minutes)
+const DEFAULT_INTERVAL_MS = 15 * 60 * 1000;
+
+// Maximum number of ads linked in a single alert
+const MAX_ADS_IN_ALERT = 10;
+
+/**
+ * Build search results URL for saved filters (same format as handleSearch)
+ * @param {Object} filters - Saved filters
+ * @param {Date} since - Only ads published after this date
+ * @returns {string} - Frontend link
+ */
+const buildResultsLink = (filters, since) => {
+  const searchParams = new URLSearchParams();
+
+  Object.entries(filters).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach((item) => searchParams.append(`${key}[]`, item));
+    } else {
+      searchParams.append(key, String(value));
+    }
+  });
+  searchParams.append("publishedAfter", since.toISOString());
+
+  return `/listings?${searchParams.toString()}`;
+};
+
+/**
+ * Build filter matching ads published in (since, until] for saved filters
+ * @param {Object} search - Saved search document
+ * @param {Date} until - Run start time
+ * @param {Object} taxonomy - Taxonomy index (brand / model aliases)
+ * @returns {Object} - MongoDB filter
+ */
+const buildAlertFilter = (search, until, taxonomy) => {
+  let geo = null;
+  try {
+    geo = resolveGeoQuery(search.filters);
+  } catch (error) {
+    logger.warn("Saved search has invalid location - ignoring geo filter", {
+      searchId: search._id,
+      error: error.message,
+    });
+  }
+
+  const filter = buildSearchFilter(search.filters, {
+    exclude: geo?.fromLocation ? ["location"] : [],
+    taxonomy,
+  });
+
+  const scoped = applyGeoCountFilter(filter, geo);
+  return {
+    ...scoped,
+    $and: [
+      ...(scoped.$and || []),
+      buildPublishedFilter(search.lastCheckedAt, until),
+    ],
+    owner: { $ne: search.user },
+  };
+};
+
+/**
+ * SavedSearchAlertJob class - schedules and runs saved search alerts
+ * @class
+ */
+class SavedSearchAlertJob {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Start periodic runs
+   * @param {number} intervalMs - Interval between runs
+   */
+  start(intervalMs = DEFAULT_INTERVAL_MS) {
+    if (this.timer) {
+      logger.info("Saved search alert job already started");
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) =>
+        logger.error("Saved search alert run failed", { error: error.message })
+      );
+    }, intervalMs);
+
+    logger.info("Saved search alert job started", { intervalMs });
+  }
+
+  /**
+   * Stop periodic runs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info("Saved search alert job stopped");
+    }
+  }
+
+  /**
+   * Evaluate all active saved searches once
+   * @returns {Promise<{processed: number, notified: number}>} - Run summary
+   */
+  async run() {
+    if (this.isRunning) {
+      logger.warn("Saved search alert run skipped - previous run in progress");
+      return { processed: 0, notified: 0 };
+    }
+
+    this.isRunning = true;
+    const runStartedAt = new Date();
+    let processed = 0;
+    let notified = 0;
+
+    try {
+      const cursor = SavedSearch.find({ isPaused: false }).cursor();
+
+      for await (const search of cursor) {
+        try {
+          if (await this.processSearch(search, runStartedAt)) notified++;
+        } catch (error) {
+          logger.error("Saved search alert error", {
+            error: error.message,
+            searchId: search._id,
+          });
+        }
+        processed++;
+      }
+
+      logger.info("Saved search alert run completed", { processed, notified });
+      return { processed, notified };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Check one saved search for new matches and notify its owner
+   * @param {Object} search - Saved search document
+   * @param {Date} runStartedAt - Upper bound of checked period
+   * @returns {Promise<boolean>} - Whether notification was sent
+   */
+  async processSearch(search, runStartedAt) {
+    const since = search.lastCheckedAt || search.createdAt;
+    const filter = buildAlertFilter(
+      { ...search.toObject(), lastCheckedAt: since },
+      runStartedAt,
+      await loadTaxonomy()
+    );
+
+    const [count, ads] = await Promise.all([
+      Ad.countDocuments(filter),
+      Ad.find(filter)
+        .sort({ publishedAt: -1, createdAt: -1 })
+        .limit(MAX_ADS_IN_ALERT)
+        .select("_id brand model headline price"),
+    ]);
+
+    const update = { lastCheckedAt: runStartedAt };
+
+    if (count > 0) {
+      await notifyUser(search.user, {
+        type: "saved_search_match",
+        title: `New listings for "${search.name}"`,
+        message:
+          count === 1
+            ? "1 new listing matches your saved search"
+            : `${count} new listings match your saved search`,
+        link:
+          count === 1
+            ? `/listing/${ads[0]._id}`
+            : buildResultsLink(search.filters, since),
+        relatedListing: count === 1 ? ads[0]._id : undefined,
+        metadata: {
+          savedSearchId: search._id,
+          matchCount: count,
+          ads: ads.map((ad) => ({
+            id: ad._id,
+            title: ad.headline || `${ad.brand} ${ad.model}`,
+            price: ad.price,
+            link: `/listing/${ad._id}`,
+          })),
+        },
+      });
+
+      update.lastNotifiedAt = runStartedAt;
+      update.lastMatchCount = count;
+    }
+
+    await SavedSearch.updateOne({ _id: search._id }, { $set: update });
+
+    return count > 0;
+  }
+}
+
+// Export job instance as singleton
+const savedSearchAlertJob = new SavedSearchAlertJob();
+export default savedSearchAlertJob;
@@ -0,0 +1,224 @@
+/**
+ * Saved Search Controller - Named searches with new-match alerts
+ *
+ * Features:
+ * - Save exact search form filters under user profile
+ * - List, rename, pause/resume and delete saved searches
+ * - Per-user limit
+ * - Alerts delivered by savedSearchAlertJob
+ */
+
+import mongoose from "mongoose";
+import SavedSearch from "./savedSearch.js";
+import logger from "../../utils/logger.js";
+
+// Maximum number of saved searches per user
+const MAX_SAVED_SEARCHES = 20;
+
+// Maximum number of filter keys / array items accepted
+const MAX_FILTER_KEYS = 60;
+const MAX_FILTER_VALUES = 50;
+
+/**
+ * Keep only plain filter values (strings, numbers, booleans, arrays of them)
+ * Drops empty values and keys that could act as MongoDB operators
+ * @param {Object} filters - Filters from request body
+ * @returns {Object} - Sanitized filters
+ */
+const sanitizeFilters = (filters) => {
+  if (!filters || typeof filters !== "object" || Array.isArray(filters)) {
+    return {};
+  }
+
+  const isPrimitive = (value) =>
+    ["string", "number", "boolean"].includes(typeof value);
+
+  const sanitized = {};
+  Object.entries(filters)
+    .slice(0, MAX_FILTER_KEYS)
+    .forEach(([key, value]) => {
+      if (key.startsWith("$") || key.includes(".")) return;
+
+      if (Array.isArray(value)) {
+        const items = value
+          .filter((item) => isPrimitive(item) && item !== "")
+          .slice(0, MAX_FILTER_VALUES);
+        if (items.length > 0) sanitized[key] = items;
+      } else if (isPrimitive(value) && value !== "" && value !== false) {
+        sanitized[key] = value;
+      }
+    });
+
+  return sanitized;
+};
+
+const formatSavedSearch = (search) => ({
+  id: search._id,
+  name: search.name,
+  filters: search.filters,
+  isPaused: search.isPaused,
+  lastNotifiedAt: search.lastNotifiedAt,
+  lastMatchCount: search.lastMatchCount,
+  createdAt: search.createdAt,
+  updatedAt: search.updatedAt,
+});
+
+/**
+ * Find saved search owned by user
+ * @returns {Promise<Object|null>} - Saved search or null
+ */
+const findOwnSearch = (id, userId) =>
+  mongoose.Types.ObjectId.isValid(id)
+    ? SavedSearch.findOne({ _id: id, user: userId })
+    : null;
+
+/**
+ * Get user's saved searches
+ * GET /api/saved-searches
+ */
+export const getSavedSearches = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const searches = await SavedSearch.find({ user: userId }).sort({
+      createdAt: -1,
+    });
+
+    return res.status(200).json({
+      success: true,
+      savedSearches: searches.map(formatSavedSearch),
+    });
+  } catch (error) {
+    logger.error("Get saved searches error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Save search
+ * POST /api/saved-searches
+ * Body: { name, filters } - filters as built by SearchFormUpdated.handleSearch
+ */
+export const createSavedSearch = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { name, filters } = req.body;
+
+    if (typeof name !== "string" || !name.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Search name is required",
+      });
+    }
+
+    const sanitizedFilters = sanitizeFilters(filters);
+    if (Object.keys(sanitizedFilters).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "At least one filter is required",
+      });
+    }
+
+    const count = await SavedSearch.countDocuments({ user: userId });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches`,
+      });
+    }
+
+    const search = await SavedSearch.create({
+      user: userId,
+      name: name.trim(),
+      filters: sanitizedFilters,
+    });
+
+    logger.info("Saved search created", { userId, searchId: search._id });
+
+    return res.status(201).json({
+      success: true,
+      message: "Search saved",
+      savedSearch: formatSavedSearch(search),
+    });
+  } catch (error) {
+    logger.error("Create saved search error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Rename, pause or resume saved search
+ * PATCH /api/saved-searches/:id
+ * Body: { name?, isPaused? }
+ */
+export const updateSavedSearch = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const { name, isPaused } = req.body;
+
+    const search = await findOwnSearch(req.params.id, userId);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved search not found",
+      });
+    }
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: "Search name cannot be empty",
+        });
+      }
+      search.name = name.trim();
+    }
+
+    if (typeof isPaused === "boolean" && isPaused !== search.isPaused) {
+      search.isPaused = isPaused;
+      // Resuming - don't alert about ads added while paused
+      if (!isPaused) search.lastCheckedAt = new Date();
+    }
+
+    await search.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Saved search updated",
+      savedSearch: formatSavedSearch(search),
+    });
+  } catch (error) {
+    logger.error("Update saved search error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Delete saved search
+ * DELETE /api/saved-searches/:id
+ */
+export const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+
+    const search = await findOwnSearch(req.params.id, userId);
+    if (!search) {
+      return res.status(404).json({
+        success: false,
+        message: "Saved search not found",
+      });
+    }
+
+    await search.deleteOne();
+
+    logger.info("Saved search deleted", { userId, searchId: search._id });
+
+    return res.status(200).json({
+      success: true,
+      message: "Saved search deleted",
+    });
+  } catch (error) {
+    logger.error("Delete saved search error", { error: error.message });
+    return next(error);
+  }
+};
@@ -0,0 +1,122 @@
+/**
+ * Security Audit - Stored trail of account security changes
+ *
+ * Features:
+ * - Event per change with masked before/after values, IP, user agent
+ * - Retention per event type (credential changes kept longer)
+ * - Failures are logged and never interrupt the calling process
+ */
+
+import SecurityEvent, { SECURITY_EVENT_TYPES } from "./securityEvent.js";
+import logger from "../../utils/logger.js";
+
+// Days an event is kept, by type
+export const SECURITY_EVENT_RETENTION_DAYS = {
+  [SECURITY_EVENT_TYPES.PROFILE_UPDATED]: 365,
+  [SECURITY_EVENT_TYPES.EMAIL_CHANGED]: 730,
+  [SECURITY_EVENT_TYPES.PHONE_CHANGED]: 730,
+  [SECURITY_EVENT_TYPES.PASSWORD_RESET]: 730,
+  [SECURITY_EVENT_TYPES.TWO_FACTOR_ENABLED]: 730,
+  [SECURITY_EVENT_TYPES.TWO_FACTOR_DISABLED]: 730,
+  [SECURITY_EVENT_TYPES.RECOVERY_CODES_REGENERATED]: 730,
+  [SECURITY_EVENT_TYPES.RECOVERY_CODE_USED]: 730,
+  [SECURITY_EVENT_TYPES.SESSION_REVOKED]: 365,
+};
+
+const DEFAULT_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_USER_AGENT_LENGTH = 500;
+
+/**
+ * Mask value for storage - enough to recognise it, not to read it
+ * @param {string} field - Field name (email, phoneNumber, password...)
+ * @param {*} value - Plain value
+ * @returns {string|undefined} - Masked value
+ */
+export function maskValue(field, value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const text = String(value);
+
+  if (field === "password") return "***";
+  if (field === "email" && text.includes("@")) {
+    return text.replace(/^(.{0,2})[^@]*(@.*)$/, "$1***$2");
+  }
+  if (field === "phoneNumber") return "***" + text.slice(-4);
+  return text.charAt(0) + "***";
+}
+
+/**
+ * IP and user agent of the request
+ * @param {Object} req - Express request
+ * @returns {{ip: string, userAgent: string}}
+ */
+export const getRequestContext = (req) => ({
+  ip: req?.ip === "::1" ? "127.0.0.1" : req?.ip,
+  userAgent: req?.get?.("user-agent")?.slice(0, MAX_USER_AGENT_LENGTH),
+});
+
+/**
+ * Store security event
+ * @param {string} userId - User ID
+ * @param {string} type - SECURITY_EVENT_TYPES value
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.changes] - [{ field, before, after }]
+ *   with plain values (masked here)
+ * @param {Object} [options.req] - Express request (IP, user agent)
+ * @returns {Promise<Object|null>} - Saved event or null on failure
+ */
+export async function recordSecurityEvent(userId, type, { changes, req } = {}) {
+  try {
+    const retentionDays =
+      SECURITY_EVENT_RETENTION_DAYS[type] || DEFAULT_RETENTION_DAYS;
+
+    return await SecurityEvent.create({
+      user: userId,
+      type,
+      changes: (changes || []).map(({ field, before, after }) => ({
+        field,
+        before: maskValue(field, before),
+        after: maskValue(field, after),
+      })),
+      ...getRequestContext(req),
+      expiresAt: new Date(Date.now() + retentionDays * DAY_MS),
+    });
+  } catch (error) {
+    logger.error("Security event error", {
+      error: error.message,
+      userId: userId?.toString(),
+      type,
+    });
+    return null;
+  }
+}
+
+/**
+ * Get security events of a user (newest first)
+ * @param {string} userId - User ID
+ * @param {Object} options - { skip, limit }
+ * @returns {Promise<{events: Array<Object>, total: number}>}
+ */
+export async function getUserSecurityEvents(userId, { skip = 0, limit = 20 }) {
+  const [events, total] = await Promise.all([
+    SecurityEvent.find({ user: userId })
+      .select("type changes ip userAgent createdAt")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    SecurityEvent.countDocuments({ user: userId }),
+  ]);
+
+  return { events, total };
+}
+
+export default {
+  SECURITY_EVENT_RETENTION_DAYS,
+  maskValue,
+  getRequestContext,
+  recordSecurityEvent,
+  getUserSecurityEvents,
+};
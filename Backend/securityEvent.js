@@ -0,0 +1,69 @@
+/**
+ * SecurityEvent Model - Audit trail of account security changes
+ *
+ * One document per change (profile data, email, phone, password, 2FA...)
+ * with masked before/after values, IP and user agent. Removed by MongoDB
+ * after expiresAt (retention per event type, see securityAudit).
+ */
+
+import mongoose from "mongoose";
+
+export const SECURITY_EVENT_TYPES = {
+  PROFILE_UPDATED: "profile_updated",
+  EMAIL_CHANGED: "email_changed",
+  PHONE_CHANGED: "phone_changed",
+  PASSWORD_RESET: "password_reset",
+  TWO_FACTOR_ENABLED: "two_factor_enabled",
+  TWO_FACTOR_DISABLED: "two_factor_disabled",
+  RECOVERY_CODES_REGENERATED: "recovery_codes_regenerated",
+  RECOVERY_CODE_USED: "recovery_code_used",
+  SESSION_REVOKED: "session_revoked",
+};
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.values(SECURITY_EVENT_TYPES),
+      required: true,
+    },
+    // Masked values only - never plain emails, phones or secrets
+    changes: {
+      type: [
+        {
+          _id: false,
+          field: String,
+          before: String,
+          after: String,
+        },
+      ],
+      default: [],
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+securityEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+
+export default SecurityEvent;
@@ -0,0 +1,112 @@
+/**
+ * Security Event Controller - Admin search of the security audit trail
+ *
+ * Features:
+ * - Filters: user (ID or email), event type, IP, date range
+ * - Paginated, newest first
+ * - Events expire after their retention period (see securityAudit)
+ *
+ * Routes are admin-only (admin auth middleware on /api/admin/security-events).
+ */
+
+import mongoose from "mongoose";
+import User from "../../models/user/user.js";
+import SecurityEvent, { SECURITY_EVENT_TYPES } from "./securityEvent.js";
+import { SECURITY_EVENT_RETENTION_DAYS } from "./securityAudit.js";
+import logger from "../../utils/logger.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Parse page/limit query params
+ */
+const parsePagination = (query) => {
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(
+    MAX_PAGE_SIZE,
+    Math.max(1, parseInt(query.limit) || DEFAULT_PAGE_SIZE)
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Parse ?from=&to= into MongoDB date range
+ * @returns {Object|null} - { $gte?, $lte? } or null
+ */
+const parseDateRange = (query) => {
+  const range = {};
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+
+  if (from && !isNaN(from)) range.$gte = from;
+  if (to && !isNaN(to)) range.$lte = to;
+
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+/**
+ * Search security events
+ * GET /api/admin/security-events?user=&email=&type=&ip=&from=&to=&page=&limit=
+ */
+export const searchSecurityEvents = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = {};
+
+    if (req.query.user && mongoose.Types.ObjectId.isValid(req.query.user)) {
+      filter.user = req.query.user;
+    } else if (req.query.email) {
+      const user = await User.findOne({
+        email: String(req.query.email).toLowerCase().trim(),
+      })
+        .select("_id")
+        .lean();
+
+      if (!user) {
+        return res.status(200).json({
+          success: true,
+          events: [],
+          total: 0,
+          page,
+          totalPages: 0,
+        });
+      }
+      filter.user = user._id;
+    }
+
+    if (Object.values(SECURITY_EVENT_TYPES).includes(req.query.type)) {
+      filter.type = req.query.type;
+    }
+    if (req.query.ip) filter.ip = String(req.query.ip);
+
+    const createdAt = parseDateRange(req.query);
+    if (createdAt) filter.createdAt = createdAt;
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate("user", "name lastName email")
+        .lean(),
+      SecurityEvent.countDocuments(filter),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      events,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      retentionDays: SECURITY_EVENT_RETENTION_DAYS,
+    });
+  } catch (error) {
+    logger.error("Search security events error", { error: error.message });
+    return next(error);
+  }
+};
+
+export default {
+  searchSecurityEvents,
+};
@@ -0,0 +1,363 @@
+/**
+ * Seller Analytics - Performance of a seller's ads
+ *
+ * Features:
+ * - Daily views and favourites per ad (AdDailyStats)
+ * - Messages received per ad (Message.relatedAd), unique inquirers
+ * - Conversion ratios: view -> favourite, view -> inquiry
+ * - Average time to first reply per inquiry thread
+ * - Rank of each visible ad in searchAds for its own brand/model
+ * - Account-level summary and CSV export
+ */
+
+import mongoose from "mongoose";
+import Ad from "../../models/listings/ad.js";
+import Message from "../../models/communication/message.js";
+import AdDailyStats from "./adDailyStats.js";
+import { getStatsDayKeys, buildDailySeries } from "./adViewTracker.js";
+import { buildSearchFilter } from "./adSearchFilters.js";
+import {
+  buildMatchStages,
+  buildSearchFieldsStage,
+  buildSortStage,
+  getSearchSortKeys,
+} from "./adSearchPipeline.js";
+import { VISIBLE_STATUSES, toLifecycleStatus } from "./adLifecycle.js";
+import { loadTaxonomy, resolveVehicleWithIndex } from "./vehicleTaxonomy.js";
+
+export const DEFAULT_ANALYTICS_DAYS = 30;
+export const MAX_ANALYTICS_DAYS = 365;
+
+// Default page size of searchAds - rank is also reported as a page number
+const SEARCH_PAGE_SIZE = 30;
+
+// Ads ranked deeper than this are reported as "not in top N"
+const MAX_RANK_DEPTH = 1000;
+
+const ANALYTICS_AD_FIELDS =
+  "_id brand brandId model modelId headline price status listingType createdAt views favorites";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/* ---- Helpers ---- */
+
+// Ratio rounded to 4 places, null when there is no base
+const ratio = (value, base) =>
+  base > 0 ? Math.round((value / base) * 10000) / 10000 : null;
+
+const toHours = (ms) =>
+  typeof ms === "number" ? Math.round((ms / HOUR_MS) * 10) / 10 : null;
+
+/**
+ * Message stats per ad: received messages, inquirers, first reply times
+ * A thread is one buyer writing about one ad.
+ *
+ * @param {ObjectId} ownerId - Seller ID
+ * @param {Array<ObjectId>} adIds - Seller's ad IDs
+ * @param {Date} since - Period start
+ * @returns {Promise<Map>} - adId -> { messagesReceived, inquirers,
+ *   repliedThreads, totalReplyMs }
+ */
+const getMessageStats = async (ownerId, adIds, since) => {
+  const rows = await Message.aggregate([
+    {
+      $match: {
+        relatedAd: { $in: adIds },
+        createdAt: { $gte: since },
+        $or: [{ sender: ownerId }, { recipient: ownerId }],
+      },
+    },
+    {
+      $project: {
+        relatedAd: 1,
+        createdAt: 1,
+        fromOwner: { $eq: ["$sender", ownerId] },
+        buyer: {
+          $cond: [{ $eq: ["$sender", ownerId] }, "$recipient", "$sender"],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { ad: "$relatedAd", buyer: "$buyer" },
+        received: { $sum: { $cond: ["$fromOwner", 0, 1] } },
+        firstInquiryAt: {
+          $min: { $cond: ["$fromOwner", null, "$createdAt"] },
+        },
+        ownerMessages: {
+          $push: { $cond: ["$fromOwner", "$createdAt", "$$REMOVE"] },
+        },
+      },
+    },
+    // Threads started by the seller are not inquiries
+    { $match: { firstInquiryAt: { $ne: null } } },
+    {
+      $project: {
+        received: 1,
+        replyMs: {
+          $subtract: [
+            {
+              $min: {
+                $filter: {
+                  input: "$ownerMessages",
+                  cond: { $gt: ["$$this", "$firstInquiryAt"] },
+                },
+              },
+            },
+            "$firstInquiryAt",
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$_id.ad",
+        messagesReceived: { $sum: "$received" },
+        inquirers: { $sum: 1 },
+        repliedThreads: {
+          $sum: { $cond: [{ $ne: ["$replyMs", null] }, 1, 0] },
+        },
+        totalReplyMs: { $sum: { $ifNull: ["$replyMs", 0] } },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [row._id.toString(), row]));
+};
+
+/**
+ * Rank of ads in searchAds results for their own brand/model
+ * (default search order: featured, newest, relevance)
+ * Ads are grouped per canonical brand/model, as searchAds resolves them.
+ *
+ * @param {Array<Object>} ads - Visible ads
+ * @returns {Promise<Map>} - adId -> { position, page, total }
+ */
+const getSearchRanks = async (ads) => {
+  const taxonomy = await loadTaxonomy();
+  const groups = new Map();
+  for (const ad of ads) {
+    if (!ad.brand || !ad.model) continue;
+    const vehicle = resolveVehicleWithIndex(taxonomy, ad);
+    const key = `${ad.brandId || vehicle.brandId}|${
+      ad.modelId || vehicle.modelId
+    }`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        query: { brand: vehicle.brand, model: vehicle.model },
+        ads: [],
+      });
+    }
+    groups.get(key).ads.push(ad);
+  }
+
+  const ranks = new Map();
+
+  for (const { query, ads: groupAds } of groups.values()) {
+    const filter = buildSearchFilter(query, { taxonomy });
+
+    const [ranked, total] = await Promise.all([
+      Ad.aggregate([
+        ...buildMatchStages(filter, null),
+        buildSearchFieldsStage(query, "createdAt", taxonomy),
+        buildSortStage(getSearchSortKeys("desc")),
+        { $limit: MAX_RANK_DEPTH },
+        { $project: { _id: 1 } },
+      ]).allowDiskUse(true),
+      Ad.countDocuments(filter),
+    ]);
+
+    const positions = new Map(
+      ranked.map((result, index) => [result._id.toString(), index + 1])
+    );
+
+    for (const ad of groupAds) {
+      const position = positions.get(ad._id.toString()) || null;
+      ranks.set(ad._id.toString(), {
+        query,
+        position,
+        page: position ? Math.ceil(position / SEARCH_PAGE_SIZE) : null,
+        total,
+      });
+    }
+  }
+
+  return ranks;
+};
+
+/* ---- Analytics ---- */
+
+/**
+ * Analytics of all ads of a seller
+ * @param {string} userId - Seller ID
+ * @param {Object} [options] - { days }
+ * @returns {Promise<Object>} - { period, summary, ads }
+ */
+export async function getSellerAnalytics(
+  userId,
+  { days = DEFAULT_ANALYTICS_DAYS } = {}
+) {
+  const ownerId = new mongoose.Types.ObjectId(userId);
+  const dayKeys = getStatsDayKeys(days);
+  const since = new Date(`${dayKeys[0]}T00:00:00Z`);
+
+  const ads = await Ad.find({ owner: ownerId })
+    .select(ANALYTICS_AD_FIELDS)
+    .sort({ createdAt: -1 })
+    .lean();
+  const adIds = ads.map((ad) => ad._id);
+
+  const visibleAds = ads.filter((ad) =>
+    VISIBLE_STATUSES.includes(toLifecycleStatus(ad.status))
+  );
+
+  const [dailyStats, messageStats, searchRanks] = await Promise.all([
+    AdDailyStats.find({ ad: { $in: adIds }, day: { $gte: dayKeys[0] } })
+      .select("ad day views favoritesAdded favoritesRemoved")
+      .lean(),
+    getMessageStats(ownerId, adIds, since),
+    getSearchRanks(visibleAds),
+  ]);
+
+  const statsByAd = new Map();
+  for (const entry of dailyStats) {
+    const key = entry.ad.toString();
+    if (!statsByAd.has(key)) statsByAd.set(key, []);
+    statsByAd.get(key).push(entry);
+  }
+
+  const summary = {
+    ads: ads.length,
+    visibleAds: visibleAds.length,
+    views: 0,
+    favoritesAdded: 0,
+    favoritesRemoved: 0,
+    favorites: 0,
+    messagesReceived: 0,
+    inquirers: 0,
+    repliedThreads: 0,
+    totalReplyMs: 0,
+  };
+
+  const adResults = ads.map((ad) => {
+    const key = ad._id.toString();
+    const { series, totals } = buildDailySeries(
+      dayKeys,
+      statsByAd.get(key) || []
+    );
+    const messages = messageStats.get(key) || {
+      messagesReceived: 0,
+      inquirers: 0,
+      repliedThreads: 0,
+      totalReplyMs: 0,
+    };
+
+    summary.views += totals.views;
+    summary.favoritesAdded += totals.favoritesAdded;
+    summary.favoritesRemoved += totals.favoritesRemoved;
+    summary.favorites += ad.favorites || 0;
+    summary.messagesReceived += messages.messagesReceived;
+    summary.inquirers += messages.inquirers;
+    summary.repliedThreads += messages.repliedThreads;
+    summary.totalReplyMs += messages.totalReplyMs;
+
+    return {
+      id: ad._id,
+      title: ad.headline || `${ad.brand} ${ad.model}`,
+      brand: ad.brand,
+      model: ad.model,
+      price: ad.price,
+      status: ad.status,
+      createdAt: ad.createdAt,
+      totalViews: ad.views || 0,
+      favorites: ad.favorites || 0,
+      period: totals,
+      messagesReceived: messages.messagesReceived,
+      inquirers: messages.inquirers,
+      conversion: {
+        viewToFavorite: ratio(totals.favoritesAdded, totals.views),
+        viewToInquiry: ratio(messages.inquirers, totals.views),
+      },
+      replyRate: ratio(messages.repliedThreads, messages.inquirers),
+      avgFirstReplyHours: toHours(
+        messages.repliedThreads > 0
+          ? messages.totalReplyMs / messages.repliedThreads
+          : null
+      ),
+      searchRank: searchRanks.get(key) || null,
+      daily: series,
+    };
+  });
+
+  const { repliedThreads, totalReplyMs, ...summaryTotals } = summary;
+
+  return {
+    period: { days, from: dayKeys[0], to: dayKeys[dayKeys.length - 1] },
+    summary: {
+      ...summaryTotals,
+      conversion: {
+        viewToFavorite: ratio(summary.favoritesAdded, summary.views),
+        viewToInquiry: ratio(summary.inquirers, summary.views),
+      },
+      replyRate: ratio(repliedThreads, summary.inquirers),
+      avgFirstReplyHours: toHours(
+        repliedThreads > 0 ? totalReplyMs / repliedThreads : null
+      ),
+    },
+    ads: adResults,
+  };
+}
+
+/* ---- CSV export ---- */
+
+const CSV_COLUMNS = [
+  ["id", (ad) => ad.id],
+  ["title", (ad) => ad.title],
+  ["status", (ad) => ad.status],
+  ["price", (ad) => ad.price],
+  ["views", (ad) => ad.period.views],
+  ["favorites_added", (ad) => ad.period.favoritesAdded],
+  ["favorites_removed", (ad) => ad.period.favoritesRemoved],
+  ["messages_received", (ad) => ad.messagesReceived],
+  ["inquirers", (ad) => ad.inquirers],
+  ["view_to_favorite", (ad) => ad.conversion.viewToFavorite],
+  ["view_to_inquiry", (ad) => ad.conversion.viewToInquiry],
+  ["reply_rate", (ad) => ad.replyRate],
+  ["avg_first_reply_hours", (ad) => ad.avgFirstReplyHours],
+  ["search_position", (ad) => ad.searchRank?.position],
+  ["search_total", (ad) => ad.searchRank?.total],
+  ["total_views", (ad) => ad.totalViews],
+  ["favorites", (ad) => ad.favorites],
+];
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  // Titles are user input - keep spreadsheets from evaluating formulas
+  const text =
+    typeof value === "string"
+      ? value.replace(/^[=+\-@]/, "'$&")
+      : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format analytics as CSV - one row per ad
+ * @param {Object} analytics - Result of getSellerAnalytics
+ * @returns {string} - CSV with header row (UTF-8 BOM for spreadsheets)
+ */
+export function formatAnalyticsCsv(analytics) {
+  const lines = [
+    CSV_COLUMNS.map(([name]) => name).join(","),
+    ...analytics.ads.map((ad) =>
+      CSV_COLUMNS.map(([, read]) => escapeCsv(read(ad))).join(",")
+    ),
+  ];
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+export default {
+  DEFAULT_ANALYTICS_DAYS,
+  MAX_ANALYTICS_DAYS,
+  getSellerAnalytics,
+  formatAnalyticsCsv,
+};
@@ -0,0 +1,109 @@
+/**
+ * Session Controller - Logged-in devices of the current user
+ *
+ * Features:
+ * - Active sessions with device, IP, location hint, last activity
+ * - Sign out one device / all other devices (sockets disconnected)
+ *
+ * Routes require authentication (/api/profile/sessions).
+ */
+
+import mongoose from "mongoose";
+import {
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+} from "./userSessions.js";
+import { SECURITY_EVENT_TYPES } from "./securityEvent.js";
+import { recordSecurityEvent } from "./securityAudit.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Get active sessions
+ * GET /api/profile/sessions
+ */
+export const getUserSessions = async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.userId, req.user.sessionId);
+
+    return res.status(200).json({
+      success: true,
+      sessions,
+    });
+  } catch (error) {
+    logger.error("Get sessions error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Sign out one session
+ * DELETE /api/profile/sessions/:sessionId
+ */
+export const revokeUserSession = async (req, res, next) => {
+  const { sessionId } = req.params;
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid session ID",
+      });
+    }
+
+    const userId = req.user.userId;
+    const revoked = await revokeSession(userId, sessionId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    await recordSecurityEvent(userId, SECURITY_EVENT_TYPES.SESSION_REVOKED, {
+      req,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Session signed out",
+      current: sessionId === req.user.sessionId?.toString(),
+    });
+  } catch (error) {
+    logger.error("Revoke session error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Sign out all sessions except the current one
+ * DELETE /api/profile/sessions
+ */
+export const revokeOtherUserSessions = async (req, res, next) => {
+  try {
+    const userId = req.user.userId;
+    const revoked = await revokeOtherSessions(userId, req.user.sessionId);
+
+    if (revoked > 0) {
+      await recordSecurityEvent(userId, SECURITY_EVENT_TYPES.SESSION_REVOKED, {
+        req,
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Other sessions signed out",
+      revoked,
+    });
+  } catch (error) {
+    logger.error("Revoke other sessions error", { error: error.message });
+    return next(error);
+  }
+};
+
+export default {
+  getUserSessions,
+  revokeUserSession,
+  revokeOtherUserSessions,
+};
@@ -2,7 +2,7 @@
  * Socket.IO Service - Production-Ready WebSocket Architecture
  *
  * Modular design with specialized managers:
- * - SocketAuth: JWT authentication
+ * - SocketAuth: JWT authentication (+ server-side session check)
  * - SocketConnectionManager: Connection pooling and cleanup
  * - SocketConversationManager: Active conversation tracking
  * - SocketNotificationManager: Real-time notification delivery
@@ -19,6 +19,7 @@ import SocketConnectionManager from "./socket/SocketConnectionManager.js";
 import SocketConversationManager from "./socket/SocketConversationManager.js";
 import SocketNotificationManager from "./socket/SocketNotificationManager.js";
 import SocketHeartbeatManager from "./socket/SocketHeartbeatManager.js";
+import { requireActiveSocketSession } from "./userSessions.js";
 
 /**
  * SocketService class - main service managing Socket.IO
@@ -77,6 +78,7 @@ class SocketService {
 
     // Middleware for connection authentication
     this.io.use(SocketAuth.authMiddleware);
+    this.io.use(requireActiveSocketSession);
 
     // Handle connections
     this.io.on("connection", this.handleConnection.bind(this));
@@ -350,6 +352,47 @@ class SocketService {
     return this.notificationManager?.sendToSocket(socketId, event, data);
   }
 
+  /**
+   * Disconnects user's sockets of revoked sessions
+   * @param {string} userId - User ID
+   * @param {Array<string>} sessionIds - Revoked session IDs
+   * @param {string} reason - Revocation reason (sent to client)
+   * @param {Object} [options] - { includeLegacy } also disconnects sockets
+   *   without session (tokens issued before sessions)
+   * @returns {number} - Number of disconnected sockets
+   */
+  disconnectUserSessions(
+    userId,
+    sessionIds,
+    reason,
+    { includeLegacy = false } = {}
+  ) {
+    if (!this.io) return 0;
+
+    const revoked = new Set(sessionIds);
+    let disconnected = 0;
+
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.user?.userId?.toString() !== userId) continue;
+
+      const sessionId = socket.user.sessionId?.toString();
+      if (sessionId ? !revoked.has(sessionId) : !includeLegacy) continue;
+
+      socket.emit("session_revoked", { reason });
+      socket.disconnect(true);
+      disconnected++;
+    }
+
+    if (disconnected > 0) {
+      logger.info("User sockets disconnected", {
+        userId,
+        disconnected,
+        reason,
+      });
+    }
+    return disconnected;
+  }
+
   /**
    * Disconnects all users (e.g., during server shutdown)
    */
@@ -0,0 +1,197 @@
+/**
+ * TOTP - Time-based one-time passwords (RFC 6238) for authenticator apps
+ *
+ * Features:
+ * - HMAC-SHA1, 6 digits, 30 second steps (what Google Authenticator,
+ *   Authy, 1Password... expect by default)
+ * - Base32 secrets and otpauth:// URIs for QR codes
+ * - Constant-time check within +/- TOTP_WINDOW steps, returns the matched
+ *   step so callers can reject reuse
+ */
+
+import crypto from "crypto";
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+// Accepted clock drift in steps (one step before and after)
+export const TOTP_WINDOW = 1;
+
+// 160-bit secret, as recommended by RFC 4226
+const SECRET_BYTES = 20;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} - Base32 text
+ */
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+  return output;
+}
+
+/**
+ * Decode base32 text (case-insensitive, spaces and padding ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} - Bytes
+ */
+export function base32Decode(text) {
+  const clean = String(text)
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate new random secret
+ * @returns {string} - Base32 secret
+ */
+export const generateTotpSecret = () =>
+  base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Time step for a moment
+ * @param {number} [timeMs] - Unix time in ms
+ * @returns {number} - Step counter
+ */
+export const getTotpStep = (timeMs = Date.now()) =>
+  Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * HOTP value for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Counter (TOTP step)
+ * @returns {string} - Zero-padded code
+ */
+export function generateHotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(message)
+    .digest();
+
+  // Dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Current TOTP code
+ * @param {string} secret - Base32 secret
+ * @param {number} [timeMs] - Unix time in ms
+ * @returns {string} - Code
+ */
+export const generateTotp = (secret, timeMs = Date.now()) =>
+  generateHotp(secret, getTotpStep(timeMs));
+
+/**
+ * Check code against the steps around now
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by user
+ * @param {Object} [options]
+ * @param {number} [options.afterStep] - Only steps after this one count
+ *   (last accepted step - blocks replay of a used code)
+ * @param {number} [options.timeMs] - Unix time in ms
+ * @returns {number|null} - Matched step or null
+ */
+export function verifyTotp(
+  secret,
+  code,
+  { afterStep = -1, timeMs = Date.now() } = {}
+) {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const current = getTotpStep(timeMs);
+  let matched = null;
+
+  // Check every step (no early exit) to keep timing independent of match
+  for (
+    let step = current - TOTP_WINDOW;
+    step <= current + TOTP_WINDOW;
+    step++
+  ) {
+    const expected = generateHotp(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized)) &&
+      step > afterStep
+    ) {
+      matched = step;
+    }
+  }
+
+  return matched;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (QR code content)
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Shown in the app (email)
+ * @param {string} params.issuer - Service name
+ * @returns {string} - URI
+ */
+export function buildOtpauthUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${query}`;
+}
+
+export default {
+  TOTP_DIGITS,
+  TOTP_PERIOD_SECONDS,
+  TOTP_WINDOW,
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  getTotpStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+};
@@ -0,0 +1,66 @@
+/**
+ * TwoFactorAuth Model - Authenticator app (TOTP) settings of a user
+ *
+ * One document per user. Secrets are stored encrypted, recovery codes and
+ * login challenges as hashes only (see userTwoFactor).
+ */
+
+import mongoose from "mongoose";
+
+const twoFactorAuthSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: Date,
+    // Active secret (AES-256-GCM)
+    secret: {
+      type: String,
+    },
+    // Secret shown during enrolment, active after the first valid code
+    pendingSecret: {
+      type: String,
+    },
+    pendingCreatedAt: Date,
+    // Last accepted time step - a code works only once
+    lastUsedStep: {
+      type: Number,
+      default: -1,
+    },
+    recoveryCodes: {
+      type: [
+        {
+          _id: false,
+          hash: String,
+          usedAt: Date,
+        },
+      ],
+      default: [],
+    },
+    // Pending login waiting for the second factor
+    challengeHash: {
+      type: String,
+    },
+    challengeExpiresAt: Date,
+    // Wrong login codes since last success - kept across challenges
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockedUntil: Date,
+  },
+  { timestamps: true }
+);
+
+twoFactorAuthSchema.index({ challengeHash: 1 }, { sparse: true });
+
+const TwoFactorAuth = mongoose.model("TwoFactorAuth", twoFactorAuthSchema);
+
+export default TwoFactorAuth;
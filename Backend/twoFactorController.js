@@ -0,0 +1,249 @@
+/**
+ * Two-Factor Controller - Authenticator app (TOTP) settings and login step
+ *
+ * Features:
+ * - Status, enrolment (otpauth URI for QR), confirmation by first code
+ * - Recovery codes (shown once, regenerable)
+ * - Disabling with a valid code
+ * - Login: challenge after the password check, second step checks the
+ *   code (middlewares before regular token issuing)
+ *
+ * Settings routes require authentication (/api/profile/2fa), the login
+ * step is public (/api/auth/2fa/verify, twoFactorLimiter).
+ * Login routes (user and admin): <password check setting
+ * req.authenticatedUser>, startTwoFactorLogin, <regular token issuing>.
+ */
+
+import {
+  TwoFactorError,
+  getTwoFactorStatus,
+  startTotpEnrolment,
+  confirmTotpEnrolment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+} from "./userTwoFactor.js";
+import { SECURITY_EVENT_TYPES } from "./securityEvent.js";
+import { recordSecurityEvent } from "./securityAudit.js";
+import { createSession } from "./userSessions.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Send TwoFactorError as client error, pass anything else on
+ */
+const handleError = (error, res, next, context) => {
+  if (error instanceof TwoFactorError) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message,
+    });
+  }
+  logger.error(context, { error: error.message });
+  return next(error);
+};
+
+/**
+ * Reject requests without code
+ * @returns {boolean} - true when response was sent
+ */
+const requireCode = (req, res) => {
+  if (req.body.code) return false;
+  res.status(400).json({
+    success: false,
+    message: "Authentication code is required",
+  });
+  return true;
+};
+
+/**
+ * Get two-factor status
+ * GET /api/profile/2fa
+ */
+export const getTwoFactorSettings = async (req, res, next) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      twoFactor: status,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Get two-factor status error");
+  }
+};
+
+/**
+ * Start enrolment - secret and otpauth URI for the QR code
+ * POST /api/profile/2fa/setup
+ */
+export const setupTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await startTotpEnrolment(req.user.userId);
+
+    return res.status(200).json({
+      success: true,
+      secret,
+      otpauthUri,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Two-factor setup error");
+  }
+};
+
+/**
+ * Enable 2FA with the first code from the app
+ * POST /api/profile/2fa/enable
+ * Body: { code }
+ */
+export const enableTwoFactor = async (req, res, next) => {
+  try {
+    if (requireCode(req, res)) return;
+
+    const userId = req.user.userId;
+    const recoveryCodes = await confirmTotpEnrolment(userId, req.body.code);
+
+    await recordSecurityEvent(userId, SECURITY_EVENT_TYPES.TWO_FACTOR_ENABLED, {
+      req,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Enable two-factor error");
+  }
+};
+
+/**
+ * Disable 2FA
+ * POST /api/profile/2fa/disable
+ * Body: { code } - TOTP or recovery code
+ */
+export const disableTwoFactorAuth = async (req, res, next) => {
+  try {
+    if (requireCode(req, res)) return;
+
+    const userId = req.user.userId;
+    await disableTwoFactor(userId, req.body.code);
+
+    await recordSecurityEvent(
+      userId,
+      SECURITY_EVENT_TYPES.TWO_FACTOR_DISABLED,
+      { req }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Disable two-factor error");
+  }
+};
+
+/**
+ * Replace recovery codes
+ * POST /api/profile/2fa/recovery-codes
+ * Body: { code } - TOTP code
+ */
+export const regenerateTwoFactorRecoveryCodes = async (req, res, next) => {
+  try {
+    if (requireCode(req, res)) return;
+
+    const userId = req.user.userId;
+    const recoveryCodes = await regenerateRecoveryCodes(userId, req.body.code);
+
+    await recordSecurityEvent(
+      userId,
+      SECURITY_EVENT_TYPES.RECOVERY_CODES_REGENERATED,
+      { req }
+    );
+
+    return res.status(200).json({
+      success: true,
+      recoveryCodes,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Regenerate recovery codes error");
+  }
+};
+
+/**
+ * First login step - stops login of users with 2FA enabled
+ * Runs after the password check (req.authenticatedUser) and answers with
+ * a challenge instead of tokens; users without 2FA go on to token issuing.
+ */
+export const startTwoFactorLogin = async (req, res, next) => {
+  try {
+    const challengeToken = await createLoginChallenge(
+      req.authenticatedUser._id
+    );
+    if (!challengeToken) return next();
+
+    return res.status(200).json({
+      success: true,
+      requiresTwoFactor: true,
+      challengeToken,
+    });
+  } catch (error) {
+    return handleError(error, res, next, "Two-factor login start error");
+  }
+};
+
+/**
+ * Second login step - checks code, then hands over to token issuing
+ * POST /api/auth/2fa/verify
+ * Body: { email, challengeToken, code }
+ *
+ * Sets req.user (same shape as auth middleware, with sessionId of the new
+ * session - put it in the token as "sid") and req.authenticatedUser
+ * (User document) for the next handler.
+ */
+export const verifyLoginTwoFactor = async (req, res, next) => {
+  try {
+    if (requireCode(req, res)) return;
+
+    const { email, challengeToken, code } = req.body;
+    const { user, method, recoveryCodesLeft } = await verifyLoginChallenge({
+      email,
+      challengeToken,
+      code,
+    });
+
+    if (method === "recovery") {
+      await recordSecurityEvent(
+        user._id,
+        SECURITY_EVENT_TYPES.RECOVERY_CODE_USED,
+        { req }
+      );
+    }
+
+    logger.info("Two-factor login verified", { userId: user._id, method });
+
+    const session = await createSession(user._id, req);
+
+    req.user = {
+      userId: user._id.toString(),
+      role: user.role,
+      sessionId: session._id.toString(),
+    };
+    req.authenticatedUser = user;
+    req.twoFactor = { method, recoveryCodesLeft };
+    return next();
+  } catch (error) {
+    return handleError(error, res, next, "Two-factor login error");
+  }
+};
+
+export default {
+  getTwoFactorSettings,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactorAuth,
+  regenerateTwoFactorRecoveryCodes,
+  startTwoFactorLogin,
+  verifyLoginTwoFactor,
+};
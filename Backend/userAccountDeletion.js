@@ -0,0 +1,397 @@
+/**
+ * User Account Deletion - Closing accounts with a grace period
+ *
+ * Features:
+ * - Request confirmed with a code sent to the account email
+ * - ACCOUNT_DELETION_GRACE_DAYS grace period (all sessions signed out),
+ *   logging in cancels it
+ * - Final deletion: ads archived, sent messages anonymised,
+ *   notifications / favourites / saved searches / history / data exports
+ *   removed, personal fields of the user scrubbed
+ * - Emails at every step, receipt after the deletion
+ *
+ * Setup: start accountDeletionJob on boot. Logins cancel through
+ * createSession (userSessions).
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import User from "../../models/user/user.js";
+import Ad from "../../models/listings/ad.js";
+import Message from "../../models/communication/message.js";
+import Notification from "../../models/communication/notification.js";
+import AccountDeletion, { ACCOUNT_DELETION_STATUS } from "./accountDeletion.js";
+import Favorite from "./favorite.js";
+import FavoriteList from "./favoriteList.js";
+import SavedSearch from "./savedSearch.js";
+import ViewHistory from "./viewHistory.js";
+import DataExport from "./dataExport.js";
+import TwoFactorAuth from "./twoFactorAuth.js";
+import UserSession from "./userSession.js";
+import { revokeAllSessions } from "./userSessions.js";
+import {
+  CODE_PURPOSES,
+  issueCode,
+  verifyCode,
+  revokeCodes,
+} from "./oneTimeCodes.js";
+import { removeFavorite } from "./favorites.js";
+import { AD_STATUS, toLifecycleStatus, transitionAd } from "./adLifecycle.js";
+import logger from "../../utils/logger.js";
+
+export const ACCOUNT_DELETION_GRACE_DAYS = 14;
+
+// Replaces content of messages sent by a deleted account
+export const DELETED_MESSAGE_CONTENT = "[message deleted]";
+
+// Display name of a deleted account
+const DELETED_USER_NAME = "Deleted user";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Requests that can still be cancelled
+const OPEN_STATUSES = [
+  ACCOUNT_DELETION_STATUS.AWAITING_CONFIRMATION,
+  ACCOUNT_DELETION_STATUS.SCHEDULED,
+];
+
+/**
+ * Client error (no pending request, wrong code...)
+ */
+export class AccountDeletionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AccountDeletionError";
+    this.status = status;
+  }
+}
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Open request of the user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} - Request (awaiting confirmation or scheduled)
+ */
+export async function getAccountDeletion(userId) {
+  return AccountDeletion.findOne({
+    user: userId,
+    status: { $in: OPEN_STATUSES },
+  }).sort({ createdAt: -1 });
+}
+
+/**
+ * Start deletion - emails a confirmation code
+ * A new request replaces an unconfirmed one (and its code).
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Request awaiting confirmation
+ * @throws {AccountDeletionError|OneTimeCodeError} - 429 during resend cooldown
+ */
+export async function requestAccountDeletion(userId) {
+  const user = await User.findById(userId).select("email name");
+  if (!user) throw new AccountDeletionError("User not found", 404);
+
+  const existing = await getAccountDeletion(userId);
+  if (existing?.status === ACCOUNT_DELETION_STATUS.SCHEDULED) {
+    throw new AccountDeletionError("Account deletion already scheduled", 409);
+  }
+
+  const { code, expiresAt } = await issueCode(
+    userId,
+    CODE_PURPOSES.ACCOUNT_DELETION
+  );
+
+  const request = existing || new AccountDeletion({ user: userId });
+  try {
+    request.codeExpiresAt = expiresAt;
+    await request.save();
+
+    const { sendProfileChangeNotification } = await import(
+      "../../services/emailService.js"
+    );
+    await sendProfileChangeNotification(user.email, user.name, [
+      `Account deletion requested. Confirmation code: ${code} (valid for 15 minutes). If this wasn't you, change your password.`,
+    ]);
+  } catch (error) {
+    // Code never reached the user - no resend cooldown
+    await revokeCodes(userId, CODE_PURPOSES.ACCOUNT_DELETION);
+    throw error;
+  }
+
+  logger.info("Account deletion requested", { userId });
+  return request;
+}
+
+/**
+ * Confirm deletion with the emailed code - starts the grace period
+ * @param {string} userId - User ID
+ * @param {string} code - Confirmation code
+ * @returns {Promise<Object>} - Scheduled request
+ * @throws {AccountDeletionError|OneTimeCodeError}
+ */
+export async function confirmAccountDeletion(userId, code) {
+  const request = await AccountDeletion.findOne({
+    user: userId,
+    status: ACCOUNT_DELETION_STATUS.AWAITING_CONFIRMATION,
+  }).sort({ createdAt: -1 });
+
+  if (!request) {
+    throw new AccountDeletionError("No account deletion request to confirm");
+  }
+
+  try {
+    await verifyCode(userId, CODE_PURPOSES.ACCOUNT_DELETION, code);
+  } catch (error) {
+    logger.warn("Invalid account deletion code", { userId });
+    throw error;
+  }
+
+  const now = new Date();
+  request.set({
+    status: ACCOUNT_DELETION_STATUS.SCHEDULED,
+    codeExpiresAt: undefined,
+    confirmedAt: now,
+    scheduledFor: new Date(
+      now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * DAY_MS
+    ),
+  });
+  await request.save();
+
+  // Signed out everywhere - the next login cancels the deletion
+  await revokeAllSessions(userId, "account_deletion");
+
+  const user = await User.findById(userId).select("email name");
+  const { sendProfileChangeNotification } = await import(
+    "../../services/emailService.js"
+  );
+  await sendProfileChangeNotification(user.email, user.name, [
+    `Your account will be deleted on ${formatDate(
+      request.scheduledFor
+    )}. Log in before then to cancel.`,
+  ]);
+
+  logger.info("Account deletion scheduled", {
+    userId,
+    scheduledFor: request.scheduledFor,
+  });
+  return request;
+}
+
+/**
+ * Cancel open request (explicitly or by logging in)
+ * Conditional update - a request already claimed by accountDeletionJob
+ * stays untouched.
+ * @param {string} userId - User ID
+ * @param {string} reason - "login" | "user"
+ * @returns {Promise<boolean>} - true when a scheduled deletion was cancelled
+ * @throws {AccountDeletionError} - 409 when the deletion is already running
+ */
+export async function cancelAccountDeletion(userId, reason = "user") {
+  // Returns the request as it was before the update
+  const request = await AccountDeletion.findOneAndUpdate(
+    { user: userId, status: { $in: OPEN_STATUSES } },
+    {
+      $set: {
+        status: ACCOUNT_DELETION_STATUS.CANCELLED,
+        cancelledAt: new Date(),
+        cancelReason: reason,
+      },
+      $unset: { codeExpiresAt: "" },
+    },
+    { sort: { createdAt: -1 } }
+  ).lean();
+
+  if (!request) {
+    const processing = await AccountDeletion.exists({
+      user: userId,
+      status: ACCOUNT_DELETION_STATUS.PROCESSING,
+    });
+    if (processing) {
+      throw new AccountDeletionError(
+        "Account deletion is already in progress",
+        409
+      );
+    }
+    return false;
+  }
+
+  const wasScheduled = request.status === ACCOUNT_DELETION_STATUS.SCHEDULED;
+  if (!wasScheduled) {
+    await revokeCodes(userId, CODE_PURPOSES.ACCOUNT_DELETION);
+  }
+
+  if (wasScheduled) {
+    try {
+      const user = await User.findById(userId).select("email name");
+      const { sendProfileChangeNotification } = await import(
+        "../../services/emailService.js"
+      );
+      await sendProfileChangeNotification(user.email, user.name, [
+        "Account deletion cancelled",
+      ]);
+    } catch (error) {
+      // Cancelling must not break login
+      logger.error("Account deletion cancel email error", {
+        error: error.message,
+        userId,
+      });
+    }
+  }
+
+  logger.info("Account deletion cancelled", { userId, reason });
+  return wasScheduled;
+}
+
+/* ---- Final deletion ---- */
+
+/**
+ * Archive all ads of the user (lifecycle history keeps the reason)
+ */
+const archiveUserAds = async (userId) => {
+  const cursor = Ad.find({ owner: userId }).cursor();
+  let archived = 0;
+
+  for await (const ad of cursor) {
+    if (toLifecycleStatus(ad.status) === AD_STATUS.ARCHIVED) continue;
+    await transitionAd(ad, AD_STATUS.ARCHIVED, { reason: "account_deleted" });
+    archived++;
+  }
+
+  return archived;
+};
+
+/**
+ * Remove favourites one by one - keeps Ad.favorites counters right
+ */
+const removeUserFavorites = async (userId) => {
+  const favorites = await Favorite.find({ user: userId }).select("ad").lean();
+  for (const favorite of favorites) {
+    await removeFavorite(userId, favorite.ad.toString());
+  }
+  await FavoriteList.deleteMany({ user: userId });
+  return favorites.length;
+};
+
+/**
+ * Remove data export archives and their records
+ */
+const removeUserDataExports = async (userId) => {
+  const exports = await DataExport.find({ user: userId })
+    .select("filePath")
+    .lean();
+
+  for (const { filePath } of exports) {
+    if (!filePath) continue;
+    await fs.unlink(filePath).catch((error) => {
+      if (error.code !== "ENOENT") throw error;
+    });
+  }
+
+  const { deletedCount } = await DataExport.deleteMany({ user: userId });
+  return deletedCount;
+};
+
+/**
+ * Delete account data and scrub personal fields of the user
+ * The user document stays (messages and ads reference it) but cannot
+ * log in and shows as DELETED_USER_NAME.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Number of affected records per kind
+ */
+export async function deleteUserAccount(userId) {
+  const user = await User.findById(userId).select("email name").lean();
+  if (!user) throw new Error("User not found");
+
+  const ads = await archiveUserAds(userId);
+
+  // Sender name comes from the (scrubbed) user record
+  const messages = await Message.updateMany(
+    { sender: userId },
+    { $set: { content: DELETED_MESSAGE_CONTENT, attachments: [] } }
+  );
+
+  const notifications = await Notification.deleteMany({ user: userId });
+  const favorites = await removeUserFavorites(userId);
+  const savedSearches = await SavedSearch.deleteMany({ user: userId });
+  await ViewHistory.deleteMany({ user: userId });
+  await TwoFactorAuth.deleteMany({ user: userId });
+  await revokeCodes(userId);
+  await revokeAllSessions(userId, "account_deleted");
+  await UserSession.deleteMany({ user: userId });
+  const dataExports = await removeUserDataExports(userId);
+
+  // Direct update - no validators / password hashing; the random
+  // password can't match any login attempt
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        name: DELETED_USER_NAME,
+        email: `deleted-${userId}@deleted.invalid`,
+        password: crypto.randomBytes(32).toString("hex"),
+        status: "deleted",
+        accountLocked: true,
+        isVerified: false,
+        isEmailVerified: false,
+        isPhoneVerified: false,
+      },
+      $unset: {
+        lastName: "",
+        phoneNumber: "",
+        dob: "",
+        street: "",
+        city: "",
+        postalCode: "",
+        country: "",
+        pendingEmail: "",
+        pendingPhone: "",
+        emailVerificationCode: "",
+        emailVerificationCodeExpires: "",
+        smsVerificationCode: "",
+        smsVerificationCodeExpires: "",
+        passwordResetToken: "",
+        passwordResetTokenExpires: "",
+      },
+    }
+  );
+
+  const summary = {
+    ads,
+    messages: messages.modifiedCount,
+    notifications: notifications.deletedCount,
+    favorites,
+    savedSearches: savedSearches.deletedCount,
+    dataExports,
+  };
+
+  // Receipt to the address the account had
+  try {
+    const { sendProfileChangeNotification } = await import(
+      "../../services/emailService.js"
+    );
+    await sendProfileChangeNotification(user.email, user.name, [
+      "Your account has been deleted. Your listings were deactivated, your messages anonymised and your personal data removed.",
+    ]);
+  } catch (error) {
+    logger.error("Account deletion receipt error", {
+      error: error.message,
+      userId,
+    });
+  }
+
+  logger.info("Account deleted", { userId, ...summary });
+  return summary;
+}
+
+export default {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  DELETED_MESSAGE_CONTENT,
+  AccountDeletionError,
+  getAccountDeletion,
+  requestAccountDeletion,
+  confirmAccountDeletion,
+  cancelAccountDeletion,
+  deleteUserAccount,
+};
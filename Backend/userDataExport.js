@@ -0,0 +1,223 @@
+/**
+ * User Data Export - GDPR archive of everything stored about a user
+ *
+ * Features:
+ * - Profile (same fields as getUserProfile), ads, messages sent and
+ *   received, notifications, favourites and lists, saved searches,
+ *   view history, moderation decisions on the user's ads, sessions,
+ *   security events
+ * - Streamed from database cursors into a gzip-compressed JSON file,
+ *   so large accounts never sit in memory
+ * - Secrets (password hash, codes, tokens) and other users' data
+ *   (moderators, duplicate detection details) are left out
+ */
+
+import fs from "fs";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import zlib from "zlib";
+import mongoose from "mongoose";
+import User from "../../models/user/user.js";
+import Ad from "../../models/listings/ad.js";
+import Message from "../../models/communication/message.js";
+import Notification from "../../models/communication/notification.js";
+import Favorite from "./favorite.js";
+import FavoriteList from "./favoriteList.js";
+import SavedSearch from "./savedSearch.js";
+import ViewHistory from "./viewHistory.js";
+import ModerationLog from "./moderationLog.js";
+import SecurityEvent from "./securityEvent.js";
+import UserSession from "./userSession.js";
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+// Profile fields - keep in sync with getUserProfile
+const PROFILE_FIELDS = [
+  "name",
+  "lastName",
+  "email",
+  "phoneNumber",
+  "dob",
+  "role",
+  "status",
+  "isVerified",
+  "isEmailVerified",
+  "isPhoneVerified",
+  "createdAt",
+  "lastLogin",
+  "registrationStep",
+  "registrationType",
+  "street",
+  "city",
+  "postalCode",
+  "country",
+  "notificationPreferences",
+  "privacySettings",
+  "securitySettings",
+];
+
+/**
+ * Archive sections in output order
+ * find(userId, context) returns a cursor (or array) of documents,
+ * format(doc, userId) shapes a single record.
+ */
+const SECTIONS = [
+  {
+    name: "ads",
+    find: (userId) =>
+      Ad.find({ owner: userId })
+        .select("-moderation -__v")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+    format: (ad, userId, context) => {
+      context.adIds.push(ad._id);
+      return ad;
+    },
+  },
+  {
+    name: "messages",
+    find: (userId) =>
+      Message.find({ $or: [{ sender: userId }, { recipient: userId }] })
+        .select("-__v")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+    format: (message, userId) => ({
+      ...message,
+      direction: message.sender?.toString() === userId ? "sent" : "received",
+    }),
+  },
+  {
+    name: "notifications",
+    find: (userId) =>
+      Notification.find({ user: userId })
+        .select("-__v")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+  },
+  {
+    name: "favoriteLists",
+    find: (userId) =>
+      FavoriteList.find({ user: userId }).select("name createdAt").lean(),
+  },
+  {
+    name: "favorites",
+    find: (userId) =>
+      Favorite.find({ user: userId })
+        .select("ad list note priceAtAdd createdAt")
+        .populate("list", "name")
+        .lean()
+        .cursor(),
+    format: (favorite) => ({ ...favorite, list: favorite.list?.name ?? null }),
+  },
+  {
+    name: "savedSearches",
+    find: (userId) =>
+      SavedSearch.find({ user: userId }).select("-__v").lean().cursor(),
+  },
+  {
+    name: "recentlyViewed",
+    find: async (userId) =>
+      (await ViewHistory.findOne({ user: userId }).lean())?.items || [],
+  },
+  {
+    name: "auditLog",
+    // Moderation of the user's ads (moderator identity is staff data)
+    find: (userId, context) =>
+      ModerationLog.find({ ad: { $in: context.adIds } })
+        .select("ad action reasonCode note previousStatus newStatus createdAt")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+  },
+  {
+    name: "sessions",
+    find: (userId) =>
+      UserSession.find({ user: userId })
+        .select("device userAgent ip location createdAt lastSeenAt revokedAt")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+  },
+  {
+    name: "securityLog",
+    find: (userId) =>
+      SecurityEvent.find({ user: userId })
+        .select("type changes ip userAgent createdAt")
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor(),
+  },
+];
+
+/**
+ * Profile fields of the user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Profile
+ */
+const getProfile = async (userId) => {
+  const user = await User.findById(userId)
+    .select(PROFILE_FIELDS.join(" "))
+    .lean();
+  if (!user) throw new Error("User not found");
+
+  return {
+    id: user._id,
+    ...Object.fromEntries(PROFILE_FIELDS.map((field) => [field, user[field]])),
+  };
+};
+
+/**
+ * JSON text chunks of the archive
+ */
+async function* generateArchive(userId, counts) {
+  const context = { adIds: [] };
+
+  yield `{"format":${EXPORT_FORMAT_VERSION},"exportedAt":${JSON.stringify(
+    new Date()
+  )},"profile":${JSON.stringify(await getProfile(userId))}`;
+
+  for (const section of SECTIONS) {
+    yield `,${JSON.stringify(section.name)}:[`;
+
+    let count = 0;
+    for await (const doc of await section.find(userId, context)) {
+      const record = section.format
+        ? section.format(doc, userId, context)
+        : doc;
+      yield `${count > 0 ? "," : ""}${JSON.stringify(record)}`;
+      count++;
+    }
+
+    yield "]";
+    counts[section.name] = count;
+  }
+
+  yield "}\n";
+}
+
+/**
+ * Write user's data archive (gzip-compressed JSON)
+ * @param {string} userId - User ID
+ * @param {string} filePath - Target file
+ * @returns {Promise<Object>} - Number of records per section
+ */
+export async function writeUserDataArchive(userId, filePath) {
+  const id = new mongoose.Types.ObjectId(userId).toString();
+  const counts = {};
+
+  await pipeline(
+    Readable.from(generateArchive(id, counts)),
+    zlib.createGzip(),
+    fs.createWriteStream(filePath, { mode: 0o600 })
+  );
+
+  return counts;
+}
+
+export default {
+  EXPORT_FORMAT_VERSION,
+  writeUserDataArchive,
+};
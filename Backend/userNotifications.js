@@ -0,0 +1,82 @@
+/**
+ * User Notifications - Persist and deliver notifications to users
+ *
+ * Features:
+ * - Stores notification in database (visible in notification center)
+ * - Real-time delivery through SocketService when user is online
+ * - Failures are logged and never interrupt the calling process
+ */
+
+import Notification from "../../models/communication/notification.js";
+import socketService from "./socketService.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Create notification for user and push it over WebSocket
+ * @param {string} userId - Recipient ID
+ * @param {Object} data - Notification data
+ * @param {string} data.type - Notification type (e.g. "price_drop")
+ * @param {string} data.title - Short title shown in toast
+ * @param {string} data.message - Notification body
+ * @param {string} [data.link] - Frontend link opened on click
+ * @param {string} [data.relatedListing] - Related ad ID
+ * @param {Object} [data.metadata] - Additional payload
+ * @param {Object} [data.listingStats] - Current { favorites, views } of the
+ *   related listing (live counter update in the client, not stored)
+ * @returns {Promise<Object|null>} - Saved notification or null on failure
+ */
+export async function notifyUser(userId, data) {
+  try {
+    const notification = await Notification.create({
+      user: userId,
+      type: data.type,
+      title: data.title,
+      message: data.message,
+      link: data.link,
+      relatedListing: data.relatedListing,
+      metadata: data.metadata,
+      isRead: false,
+    });
+
+    socketService.sendNotification(userId.toString(), {
+      id: notification._id,
+      _id: notification._id,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      link: notification.link,
+      relatedListing: notification.relatedListing,
+      metadata: notification.metadata,
+      listingStats: data.listingStats,
+      isRead: false,
+      createdAt: notification.createdAt,
+    });
+
+    return notification;
+  } catch (error) {
+    logger.error("Notification delivery error", {
+      error: error.message,
+      userId: userId?.toString(),
+      type: data.type,
+    });
+    return null;
+  }
+}
+
+/**
+ * Notify several users with the same notification
+ * @param {Array<string>} userIds - Recipient IDs
+ * @param {Object} data - Notification data (see notifyUser)
+ * @returns {Promise<number>} - Number of delivered notifications
+ */
+export async function notifyUsers(userIds, data) {
+  const results = await Promise.all(
+    userIds.map((userId) => notifyUser(userId, data))
+  );
+  return results.filter(Boolean).length;
+}
+
+export default {
+  notifyUser,
+  notifyUsers,
+};
@@ -0,0 +1,60 @@
+/**
+ * UserSession Model - Logged-in devices of a user
+ *
+ * One document per login. Its ID travels in the auth token ("sid" claim),
+ * so revoking the document ends the session on the next request.
+ * Removed by MongoDB after expiresAt.
+ */
+
+import mongoose from "mongoose";
+
+const userSessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Parsed from user agent
+    device: {
+      browser: String,
+      os: String,
+      type: {
+        type: String,
+        enum: ["desktop", "mobile", "tablet", "unknown"],
+        default: "unknown",
+      },
+    },
+    userAgent: {
+      type: String,
+      maxlength: 500,
+    },
+    ip: {
+      type: String,
+    },
+    // Country / city from CDN headers, when available
+    location: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+userSessionSchema.index({ user: 1, revokedAt: 1, lastSeenAt: -1 });
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserSession = mongoose.model("UserSession", userSessionSchema);
+
+export default UserSession;
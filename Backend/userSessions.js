@@ -0,0 +1,345 @@
+/**
+ * User Sessions - Server-side sessions and device management
+ *
+ * Features:
+ * - Session per login with device, IP, location hint, created / last seen
+ * - A new session cancels the user's pending account deletion
+ * - Revocation of one session, all other sessions or all sessions
+ *   (password reset); revoked sessions' sockets are disconnected at once
+ * - Middleware rejecting requests and socket connections of revoked or
+ *   expired sessions
+ *
+ * Setup: when issuing auth tokens call createSession(user._id, req) and
+ * put session._id in the token as "sid" (the 2FA login step already sets
+ * req.user.sessionId); the auth middleware and SocketAuth copy it to
+ * req.user.sessionId / socket.user.sessionId. Mount requireActiveSession
+ * after the auth middleware (SocketService mounts
+ * requireActiveSocketSession after SocketAuth).
+ * Tokens without "sid" (issued before sessions existed) pass until
+ * SESSION_LEGACY_TOKENS_UNTIL (ISO date) - set it to the time token
+ * issuing puts "sid" in every token plus the token lifetime.
+ */
+
+import mongoose from "mongoose";
+import UserSession from "./userSession.js";
+import { getRequestContext } from "./securityAudit.js";
+import socketService from "./socketService.js";
+import { cancelAccountDeletion } from "./userAccountDeletion.js";
+import logger from "../../utils/logger.js";
+
+// Session lifetime without activity (matches refresh token lifetime)
+export const SESSION_TTL_DAYS = 30;
+
+// lastSeenAt is written at most this often per session
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tokens without "sid" accepted until this date (null - no cutoff yet)
+const legacyTokensUntil = process.env.SESSION_LEGACY_TOKENS_UNTIL
+  ? new Date(process.env.SESSION_LEGACY_TOKENS_UNTIL)
+  : null;
+
+const acceptsLegacyToken = () =>
+  legacyTokensUntil === null || Date.now() < legacyTokensUntil.getTime();
+
+/**
+ * Browser, OS and device type from user agent
+ * @param {string} userAgent - User-Agent header
+ * @returns {{browser: string, os: string, type: string}}
+ */
+export function parseDevice(userAgent = "") {
+  const ua = String(userAgent);
+
+  const browser =
+    (/Edg\//.test(ua) && "Edge") ||
+    (/OPR\/|Opera/.test(ua) && "Opera") ||
+    (/SamsungBrowser/.test(ua) && "Samsung Internet") ||
+    (/Firefox\//.test(ua) && "Firefox") ||
+    (/Chrome\/|CriOS/.test(ua) && "Chrome") ||
+    (/Safari\//.test(ua) && "Safari") ||
+    "Unknown";
+
+  const os =
+    (/iPhone|iPad|iPod/.test(ua) && "iOS") ||
+    (/Android/.test(ua) && "Android") ||
+    (/Windows/.test(ua) && "Windows") ||
+    (/Mac OS X|Macintosh/.test(ua) && "macOS") ||
+    (/Linux/.test(ua) && "Linux") ||
+    "Unknown";
+
+  const type = !ua
+    ? "unknown"
+    : /iPad|Tablet/.test(ua) || (/Android/.test(ua) && !/Mobile/.test(ua))
+    ? "tablet"
+    : /Mobi|iPhone/.test(ua)
+    ? "mobile"
+    : "desktop";
+
+  return { browser, os, type };
+}
+
+/**
+ * Location hint set by CDN / proxy (no IP geolocation lookup)
+ * @param {Object} req - Express request
+ * @returns {string|undefined} - e.g. "Warszawa, PL"
+ */
+export function getLocationHint(req) {
+  const country =
+    req.get("cf-ipcountry") ||
+    req.get("x-vercel-ip-country") ||
+    req.get("cloudfront-viewer-country");
+  const city = req.get("x-vercel-ip-city") || req.get("cf-ipcity");
+
+  if (!country || country === "XX") return undefined;
+  if (!city) return country;
+
+  try {
+    return `${decodeURIComponent(city)}, ${country}`;
+  } catch {
+    return country;
+  }
+}
+
+const activeFilter = () => ({
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+/**
+ * Create session for a successful login
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - Session document (its _id goes into the token)
+ */
+export async function createSession(userId, req) {
+  const { ip, userAgent } = getRequestContext(req);
+
+  // Logging in cancels a pending account deletion
+  try {
+    await cancelAccountDeletion(userId, "login");
+  } catch (error) {
+    logger.warn("Account deletion not cancelled on login", {
+      error: error.message,
+      userId: userId.toString(),
+    });
+  }
+
+  return UserSession.create({
+    user: userId,
+    device: parseDevice(userAgent),
+    userAgent,
+    ip,
+    location: getLocationHint(req),
+    expiresAt: new Date(Date.now() + SESSION_TTL_DAYS * DAY_MS),
+  });
+}
+
+/**
+ * Check session and refresh last seen / expiry (throttled)
+ * @param {string} sessionId - Session ID
+ * @param {Object} [req] - Express request (updates IP)
+ * @returns {Promise<boolean>} - true when session is active
+ */
+export async function touchSession(sessionId, req) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+
+  const session = await UserSession.findOne({
+    _id: sessionId,
+    ...activeFilter(),
+  })
+    .select("lastSeenAt")
+    .lean();
+  if (!session) return false;
+
+  const now = Date.now();
+  if (now - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS) {
+    const update = {
+      lastSeenAt: new Date(now),
+      expiresAt: new Date(now + SESSION_TTL_DAYS * DAY_MS),
+    };
+    if (req) update.ip = getRequestContext(req).ip;
+
+    UserSession.updateOne({ _id: sessionId }, { $set: update }).catch((error) =>
+      logger.warn("Session touch error", { error: error.message, sessionId })
+    );
+  }
+
+  return true;
+}
+
+/**
+ * Check session without touching it (socket authentication)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>}
+ */
+export async function isActiveSession(sessionId) {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  return Boolean(
+    await UserSession.exists({ _id: sessionId, ...activeFilter() })
+  );
+}
+
+/**
+ * Middleware - rejects requests of revoked / expired sessions
+ * Tokens without sid pass only until SESSION_LEGACY_TOKENS_UNTIL.
+ */
+export const requireActiveSession = async (req, res, next) => {
+  const sessionId = req.user?.sessionId;
+
+  try {
+    if (sessionId ? await touchSession(sessionId, req) : acceptsLegacyToken()) {
+      return next();
+    }
+
+    return res.status(401).json({
+      success: false,
+      message: "Session has ended. Please log in again.",
+      code: "SESSION_REVOKED",
+    });
+  } catch (error) {
+    logger.error("Session check error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Socket.IO middleware - rejects connections of revoked / expired sessions
+ * (runs after SocketAuth, so reconnects with a revoked token fail)
+ */
+export const requireActiveSocketSession = async (socket, next) => {
+  const sessionId = socket.user?.sessionId;
+
+  try {
+    if (sessionId ? await isActiveSession(sessionId) : acceptsLegacyToken()) {
+      return next();
+    }
+
+    const error = new Error("Session has ended. Please log in again.");
+    error.data = { code: "SESSION_REVOKED" };
+    return next(error);
+  } catch (error) {
+    logger.error("Socket session check error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Active sessions of the user (most recently used first)
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session of the request
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listSessions(userId, currentSessionId) {
+  const sessions = await UserSession.find({ user: userId, ...activeFilter() })
+    .select("device ip location createdAt lastSeenAt")
+    .sort({ lastSeenAt: -1 })
+    .lean();
+
+  return sessions.map((session) => ({
+    id: session._id,
+    device: session.device,
+    ip: session.ip,
+    location: session.location,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    current: session._id.toString() === currentSessionId?.toString(),
+  }));
+}
+
+/**
+ * Revoke sessions matching filter and disconnect their sockets
+ * Sockets without session are disconnected only with includeLegacy
+ * (they may belong to the device revoking the others).
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+async function revokeSessions(
+  userId,
+  filter,
+  reason,
+  { includeLegacy = false } = {}
+) {
+  const sessions = await UserSession.find({
+    user: userId,
+    ...activeFilter(),
+    ...filter,
+  })
+    .select("_id")
+    .lean();
+
+  const sessionIds = sessions.map((session) => session._id);
+  if (sessionIds.length > 0) {
+    await UserSession.updateMany(
+      { _id: { $in: sessionIds } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  if (sessionIds.length > 0 || includeLegacy) {
+    socketService.disconnectUserSessions(
+      userId.toString(),
+      sessionIds.map((id) => id.toString()),
+      reason,
+      { includeLegacy }
+    );
+  }
+  if (sessionIds.length === 0) return 0;
+
+  logger.info("Sessions revoked", {
+    userId: userId.toString(),
+    count: sessionIds.length,
+    reason,
+  });
+  return sessionIds.length;
+}
+
+/**
+ * Revoke one session of the user
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @param {string} [reason] - Stored reason
+ * @returns {Promise<boolean>} - false when no such active session
+ */
+export async function revokeSession(userId, sessionId, reason = "user") {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) return false;
+  return (await revokeSessions(userId, { _id: sessionId }, reason)) === 1;
+}
+
+/**
+ * Revoke all sessions except the current one
+ * (request without session - old token - revokes all of them)
+ * @param {string} userId - User ID
+ * @param {string} [currentSessionId] - Session to keep
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+export async function revokeOtherSessions(userId, currentSessionId) {
+  const filter = mongoose.Types.ObjectId.isValid(currentSessionId)
+    ? { _id: { $ne: currentSessionId } }
+    : {};
+  return revokeSessions(userId, filter, "user");
+}
+
+/**
+ * Revoke every session (password reset, account deletion)
+ * @param {string} userId - User ID
+ * @param {string} reason - Stored reason
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+export async function revokeAllSessions(userId, reason) {
+  return revokeSessions(userId, {}, reason, { includeLegacy: true });
+}
+
+export default {
+  SESSION_TTL_DAYS,
+  parseDevice,
+  getLocationHint,
+  createSession,
+  touchSession,
+  isActiveSession,
+  requireActiveSession,
+  requireActiveSocketSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  revokeAllSessions,
+};
@@ -0,0 +1,443 @@
+/**
+ * User Two-Factor - Authenticator app (TOTP) second factor for login
+ *
+ * Features:
+ * - Enrolment: secret + otpauth URI (QR), enabled by the first valid code
+ * - RECOVERY_CODE_COUNT one-time recovery codes (hashed), regenerable
+ * - Login challenge: short-lived token issued after the password check,
+ *   exchanged for a session only with a valid code
+ * - Each TOTP step and recovery code accepted once (atomic updates)
+ * - Wrong login codes counted per account (not per challenge), account
+ *   locked for LOCKOUT_MS after MAX_FAILED_ATTEMPTS
+ * - Disabling requires a valid code
+ *
+ * Setup: login routes run startTwoFactorLogin (twoFactorController) after
+ * the password check, and POST /api/auth/2fa/verify is mounted as
+ *   twoFactorLimiter, verifyLoginTwoFactor, <regular token issuing>.
+ * TOTP_ENCRYPTION_KEY must be set in production.
+ */
+
+import crypto from "crypto";
+import User from "../../models/user/user.js";
+import TwoFactorAuth from "./twoFactorAuth.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUri } from "./totp.js";
+import logger from "../../utils/logger.js";
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Enrolment must be confirmed within this time
+const ENROLMENT_TTL_MS = 15 * 60 * 1000;
+
+// Login challenge validity
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+// Wrong login codes allowed before the account is locked
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "AutoSell";
+
+const isProd = process.env.NODE_ENV === "production";
+const encryptionSecret =
+  process.env.TOTP_ENCRYPTION_KEY || "change-me-in-production";
+
+// Enforce encryption key in production (safety check)
+if (isProd && encryptionSecret === "change-me-in-production") {
+  throw new Error("TOTP_ENCRYPTION_KEY must be set in production");
+}
+
+const encryptionKey = crypto
+  .createHash("sha256")
+  .update(encryptionSecret)
+  .digest();
+
+/**
+ * Client error (invalid code, not enabled...)
+ */
+export class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "TwoFactorError";
+    this.status = status;
+  }
+}
+
+/* ---- Helpers ---- */
+
+const hashToken = (value) =>
+  crypto.createHash("sha256").update(String(value)).digest("hex");
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey, iv);
+  const data = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("hex"))
+    .join(":");
+};
+
+const decryptSecret = (value) => {
+  const [iv, tag, data] = value
+    .split(":")
+    .map((part) => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+// "a1b2c-3d4e5" - entered with or without dash / spaces, any case
+const normalizeRecoveryCode = (code) =>
+  String(code ?? "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+
+/**
+ * New recovery codes
+ * @returns {{codes: Array<string>, records: Array<Object>}} - Plain codes
+ *   (shown once) and records to store
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    records: codes.map((code) => ({
+      hash: hashToken(normalizeRecoveryCode(code)),
+    })),
+  };
+};
+
+const sendSecurityEmail = async (userId, change) => {
+  try {
+    const user = await User.findById(userId).select("email name").lean();
+    const { sendProfileChangeNotification } = await import(
+      "../../services/emailService.js"
+    );
+    await sendProfileChangeNotification(user.email, user.name, [change]);
+  } catch (error) {
+    logger.error("Two-factor email error", {
+      error: error.message,
+      userId: userId?.toString(),
+    });
+  }
+};
+
+/**
+ * Accept TOTP code or unused recovery code (each works once)
+ * @param {Object} settings - TwoFactorAuth document (enabled)
+ * @param {string} code - Code entered by user
+ * @param {Object} [options] - { allowRecovery }
+ * @returns {Promise<"totp"|"recovery"|null>} - Accepted method
+ */
+async function consumeCode(settings, code, { allowRecovery = true } = {}) {
+  const step = verifyTotp(decryptSecret(settings.secret), code, {
+    afterStep: settings.lastUsedStep,
+  });
+
+  if (step !== null) {
+    // Conditional update - a parallel request with the same code loses
+    const { modifiedCount } = await TwoFactorAuth.updateOne(
+      { _id: settings._id, lastUsedStep: { $lt: step } },
+      { $set: { lastUsedStep: step } }
+    );
+    return modifiedCount === 1 ? "totp" : null;
+  }
+
+  if (!allowRecovery) return null;
+
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== 10) return null;
+
+  const { modifiedCount } = await TwoFactorAuth.updateOne(
+    {
+      _id: settings._id,
+      recoveryCodes: {
+        $elemMatch: { hash: hashToken(normalized), usedAt: null },
+      },
+    },
+    { $set: { "recoveryCodes.$.usedAt": new Date() } }
+  );
+  return modifiedCount === 1 ? "recovery" : null;
+}
+
+const getEnabledSettings = async (userId) => {
+  const settings = await TwoFactorAuth.findOne({ user: userId, enabled: true });
+  if (!settings) {
+    throw new TwoFactorError("Two-factor authentication is not enabled");
+  }
+  return settings;
+};
+
+const countRecoveryCodesLeft = (settings) =>
+  settings.recoveryCodes.filter((code) => !code.usedAt).length;
+
+/* ---- Settings ---- */
+
+/**
+ * Two-factor status of the user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { enabled, enabledAt, recoveryCodesLeft }
+ */
+export async function getTwoFactorStatus(userId) {
+  const settings = await TwoFactorAuth.findOne({ user: userId }).lean();
+
+  return {
+    enabled: Boolean(settings?.enabled),
+    enabledAt: settings?.enabled ? settings.enabledAt : null,
+    recoveryCodesLeft: settings?.enabled ? countRecoveryCodesLeft(settings) : 0,
+  };
+}
+
+/**
+ * Start enrolment - new secret waiting for the first code
+ * @param {string} userId - User ID
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ * @throws {TwoFactorError}
+ */
+export async function startTotpEnrolment(userId) {
+  const user = await User.findById(userId).select("email").lean();
+  if (!user) throw new TwoFactorError("User not found", 404);
+
+  const existing = await TwoFactorAuth.findOne({ user: userId }).lean();
+  if (existing?.enabled) {
+    throw new TwoFactorError(
+      "Two-factor authentication is already enabled",
+      409
+    );
+  }
+
+  const secret = generateTotpSecret();
+  await TwoFactorAuth.updateOne(
+    { user: userId },
+    {
+      $set: {
+        pendingSecret: encryptSecret(secret),
+        pendingCreatedAt: new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({
+      secret,
+      accountName: user.email,
+      issuer: TOTP_ISSUER,
+    }),
+  };
+}
+
+/**
+ * Finish enrolment with the first code from the app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>>} - Recovery codes (shown once)
+ * @throws {TwoFactorError}
+ */
+export async function confirmTotpEnrolment(userId, code) {
+  const settings = await TwoFactorAuth.findOne({ user: userId });
+
+  if (
+    !settings?.pendingSecret ||
+    settings.pendingCreatedAt < new Date(Date.now() - ENROLMENT_TTL_MS)
+  ) {
+    throw new TwoFactorError("No pending setup. Start the setup again.");
+  }
+
+  const step = verifyTotp(decryptSecret(settings.pendingSecret), code);
+  if (step === null) {
+    throw new TwoFactorError("Invalid authentication code");
+  }
+
+  const { codes, records } = generateRecoveryCodes();
+  settings.set({
+    enabled: true,
+    enabledAt: new Date(),
+    secret: settings.pendingSecret,
+    pendingSecret: undefined,
+    pendingCreatedAt: undefined,
+    lastUsedStep: step,
+    recoveryCodes: records,
+  });
+  await settings.save();
+
+  await sendSecurityEmail(userId, "Two-factor authentication enabled");
+  logger.info("Two-factor authentication enabled", { userId });
+
+  return codes;
+}
+
+/**
+ * Turn two-factor authentication off
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP or recovery code
+ * @throws {TwoFactorError}
+ */
+export async function disableTwoFactor(userId, code) {
+  const settings = await getEnabledSettings(userId);
+
+  if (!(await consumeCode(settings, code))) {
+    throw new TwoFactorError("Invalid authentication code");
+  }
+
+  await TwoFactorAuth.deleteOne({ _id: settings._id });
+
+  await sendSecurityEmail(userId, "Two-factor authentication disabled");
+  logger.info("Two-factor authentication disabled", { userId });
+}
+
+/**
+ * Replace all recovery codes
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code (recovery codes not accepted)
+ * @returns {Promise<Array<string>>} - New recovery codes (shown once)
+ * @throws {TwoFactorError}
+ */
+export async function regenerateRecoveryCodes(userId, code) {
+  const settings = await getEnabledSettings(userId);
+
+  if (!(await consumeCode(settings, code, { allowRecovery: false }))) {
+    throw new TwoFactorError("Invalid authentication code");
+  }
+
+  const { codes, records } = generateRecoveryCodes();
+  await TwoFactorAuth.updateOne(
+    { _id: settings._id },
+    { $set: { recoveryCodes: records } }
+  );
+
+  logger.info("Recovery codes regenerated", { userId });
+  return codes;
+}
+
+/* ---- Login ---- */
+
+/**
+ * Count wrong login code, lock account when the limit is reached
+ * @param {Object} settings - TwoFactorAuth document
+ */
+async function recordFailedAttempt(settings) {
+  const updated = await TwoFactorAuth.findOneAndUpdate(
+    { _id: settings._id },
+    { $inc: { failedAttempts: 1 } },
+    { new: true }
+  ).lean();
+
+  if (updated?.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await TwoFactorAuth.updateOne(
+      { _id: settings._id },
+      {
+        $set: {
+          failedAttempts: 0,
+          lockedUntil: new Date(Date.now() + LOCKOUT_MS),
+        },
+        $unset: { challengeHash: "", challengeExpiresAt: "" },
+      }
+    );
+    logger.warn("Two-factor login locked", { userId: settings.user });
+  }
+}
+
+/**
+ * Start second step of login when the user has 2FA enabled
+ * @param {string} userId - User ID (password already checked)
+ * @returns {Promise<string|null>} - Challenge token, null when 2FA is off
+ */
+export async function createLoginChallenge(userId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  const { modifiedCount } = await TwoFactorAuth.updateOne(
+    { user: userId, enabled: true },
+    {
+      $set: {
+        challengeHash: hashToken(token),
+        challengeExpiresAt: new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS),
+      },
+    }
+  );
+
+  return modifiedCount === 1 ? token : null;
+}
+
+/**
+ * Finish login with the second factor
+ * The email must match the challenge's user, so attempts are always
+ * counted under that user by the login rate limiter.
+ *
+ * @param {Object} params - { email, challengeToken, code }
+ * @returns {Promise<{user: Object, method: string, recoveryCodesLeft: number}>}
+ * @throws {TwoFactorError}
+ */
+export async function verifyLoginChallenge({ email, challengeToken, code }) {
+  const expired = new TwoFactorError(
+    "Login session expired. Please log in again.",
+    401
+  );
+  if (!challengeToken || !email) throw expired;
+
+  const settings = await TwoFactorAuth.findOne({
+    challengeHash: hashToken(challengeToken),
+    enabled: true,
+  });
+
+  if (!settings || settings.challengeExpiresAt < new Date()) {
+    throw expired;
+  }
+
+  if (settings.lockedUntil > new Date()) {
+    throw new TwoFactorError(
+      "Too many invalid codes. Please try again later.",
+      429
+    );
+  }
+
+  const user = await User.findById(settings.user);
+  if (!user || user.email !== String(email).toLowerCase().trim()) {
+    throw expired;
+  }
+
+  const method = await consumeCode(settings, code);
+  if (!method) {
+    await recordFailedAttempt(settings);
+    logger.warn("Invalid two-factor login code", { userId: user._id });
+    throw new TwoFactorError("Invalid authentication code", 401);
+  }
+
+  await TwoFactorAuth.updateOne(
+    { _id: settings._id },
+    {
+      $set: { failedAttempts: 0 },
+      $unset: { challengeHash: "", challengeExpiresAt: "", lockedUntil: "" },
+    }
+  );
+
+  const recoveryCodesLeft =
+    countRecoveryCodesLeft(settings) - (method === "recovery" ? 1 : 0);
+
+  if (method === "recovery") {
+    await sendSecurityEmail(
+      user._id,
+      `Recovery code used to log in (${recoveryCodesLeft} left)`
+    );
+  }
+
+  return { user, method, recoveryCodesLeft };
+}
+
+export default {
+  RECOVERY_CODE_COUNT,
+  TwoFactorError,
+  getTwoFactorStatus,
+  startTotpEnrolment,
+  confirmTotpEnrolment,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  createLoginChallenge,
+  verifyLoginChallenge,
+};
@@ -0,0 +1,57 @@
+/**
+ * VehicleBrand Model - Managed brand -> model -> generation taxonomy
+ *
+ * Each node has a canonical slug ID, display name and aliases used to map
+ * free-form input ("VW", "volkswagen ") to the canonical node.
+ * Generation IDs are unique within model, model IDs within brand.
+ */
+
+import mongoose from "mongoose";
+
+const generationSchema = new mongoose.Schema(
+  {
+    slug: { type: String, required: true },
+    name: { type: String, required: true },
+    aliases: { type: [String], default: [] },
+    yearFrom: { type: Number },
+    // Empty for generations still in production
+    yearTo: { type: Number },
+  },
+  { _id: false }
+);
+
+const modelSchema = new mongoose.Schema(
+  {
+    slug: { type: String, required: true },
+    name: { type: String, required: true },
+    aliases: { type: [String], default: [] },
+    generations: { type: [generationSchema], default: [] },
+  },
+  { _id: false }
+);
+
+const vehicleBrandSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    aliases: { type: [String], default: [] },
+    models: { type: [modelSchema], default: [] },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+const VehicleBrand = mongoose.model("VehicleBrand", vehicleBrandSchema);
+
+export default VehicleBrand;
@@ -0,0 +1,608 @@
+/**
+ * Vehicle Taxonomy - Canonical brand -> model -> generation service
+ *
+ * Features:
+ * - Alias mapping ("VW", "volkswagen ", "Volkswagen" -> volkswagen)
+ * - Diacritic/case/punctuation-insensitive matching ("Skoda" -> Škoda)
+ * - Generation inferred from production year when not given
+ * - Ad writes normalised to canonical names and IDs (mongoose plugin)
+ * - Taxonomy tree with active ad counts per node for metadata endpoints
+ * - Search values resolved to canonical IDs plus alias names (for ads
+ *   not backfilled yet)
+ *
+ * Setup: register plugin on Ad schema - AdSchema.plugin(adTaxonomyPlugin)
+ * and run backfillAdTaxonomy(Ad) once for ads saved before.
+ */
+
+import VehicleBrand from "./vehicleBrand.js";
+import VEHICLE_TAXONOMY_SEED from "./vehicleTaxonomySeed.js";
+import { foldDiacritics } from "./adTextSearch.js";
+import { getVisibleStatusFilter } from "./adLifecycle.js";
+import logger from "../../utils/logger.js";
+
+// Taxonomy index reloaded after this time (admin changes invalidate it)
+const TAXONOMY_CACHE_TTL = 5 * 60 * 1000;
+
+// Ad counts per node are cached briefly - metadata endpoints are hot
+const COUNTS_CACHE_TTL = 60 * 1000;
+
+let taxonomyCache = null;
+let taxonomyLoadedAt = 0;
+let taxonomyLoading = null;
+
+let countsCache = null;
+let countsLoadedAt = 0;
+
+/* ---- Helpers ---- */
+
+/**
+ * Matching key: folded diacritics, lowercase, punctuation as spaces
+ * @param {string} value - Raw value
+ * @returns {string} - Key ("Mercedes-Benz " -> "mercedes benz")
+ */
+export const normalizeKey = (value) =>
+  foldDiacritics(String(value ?? ""))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+/**
+ * Canonical slug ID ("Mercedes-Benz" -> "mercedes-benz")
+ * @param {string} value - Raw value
+ * @returns {string} - Slug
+ */
+export const toSlug = (value) => normalizeKey(value).replace(/ /g, "-");
+
+// Display label for values missing in taxonomy: trimmed, single spaces
+const cleanLabel = (value) =>
+  typeof value === "string" ? value.trim().replace(/\s+/g, " ") : value;
+
+const byName = (a, b) => a.name.localeCompare(b.name, "pl");
+
+// Every spelling a node is known under (stored ads may use any of them)
+const nodeNames = (node) =>
+  [...new Set([node.name, node.slug, ...(node.aliases || [])])].filter(Boolean);
+
+/**
+ * Register node under its name, slug and aliases
+ */
+const indexKeys = (map, node, names) => {
+  for (const name of names) {
+    const key = normalizeKey(name);
+    if (key && !map.has(key)) map.set(key, node);
+  }
+};
+
+/**
+ * Build lookup index from taxonomy documents
+ * @param {Array<Object>} brands - VehicleBrand documents
+ * @returns {Object} - { brands: Map<key, node>, nodes: Array }
+ */
+const buildIndex = (brands) => {
+  const index = { brands: new Map(), nodes: [] };
+
+  for (const brand of brands) {
+    const brandNode = {
+      id: brand.slug,
+      name: brand.name,
+      names: nodeNames(brand),
+      models: new Map(),
+      modelNodes: [],
+    };
+
+    for (const model of brand.models || []) {
+      const modelNode = {
+        id: model.slug,
+        name: model.name,
+        names: nodeNames(model),
+        generations: new Map(),
+        generationNodes: [],
+      };
+
+      for (const generation of model.generations || []) {
+        const generationNode = {
+          id: generation.slug,
+          name: generation.name,
+          yearFrom: generation.yearFrom ?? null,
+          yearTo: generation.yearTo ?? null,
+        };
+        modelNode.generationNodes.push(generationNode);
+        indexKeys(modelNode.generations, generationNode, [
+          generation.slug,
+          generation.name,
+          ...(generation.aliases || []),
+        ]);
+      }
+
+      brandNode.modelNodes.push(modelNode);
+      indexKeys(brandNode.models, modelNode, [
+        model.slug,
+        model.name,
+        ...(model.aliases || []),
+      ]);
+    }
+
+    index.nodes.push(brandNode);
+    indexKeys(index.brands, brandNode, [
+      brand.slug,
+      brand.name,
+      ...(brand.aliases || []),
+    ]);
+  }
+
+  return index;
+};
+
+/**
+ * Load (cached) taxonomy index
+ * @returns {Promise<Object>} - Taxonomy index
+ */
+export async function loadTaxonomy() {
+  if (taxonomyCache && Date.now() - taxonomyLoadedAt < TAXONOMY_CACHE_TTL) {
+    return taxonomyCache;
+  }
+
+  // Share one database read between concurrent callers
+  if (!taxonomyLoading) {
+    taxonomyLoading = VehicleBrand.find({ isActive: true })
+      .lean()
+      .then((brands) => {
+        taxonomyCache = buildIndex(brands);
+        taxonomyLoadedAt = Date.now();
+        return taxonomyCache;
+      })
+      .finally(() => {
+        taxonomyLoading = null;
+      });
+  }
+
+  return taxonomyLoading;
+}
+
+/**
+ * Drop cached taxonomy and counts (after admin changes)
+ */
+export function invalidateTaxonomyCache() {
+  taxonomyCache = null;
+  countsCache = null;
+}
+
+/* ---- Resolution ---- */
+
+/**
+ * Pick generation covering production year (only when unambiguous)
+ * @param {Object} modelNode - Model node
+ * @param {number} year - Production year
+ * @returns {Object|null} - Generation node
+ */
+const inferGeneration = (modelNode, year) => {
+  const numericYear = parseInt(year);
+  if (!modelNode || !numericYear) return null;
+
+  const matches = modelNode.generationNodes.filter(
+    (generation) =>
+      (generation.yearFrom === null || numericYear >= generation.yearFrom) &&
+      (generation.yearTo === null || numericYear <= generation.yearTo)
+  );
+
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Resolve raw vehicle values against loaded index
+ * Values missing in taxonomy keep a cleaned label and slug ID, so
+ * "volkswagen " and "Volkswagen" still group together.
+ *
+ * @param {Object} index - Taxonomy index
+ * @param {Object} vehicle - { brand, model, generation, year }
+ * @returns {Object} - Canonical names, IDs, match flags and generation
+ *   year range (when generation matched)
+ */
+export function resolveVehicleWithIndex(index, vehicle) {
+  const { brand, model, generation, year } = vehicle;
+  const result = {
+    brand: cleanLabel(brand),
+    brandId: brand ? toSlug(brand) || null : null,
+    model: cleanLabel(model),
+    modelId: model ? toSlug(model) || null : null,
+    generation: cleanLabel(generation),
+    generationId: generation ? toSlug(generation) || null : null,
+    matched: { brand: false, model: false, generation: false },
+  };
+
+  const brandNode = brand ? index.brands.get(normalizeKey(brand)) : null;
+  if (!brandNode) return result;
+
+  result.brand = brandNode.name;
+  result.brandId = brandNode.id;
+  result.matched.brand = true;
+
+  const modelNode = model ? brandNode.models.get(normalizeKey(model)) : null;
+  if (!modelNode) return result;
+
+  result.model = modelNode.name;
+  result.modelId = modelNode.id;
+  result.matched.model = true;
+
+  const generationNode = generation
+    ? modelNode.generations.get(normalizeKey(generation))
+    : inferGeneration(modelNode, year);
+  if (!generationNode) return result;
+
+  result.generation = generationNode.name;
+  result.generationId = generationNode.id;
+  result.yearFrom = generationNode.yearFrom;
+  result.yearTo = generationNode.yearTo;
+  result.matched.generation = true;
+
+  return result;
+}
+
+/**
+ * Resolve raw vehicle values to canonical taxonomy nodes
+ * @param {Object} vehicle - { brand, model, generation, year }
+ * @returns {Promise<Object>} - Canonical names, IDs and match flags
+ */
+export async function resolveVehicle(vehicle) {
+  return resolveVehicleWithIndex(await loadTaxonomy(), vehicle);
+}
+
+/**
+ * Resolve brand / model search values to taxonomy terms
+ * Models are looked up under the requested brands (all brands when none).
+ * Values missing in taxonomy are kept as their slug and cleaned label.
+ *
+ * @param {Object|null} index - Taxonomy index (null - no taxonomy)
+ * @param {Object} values - { brands: [], models: [] } raw search values
+ * @returns {{brands: Array, models: Array}} - Terms { id, names }
+ */
+export function resolveVehicleSearch(index, { brands = [], models = [] }) {
+  const unmatched = (value) => ({
+    id: toSlug(value),
+    names: [cleanLabel(value)],
+  });
+  const unique = (terms) => [
+    ...new Map(terms.map((term) => [term.id, term])).values(),
+  ];
+
+  const brandNodes = brands
+    .map((value) => index?.brands.get(normalizeKey(value)))
+    .filter(Boolean);
+  const brandTerms = brands.map((value) => {
+    const node = index?.brands.get(normalizeKey(value));
+    return node ? { id: node.id, names: node.names } : unmatched(value);
+  });
+
+  const scope = brands.length > 0 ? brandNodes : index?.nodes || [];
+  const modelTerms = models.flatMap((value) => {
+    const key = normalizeKey(value);
+    const nodes = scope.map((brand) => brand.models.get(key)).filter(Boolean);
+    return nodes.length > 0
+      ? nodes.map((node) => ({ id: node.id, names: node.names }))
+      : [unmatched(value)];
+  });
+
+  return {
+    brands: unique(brandTerms.filter((term) => term.id)),
+    models: unique(modelTerms.filter((term) => term.id)),
+  };
+}
+
+/* ---- Tree with counts ---- */
+
+/**
+ * Count active ads per raw brand/model/generation combination
+ * @param {Object} Ad - Ad model
+ * @returns {Promise<Array>} - [{ _id: { brand, model, generation }, count }]
+ */
+const loadAdCounts = async (Ad) => {
+  if (countsCache && Date.now() - countsLoadedAt < COUNTS_CACHE_TTL) {
+    return countsCache;
+  }
+
+  countsCache = await Ad.aggregate([
+    { $match: { status: getVisibleStatusFilter() } },
+    {
+      $group: {
+        _id: {
+          brand: "$brand",
+          model: "$model",
+          generation: "$generation",
+        },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  countsLoadedAt = Date.now();
+
+  return countsCache;
+};
+
+const getOrCreate = (map, id, create) => {
+  if (!map.has(id)) map.set(id, create());
+  return map.get(id);
+};
+
+/**
+ * Build taxonomy tree with active ad counts per node
+ * Raw values are resolved through aliases, so legacy ads count too.
+ *
+ * @param {Object} Ad - Ad model
+ * @param {Object} options
+ * @param {boolean} [options.includeEmpty] - Include nodes without ads
+ * @returns {Promise<Array>} - [{ id, name, count, models: [...] }]
+ */
+export async function getTaxonomyTree(Ad, { includeEmpty = false } = {}) {
+  const [index, groups] = await Promise.all([loadTaxonomy(), loadAdCounts(Ad)]);
+  const brands = new Map();
+
+  const brandEntry = (id, name) =>
+    getOrCreate(brands, id, () => ({ id, name, count: 0, models: new Map() }));
+  const modelEntry = (brand, id, name) =>
+    getOrCreate(brand.models, id, () => ({
+      id,
+      name,
+      count: 0,
+      generations: new Map(),
+    }));
+
+  if (includeEmpty) {
+    for (const brandNode of index.nodes) {
+      const brand = brandEntry(brandNode.id, brandNode.name);
+      for (const modelNode of brandNode.modelNodes) {
+        const model = modelEntry(brand, modelNode.id, modelNode.name);
+        for (const generationNode of modelNode.generationNodes) {
+          getOrCreate(model.generations, generationNode.id, () => ({
+            ...generationNode,
+            count: 0,
+          }));
+        }
+      }
+    }
+  }
+
+  for (const { _id, count } of groups) {
+    const vehicle = resolveVehicleWithIndex(index, _id);
+    if (!vehicle.brandId) continue;
+
+    const brand = brandEntry(vehicle.brandId, vehicle.brand);
+    brand.count += count;
+
+    if (!vehicle.modelId) continue;
+    const model = modelEntry(brand, vehicle.modelId, vehicle.model);
+    model.count += count;
+
+    if (!vehicle.generationId) continue;
+    const generation = getOrCreate(
+      model.generations,
+      vehicle.generationId,
+      () => ({
+        id: vehicle.generationId,
+        name: vehicle.generation,
+        yearFrom: vehicle.yearFrom ?? null,
+        yearTo: vehicle.yearTo ?? null,
+        count: 0,
+      })
+    );
+    generation.count += count;
+  }
+
+  return [...brands.values()].sort(byName).map((brand) => ({
+    ...brand,
+    models: [...brand.models.values()].sort(byName).map((model) => ({
+      ...model,
+      generations: [...model.generations.values()].sort(
+        (a, b) => (a.yearFrom ?? 0) - (b.yearFrom ?? 0) || byName(a, b)
+      ),
+    })),
+  }));
+}
+
+/**
+ * Raw ad values that did not match any taxonomy node (for admins)
+ * @param {Object} Ad - Ad model
+ * @returns {Promise<Array>} - [{ level, brand, model, generation, count }]
+ */
+export async function getUnmappedValues(Ad) {
+  const [index, groups] = await Promise.all([loadTaxonomy(), loadAdCounts(Ad)]);
+  const unmapped = new Map();
+
+  for (const { _id, count } of groups) {
+    const vehicle = resolveVehicleWithIndex(index, _id);
+    let level = null;
+    if (_id.brand && !vehicle.matched.brand) level = "brand";
+    else if (_id.model && !vehicle.matched.model) level = "model";
+    else if (_id.generation && !vehicle.matched.generation) {
+      level = "generation";
+    }
+    if (!level) continue;
+
+    const entry = {
+      level,
+      brand: cleanLabel(_id.brand),
+      model: level === "brand" ? null : cleanLabel(_id.model),
+      generation: level === "generation" ? cleanLabel(_id.generation) : null,
+    };
+    const key = [level, _id.brand, entry.model, entry.generation]
+      .map(normalizeKey)
+      .join("|");
+    getOrCreate(unmapped, key, () => ({ ...entry, count: 0 })).count += count;
+  }
+
+  return [...unmapped.values()].sort((a, b) => b.count - a.count);
+}
+
+/* ---- Ad writes ---- */
+
+const TAXONOMY_FIELDS = ["brand", "model", "generation", "year"];
+
+const applyResolved = (target, resolved) => {
+  target.brand = resolved.brand;
+  target.brandId = resolved.brandId;
+  target.model = resolved.model;
+  target.modelId = resolved.modelId;
+  if (resolved.generation) target.generation = resolved.generation;
+  target.generationId = resolved.generationId;
+};
+
+/**
+ * Mongoose plugin normalising Ad brand/model/generation on write
+ * - save(): new ads and changed brand/model/generation/year
+ * - findOneAndUpdate()/updateOne(): when update touches these fields
+ *
+ * @param {Object} schema - Mongoose schema
+ */
+export function adTaxonomyPlugin(schema) {
+  schema.add({
+    brandId: { type: String, index: true },
+    modelId: { type: String, index: true },
+    generationId: { type: String },
+  });
+
+  schema.pre("save", async function () {
+    const changed =
+      this.isNew || TAXONOMY_FIELDS.some((field) => this.isModified(field));
+    if (!changed || !this.brand) return;
+
+    applyResolved(this, await resolveVehicle(this));
+  });
+
+  schema.pre(["findOneAndUpdate", "updateOne"], async function () {
+    const update = this.getUpdate() || {};
+    const target = update.$set || update;
+    if (!TAXONOMY_FIELDS.some((field) => target[field] !== undefined)) return;
+
+    // Partial update (e.g. only model) - fill in stored values
+    const existing = TAXONOMY_FIELDS.every((field) => field in target)
+      ? {}
+      : await this.model
+          .findOne(this.getQuery())
+          .select(TAXONOMY_FIELDS.join(" "))
+          .lean();
+
+    const vehicle = { ...existing, ...target };
+    if (!vehicle.brand) return;
+
+    applyResolved(target, await resolveVehicle(vehicle));
+    this.setUpdate(update);
+  });
+}
+
+/**
+ * Normalise brand/model/generation of ads saved before the plugin
+ * @param {Object} Ad - Ad model
+ * @param {number} batchSize - Number of ads updated per bulk write
+ * @returns {Promise<number>} - Number of ads updated
+ */
+export async function backfillAdTaxonomy(Ad, batchSize = 500) {
+  const index = await loadTaxonomy();
+  const cursor = Ad.find({ brandId: { $exists: false } })
+    .select("_id brand model generation year")
+    .lean()
+    .cursor();
+
+  let operations = [];
+  let updated = 0;
+
+  for await (const ad of cursor) {
+    if (!ad.brand) continue;
+
+    const $set = {};
+    applyResolved($set, resolveVehicleWithIndex(index, ad));
+    operations.push({
+      updateOne: { filter: { _id: ad._id }, update: { $set } },
+    });
+
+    if (operations.length >= batchSize) {
+      await Ad.bulkWrite(operations, { ordered: false });
+      updated += operations.length;
+      operations = [];
+    }
+  }
+
+  if (operations.length > 0) {
+    await Ad.bulkWrite(operations, { ordered: false });
+    updated += operations.length;
+  }
+
+  countsCache = null;
+  logger.info("Ad taxonomy backfilled", { updated });
+  return updated;
+}
+
+/* ---- Management ---- */
+
+/**
+ * Normalise taxonomy input (admin body or seed entry)
+ * Generates missing slugs, trims names and aliases, drops invalid nodes.
+ *
+ * @param {Object} brand - { name, slug?, aliases?, models? }
+ * @returns {Object} - Brand document data
+ */
+export function normalizeBrandInput(brand) {
+  const cleanAliases = (aliases) =>
+    [...new Set((Array.isArray(aliases) ? aliases : []).map(cleanLabel))]
+      .filter((alias) => typeof alias === "string" && alias)
+      .slice(0, 50);
+
+  const cleanYear = (year) => {
+    const value = parseInt(year);
+    return Number.isInteger(value) && value > 1885 ? value : undefined;
+  };
+
+  const withSlug = (node) => ({
+    slug: toSlug(node.slug || node.name),
+    name: cleanLabel(node.name),
+    aliases: cleanAliases(node.aliases),
+  });
+
+  const isValid = (node) =>
+    node && typeof node.name === "string" && toSlug(node.name);
+
+  return {
+    ...withSlug(brand),
+    models: (Array.isArray(brand.models) ? brand.models : [])
+      .filter(isValid)
+      .map((model) => ({
+        ...withSlug(model),
+        generations: (Array.isArray(model.generations) ? model.generations : [])
+          .filter(isValid)
+          .map((generation) => ({
+            ...withSlug(generation),
+            yearFrom: cleanYear(generation.yearFrom),
+            yearTo: cleanYear(generation.yearTo),
+          })),
+      })),
+  };
+}
+
+/**
+ * Insert seed taxonomy when collection is empty
+ * @returns {Promise<number>} - Number of inserted brands
+ */
+export async function seedVehicleTaxonomy() {
+  if ((await VehicleBrand.estimatedDocumentCount()) > 0) return 0;
+
+  const brands = VEHICLE_TAXONOMY_SEED.map(normalizeBrandInput);
+  await VehicleBrand.insertMany(brands);
+  invalidateTaxonomyCache();
+
+  logger.info("Vehicle taxonomy seeded", { brands: brands.length });
+  return brands.length;
+}
+
+export default {
+  normalizeKey,
+  toSlug,
+  loadTaxonomy,
+  invalidateTaxonomyCache,
+  resolveVehicle,
+  resolveVehicleWithIndex,
+  resolveVehicleSearch,
+  getTaxonomyTree,
+  getUnmappedValues,
+  adTaxonomyPlugin,
+  backfillAdTaxonomy,
+  normalizeBrandInput,
+  seedVehicleTaxonomy,
+};
@@ -0,0 +1,149 @@
+/**
+ * Vehicle Taxonomy Controller - Admin management of brand/model/generation
+ *
+ * Features:
+ * - List taxonomy brands (including inactive)
+ * - Create or replace a brand with its models, generations and aliases
+ * - Deactivate brand (ads keep their values, no new matches)
+ * - Raw ad values not mapped to any node - input for new aliases
+ *
+ * Routes are admin-only (admin auth middleware on /api/admin/taxonomy).
+ */
+
+import VehicleBrand from "./vehicleBrand.js";
+import Ad from "../../models/listings/ad.js";
+import {
+  toSlug,
+  normalizeBrandInput,
+  invalidateTaxonomyCache,
+  getUnmappedValues,
+} from "./vehicleTaxonomy.js";
+import logger from "../../utils/logger.js";
+
+/**
+ * Get all taxonomy brands
+ * GET /api/admin/taxonomy/brands
+ */
+export const getVehicleBrands = async (req, res, next) => {
+  try {
+    const brands = await VehicleBrand.find().sort({ name: 1 }).lean();
+
+    return res.status(200).json({
+      success: true,
+      brands,
+    });
+  } catch (error) {
+    logger.error("Get vehicle brands error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Create or replace brand
+ * PUT /api/admin/taxonomy/brands/:slug
+ * Body: { name, aliases?, isActive?, models?: [{ name, aliases?,
+ *   generations?: [{ name, aliases?, yearFrom?, yearTo? }] }] }
+ */
+export const upsertVehicleBrand = async (req, res, next) => {
+  try {
+    const { name, isActive } = req.body;
+
+    if (!name || typeof name !== "string" || !toSlug(name)) {
+      return res.status(400).json({
+        success: false,
+        message: "Brand name is required",
+      });
+    }
+
+    const slug = toSlug(req.params.slug);
+    const brandData = {
+      ...normalizeBrandInput({ ...req.body, slug }),
+      ...(typeof isActive === "boolean" && { isActive }),
+    };
+
+    const brand = await VehicleBrand.findOneAndUpdate({ slug }, brandData, {
+      new: true,
+      upsert: true,
+      runValidators: true,
+      setDefaultsOnInsert: true,
+    });
+
+    invalidateTaxonomyCache();
+    logger.info("Vehicle brand saved", {
+      adminId: req.user.userId,
+      slug,
+      models: brand.models.length,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Brand saved",
+      brand,
+    });
+  } catch (error) {
+    logger.error("Upsert vehicle brand error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Deactivate brand
+ * DELETE /api/admin/taxonomy/brands/:slug
+ */
+export const deactivateVehicleBrand = async (req, res, next) => {
+  try {
+    const brand = await VehicleBrand.findOneAndUpdate(
+      { slug: toSlug(req.params.slug) },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!brand) {
+      return res.status(404).json({
+        success: false,
+        message: "Brand not found",
+      });
+    }
+
+    invalidateTaxonomyCache();
+    logger.info("Vehicle brand deactivated", {
+      adminId: req.user.userId,
+      slug: brand.slug,
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Brand deactivated",
+    });
+  } catch (error) {
+    logger.error("Deactivate vehicle brand error", { error: error.message });
+    return next(error);
+  }
+};
+
+/**
+ * Get raw ad values not mapped to taxonomy, most frequent first
+ * GET /api/admin/taxonomy/unmapped
+ */
+export const getUnmappedTaxonomyValues = async (req, res, next) => {
+  try {
+    const unmapped = await getUnmappedValues(Ad);
+
+    return res.status(200).json({
+      success: true,
+      unmapped,
+    });
+  } catch (error) {
+    logger.error("Get unmapped taxonomy values error", {
+      error: error.message,
+    });
+    return next(error);
+  }
+};
+
+export default {
+  getVehicleBrands,
+  upsertVehicleBrand,
+  deactivateVehicleBrand,
+  getUnmappedTaxonomyValues,
+};
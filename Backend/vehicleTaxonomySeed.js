@@ -0,0 +1,169 @@
+/**
+ * Vehicle Taxonomy Seed - Initial brands, models, generations and aliases
+ *
+ * Loaded by seedVehicleTaxonomy() for empty collections. After seeding,
+ * the taxonomy is managed through the admin taxonomy endpoints.
+ * Slugs are generated from names when omitted.
+ */
+
+const VEHICLE_TAXONOMY_SEED = [
+  {
+    name: "Volkswagen",
+    aliases: ["VW", "Volkswagen AG"],
+    models: [
+      {
+        name: "Golf",
+        generations: [
+          { name: "IV", aliases: ["Mk4"], yearFrom: 1997, yearTo: 2003 },
+          { name: "V", aliases: ["Mk5"], yearFrom: 2003, yearTo: 2008 },
+          { name: "VI", aliases: ["Mk6"], yearFrom: 2008, yearTo: 2012 },
+          { name: "VII", aliases: ["Mk7"], yearFrom: 2012, yearTo: 2019 },
+          { name: "VIII", aliases: ["Mk8"], yearFrom: 2019 },
+        ],
+      },
+      {
+        name: "Passat",
+        generations: [
+          { name: "B5", yearFrom: 1996, yearTo: 2005 },
+          { name: "B6", yearFrom: 2005, yearTo: 2010 },
+          { name: "B7", yearFrom: 2010, yearTo: 2014 },
+          { name: "B8", yearFrom: 2014 },
+        ],
+      },
+      { name: "Polo" },
+      { name: "Tiguan" },
+      { name: "Touran" },
+    ],
+  },
+  {
+    name: "Škoda",
+    aliases: ["Skoda"],
+    models: [
+      {
+        name: "Octavia",
+        generations: [
+          { name: "I", yearFrom: 1996, yearTo: 2010 },
+          { name: "II", yearFrom: 2004, yearTo: 2013 },
+          { name: "III", yearFrom: 2013, yearTo: 2020 },
+          { name: "IV", yearFrom: 2020 },
+        ],
+      },
+      { name: "Fabia" },
+      { name: "Superb" },
+    ],
+  },
+  {
+    name: "Mercedes-Benz",
+    aliases: ["Mercedes", "Mercedes Benz", "MB"],
+    models: [
+      {
+        name: "Klasa C",
+        aliases: ["C-Class", "C Klasa", "C"],
+        generations: [
+          { name: "W203", yearFrom: 2000, yearTo: 2007 },
+          { name: "W204", yearFrom: 2007, yearTo: 2014 },
+          { name: "W205", yearFrom: 2014, yearTo: 2021 },
+          { name: "W206", yearFrom: 2021 },
+        ],
+      },
+      {
+        name: "Klasa E",
+        aliases: ["E-Class", "E Klasa", "E"],
+        generations: [
+          { name: "W211", yearFrom: 2002, yearTo: 2009 },
+          { name: "W212", yearFrom: 2009, yearTo: 2016 },
+          { name: "W213", yearFrom: 2016, yearTo: 2023 },
+          { name: "W214", yearFrom: 2023 },
+        ],
+      },
+    ],
+  },
+  {
+    name: "BMW",
+    aliases: ["Bayerische Motoren Werke"],
+    models: [
+      {
+        name: "Seria 3",
+        aliases: ["3 Series", "Seria3", "3er"],
+        generations: [
+          { name: "E46", yearFrom: 1998, yearTo: 2006 },
+          { name: "E90", yearFrom: 2005, yearTo: 2013 },
+          { name: "F30", yearFrom: 2012, yearTo: 2019 },
+          { name: "G20", yearFrom: 2019 },
+        ],
+      },
+      {
+        name: "Seria 5",
+        aliases: ["5 Series", "Seria5", "5er"],
+        generations: [
+          { name: "E60", yearFrom: 2003, yearTo: 2010 },
+          { name: "F10", yearFrom: 2010, yearTo: 2017 },
+          { name: "G30", yearFrom: 2017, yearTo: 2023 },
+        ],
+      },
+      { name: "X5" },
+    ],
+  },
+  {
+    name: "Opel",
+    aliases: ["Vauxhall"],
+    models: [
+      {
+        name: "Astra",
+        generations: [
+          { name: "G", yearFrom: 1998, yearTo: 2009 },
+          { name: "H", yearFrom: 2004, yearTo: 2014 },
+          { name: "J", yearFrom: 2009, yearTo: 2015 },
+          { name: "K", yearFrom: 2015, yearTo: 2021 },
+          { name: "L", yearFrom: 2021 },
+        ],
+      },
+      { name: "Corsa" },
+      { name: "Insignia" },
+    ],
+  },
+  {
+    name: "Toyota",
+    models: [
+      {
+        name: "Corolla",
+        generations: [
+          { name: "E12", yearFrom: 2001, yearTo: 2007 },
+          { name: "E15", yearFrom: 2006, yearTo: 2013 },
+          { name: "E18", yearFrom: 2013, yearTo: 2019 },
+          { name: "E21", yearFrom: 2018 },
+        ],
+      },
+      { name: "Yaris" },
+      { name: "RAV4", aliases: ["RAV 4"] },
+    ],
+  },
+  { name: "Audi", models: [{ name: "A3" }, { name: "A4" }, { name: "A6" }] },
+  { name: "Ford", models: [{ name: "Focus" }, { name: "Mondeo" }] },
+  { name: "Renault", models: [{ name: "Clio" }, { name: "Megane" }] },
+  { name: "Peugeot", models: [{ name: "208" }, { name: "308" }] },
+  {
+    name: "Citroën",
+    aliases: ["Citroen"],
+    models: [{ name: "C3" }, { name: "C4" }],
+  },
+  { name: "Kia", models: [{ name: "Ceed", aliases: ["cee'd"] }] },
+  { name: "Hyundai", models: [{ name: "i30" }, { name: "Tucson" }] },
+  { name: "Fiat", models: [{ name: "Panda" }, { name: "500" }] },
+  {
+    name: "Alfa Romeo",
+    aliases: ["Alfa"],
+    models: [{ name: "Giulia" }],
+  },
+  { name: "Land Rover", aliases: ["LandRover"] },
+  { name: "Mazda" },
+  { name: "Nissan" },
+  { name: "Honda" },
+  { name: "Volvo" },
+  { name: "Seat", aliases: ["SEAT"] },
+  { name: "Dacia" },
+  { name: "Suzuki" },
+  { name: "Tesla" },
+];
+
+export default VEHICLE_TAXONOMY_SEED;
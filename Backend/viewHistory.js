@@ -0,0 +1,36 @@
+/**
+ * ViewHistory Model - Recently viewed ads of a user
+ *
+ * One document per user with the newest views first, one entry per ad
+ * and at most MAX_VIEW_HISTORY_ITEMS entries (kept by recentlyViewed).
+ */
+
+import mongoose from "mongoose";
+
+const viewHistorySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    items: {
+      type: [
+        {
+          _id: false,
+          ad: { type: mongoose.Schema.Types.ObjectId, ref: "Ad" },
+          viewedAt: Date,
+          // Price when last viewed - shows price changes since
+          priceAtView: Number,
+        },
+      ],
+      default: [],
+    },
+  },
+  { timestamps: true }
+);
+
+const ViewHistory = mongoose.model("ViewHistory", viewHistorySchema);
+
+export default ViewHistory;
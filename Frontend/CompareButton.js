@@ -0,0 +1,138 @@
+// src/components/listings/compare/CompareButton.js
+import React, { useState, useEffect } from "react";
+import { Link } from "react-router-dom";
+import { toast } from "react-toastify";
+import { GitCompare, X } from "lucide-react";
+import {
+  MAX_COMPARE_ADS,
+  getCompareList,
+  addToCompareList,
+  removeFromCompareList,
+  clearCompareList,
+  subscribeToCompareList,
+  getCompareLink,
+} from "./compareList";
+
+/**
+ * Keep component in sync with compare shortlist
+ * @returns {Array} - Current shortlist
+ */
+const useCompareList = () => {
+  const [list, setList] = useState(getCompareList);
+
+  useEffect(() => subscribeToCompareList(setList), []);
+
+  return list;
+};
+
+/**
+ * Build shortlist entry from listing object (API ad or card listing)
+ */
+const toCompareItem = (listing) => ({
+  id: listing._id || listing.id,
+  title:
+    listing.headline ||
+    `${listing.brand || listing.make || ""} ${listing.model || ""}`.trim() ||
+    "Ogłoszenie",
+  image: listing.mainImage || listing.images?.[0] || null,
+});
+
+/**
+ * Bottom bar with shortlisted ads and link to ComparePage
+ */
+export const CompareBar = () => {
+  const list = useCompareList();
+
+  if (list.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-0 left-0 right-0 z-40 bg-white border-t border-gray-200 shadow-lg">
+      <div className="max-w-7xl mx-auto px-4 py-3 flex flex-wrap items-center gap-3">
+        <span className="text-sm font-medium text-gray-700">
+          Porównanie ({list.length}/{MAX_COMPARE_ADS}):
+        </span>
+        {list.map((item) => (
+          <span
+            key={item.id}
+            className="inline-flex items-center gap-1 bg-gray-100 text-sm px-2 py-1 rounded-sm"
+          >
+            {item.title}
+            <button
+              onClick={() => removeFromCompareList(item.id)}
+              className="text-gray-500 hover:text-red-600"
+              aria-label={`Usuń ${item.title} z porównania`}
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <div className="ml-auto flex items-center gap-3">
+          <button
+            onClick={clearCompareList}
+            className="text-sm text-gray-500 hover:text-gray-700"
+          >
+            Wyczyść
+          </button>
+          {list.length >= 2 ? (
+            <Link
+              to={getCompareLink(list)}
+              className="bg-[#35530A] text-white px-4 py-2 rounded-[2px] hover:bg-[#2A4208] transition-colors text-sm font-medium"
+            >
+              Porównaj
+            </Link>
+          ) : (
+            <span className="text-sm text-gray-500">
+              Dodaj jeszcze jedno ogłoszenie
+            </span>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * "Compare" toggle for listing cards and ListingDetails
+ * @param {object} props
+ * @param {object} props.listing - Ad object
+ * @param {boolean} [props.compact] - Icon-only variant for cards
+ */
+const CompareButton = ({ listing, compact = false }) => {
+  const list = useCompareList();
+  const item = toCompareItem(listing);
+  const selected = list.some((entry) => entry.id === item.id);
+
+  const handleClick = (event) => {
+    // Cards are links - don't navigate when toggling
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (selected) {
+      removeFromCompareList(item.id);
+    } else if (!addToCompareList(item)) {
+      toast.info(`Możesz porównać maksymalnie ${MAX_COMPARE_ADS} ogłoszenia`);
+    }
+  };
+
+  const label = selected ? "Usuń z porównania" : "Dodaj do porównania";
+
+  return (
+    <button
+      onClick={handleClick}
+      title={label}
+      aria-pressed={selected}
+      className={`inline-flex items-center gap-1 text-sm font-medium rounded-[2px] transition-colors ${
+        compact ? "p-2 shadow" : "px-3 py-2 border"
+      } ${
+        selected
+          ? "bg-[#35530A] text-white border-[#35530A]"
+          : "bg-white text-[#35530A] border-[#35530A] hover:bg-green-50"
+      }`}
+    >
+      <GitCompare className="w-4 h-4" />
+      {!compact && label}
+    </button>
+  );
+};
+
+export default CompareButton;
@@ -0,0 +1,267 @@
+// src/components/listings/compare/ComparePage.js
+/**
+ * ComparePage - side-by-side comparison of up to 4 listings
+ *
+ * Features:
+ * - Reads ad IDs from /compare?ids=a,b,c (falls back to compare shortlist)
+ * - Spec matrix from GET /api/ads/compare
+ * - Differing rows marked, best value per row highlighted
+ * - "Only differences" toggle, remove ad from comparison
+ *
+ * Route: <Route path="/compare" element={<ComparePage />} />
+ */
+
+import React, { useState, useEffect } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { ArrowLeft, Check, Minus, X } from "lucide-react";
+import {
+  getCompareList,
+  removeFromCompareList,
+  getCompareLink,
+} from "./compareList";
+
+const API_URL = (process.env.REACT_APP_API_URL || "Docelowe").replace(
+  /\/$/,
+  ""
+);
+const api = (path) => `${API_URL}${path.startsWith("/") ? "" : "/"}${path}`;
+
+// Polish labels for spec rows returned by backend
+const ROW_LABELS = {
+  price: "Cena",
+  year: "Rok produkcji",
+  mileage: "Przebieg",
+  power: "Moc",
+  fuelType: "Paliwo",
+  transmission: "Skrzynia biegów",
+  bodyType: "Typ nadwozia",
+};
+
+const UNIT_LABELS = { PLN: "zł", km: "km", HP: "KM" };
+
+const formatValue = (row, value) => {
+  if (row.group === "equipment") {
+    return value ? (
+      <Check className="w-5 h-5 text-[#35530A] mx-auto" />
+    ) : (
+      <Minus className="w-5 h-5 text-gray-300 mx-auto" />
+    );
+  }
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "number") {
+    const unit = UNIT_LABELS[row.unit] || "";
+    return `${row.key === "year" ? value : value.toLocaleString()}${
+      unit ? ` ${unit}` : ""
+    }`;
+  }
+  return value;
+};
+
+const imageUrl = (ad) => {
+  const image = ad.mainImage || ad.images?.[0];
+  if (!image) return "/images/auto-788747_1280.jpg";
+  return image.startsWith("http") ? image : api(image);
+};
+
+const ComparePage = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+
+  const ids =
+    searchParams.get("ids") ||
+    getCompareList()
+      .map((item) => item.id)
+      .join(",");
+
+  useEffect(() => {
+    const fetchComparison = async () => {
+      setLoading(true);
+      setError(null);
+
+      if (ids.split(",").filter(Boolean).length < 2) {
+        setComparison(null);
+        setError("Wybierz co najmniej dwa ogłoszenia do porównania");
+        setLoading(false);
+        return;
+      }
+
+      try {
+        const response = await fetch(
+          api(`/api/ads/compare?ids=${encodeURIComponent(ids)}`)
+        );
+        const json = await response.json();
+        if (!response.ok) {
+          throw new Error(json.message || "Nie udało się porównać ogłoszeń");
+        }
+        setComparison(json.data);
+      } catch (err) {
+        setError(err.message || "Nie udało się porównać ogłoszeń");
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComparison();
+  }, [ids]);
+
+  const handleRemove = (adId) => {
+    removeFromCompareList(adId);
+    const remaining = ids.split(",").filter((id) => id && id !== adId);
+    navigate(getCompareLink(remaining.map((id) => ({ id }))), {
+      replace: true,
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-[#FCFCFC] min-h-screen flex items-center justify-center">
+        <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-[#35530A]"></div>
+      </div>
+    );
+  }
+
+  if (error || !comparison) {
+    return (
+      <div className="bg-[#FCFCFC] min-h-screen flex items-center justify-center">
+        <div className="bg-red-100 border-l-4 border-red-500 p-4 rounded-sm">
+          <p className="text-red-700 font-medium">{error}</p>
+          <button
+            onClick={() => navigate(-1)}
+            className="mt-4 text-[#35530A] hover:text-[#44671A] font-medium"
+          >
+            ← Wróć do ogłoszeń
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { ads, rows } = comparison;
+  const visibleRows = onlyDifferences
+    ? rows.filter((row) => row.differs)
+    : rows;
+  const specRows = visibleRows.filter((row) => row.group !== "equipment");
+  const equipmentRows = visibleRows.filter((row) => row.group === "equipment");
+
+  const renderRow = (row) => (
+    <tr
+      key={row.key}
+      className={row.differs ? "bg-yellow-50" : "bg-white"}
+      title={row.differs ? "Wartości się różnią" : undefined}
+    >
+      <th
+        scope="row"
+        className="text-left text-sm font-medium text-gray-700 px-4 py-3 border-b border-gray-100"
+      >
+        {ROW_LABELS[row.key] || row.label}
+      </th>
+      {row.values.map((value, index) => {
+        const isBest = row.best.includes(index);
+        return (
+          <td
+            key={index}
+            className={`text-center text-sm px-4 py-3 border-b border-gray-100 ${
+              isBest ? "font-bold text-[#35530A] bg-green-50" : "text-gray-800"
+            }`}
+          >
+            {formatValue(row, value)}
+          </td>
+        );
+      })}
+    </tr>
+  );
+
+  return (
+    <div className="bg-[#FCFCFC] py-8 px-4 lg:px-[8%] min-h-screen">
+      <button
+        onClick={() => navigate(-1)}
+        className="mb-6 flex items-center gap-2 text-[#35530A] hover:text-[#44671A] transition-colors font-medium"
+      >
+        <ArrowLeft className="w-5 h-5" />
+        Powrót
+      </button>
+
+      <div className="max-w-7xl mx-auto bg-white shadow-md rounded-sm overflow-x-auto">
+        <div className="flex flex-wrap items-center justify-between gap-3 p-6">
+          <h1 className="text-2xl font-bold text-black">Porównanie ogłoszeń</h1>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={onlyDifferences}
+              onChange={(event) => setOnlyDifferences(event.target.checked)}
+              className="accent-[#35530A]"
+            />
+            Pokaż tylko różnice ({comparison.differingRows})
+          </label>
+        </div>
+
+        <table className="w-full min-w-[640px] border-collapse">
+          <thead>
+            <tr>
+              <th className="w-48" />
+              {ads.map((ad) => (
+                <th key={ad._id} className="px-4 pb-4 align-top">
+                  <div className="relative">
+                    <button
+                      onClick={() => handleRemove(ad._id)}
+                      className="absolute top-1 right-1 bg-white rounded-full p-1 shadow text-gray-500 hover:text-red-600"
+                      aria-label="Usuń z porównania"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                    <Link to={`/listing/${ad._id}`}>
+                      <img
+                        src={imageUrl(ad)}
+                        alt={ad.headline || `${ad.brand} ${ad.model}`}
+                        className="w-full h-32 object-cover rounded-sm"
+                      />
+                      <div className="mt-2 text-sm font-semibold text-gray-900 hover:text-[#35530A]">
+                        {`${ad.brand || ""} ${ad.model || ""}`.trim()}
+                      </div>
+                    </Link>
+                    {ad.headline && (
+                      <div className="text-xs text-gray-500 font-normal">
+                        {ad.headline}
+                      </div>
+                    )}
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {specRows.map(renderRow)}
+            {equipmentRows.length > 0 && (
+              <tr>
+                <th
+                  colSpan={ads.length + 1}
+                  className="text-left text-base font-bold text-black px-4 pt-6 pb-2"
+                >
+                  Wyposażenie
+                </th>
+              </tr>
+            )}
+            {equipmentRows.map(renderRow)}
+          </tbody>
+        </table>
+
+        <div className="flex flex-wrap gap-4 p-6 text-xs text-gray-500">
+          <span className="inline-flex items-center gap-1">
+            <span className="w-3 h-3 bg-yellow-50 border border-yellow-200" />
+            Wartości się różnią
+          </span>
+          <span className="inline-flex items-center gap-1">
+            <span className="w-3 h-3 bg-green-50 border border-green-200" />
+            Najlepsza wartość
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ComparePage;
@@ -8,6 +8,7 @@
  * - Responsive grid layouts (2-4-4 pattern)
  * - Error recovery with retry
  * - Loading states
+ * - "Compare" toggle on every card + compare bar
  */
 
 import React, { useState, useEffect } from "react";
@@ -16,6 +17,19 @@ import { FaCheckCircle, FaTimesCircle, FaSync } from "react-icons/fa";
 import AdsService from "../../services/ads";
 import MainFeatureListing from "./MainFeatureListing";
 import SmallListingCard from "./SmallListingCard";
+import CompareButton, { CompareBar } from "../listings/compare/CompareButton";
+
+/**
+ * Card wrapper with "compare" toggle in the top right corner
+ */
+const WithCompare = ({ listing, children }) => (
+  <div className="relative">
+    {children}
+    <div className="absolute top-2 right-2 z-10">
+      <CompareButton listing={listing} compact />
+    </div>
+  </div>
+);
 
 const FeaturedListings = () => {
   const [featuredListings, setFeaturedListings] = useState([]);
@@ -211,7 +225,9 @@ const FeaturedListings = () => {
             {featuredListings.length > 0 && (
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-10">
                 {featuredListings.map((listing) => (
-                  <MainFeatureListing key={listing._id} listing={listing} />
+                  <WithCompare key={listing._id} listing={listing}>
+                    <MainFeatureListing listing={listing} />
+                  </WithCompare>
                 ))}
               </div>
             )}
@@ -220,11 +236,9 @@ const FeaturedListings = () => {
             {hotListings.length > 0 && (
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 mb-10">
                 {hotListings.slice(0, 4).map((listing) => (
-                  <SmallListingCard
-                    key={listing._id}
-                    listing={listing}
-                    showHotOffer={true}
-                  />
+                  <WithCompare key={listing._id} listing={listing}>
+                    <SmallListingCard listing={listing} showHotOffer={true} />
+                  </WithCompare>
                 ))}
               </div>
             )}
@@ -253,7 +267,9 @@ const FeaturedListings = () => {
             {normalListings.length > 0 && (
               <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
                 {normalListings.map((listing) => (
-                  <SmallListingCard key={listing._id} listing={listing} />
+                  <WithCompare key={listing._id} listing={listing}>
+                    <SmallListingCard listing={listing} />
+                  </WithCompare>
                 ))}
               </div>
             )}
@@ -270,6 +286,8 @@ const FeaturedListings = () => {
           </Link>
         </div>
       </div>
+
+      <CompareBar />
     </div>
   );
 };
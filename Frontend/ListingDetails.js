@@ -11,6 +11,8 @@ import CommentSection from "./CommentSection";
 import SimilarListings from "./SimilarListings";
 import ListingHeader from "./ListingHeader";
 import CollapsibleSection from "./CollapsibleSection";
+import PriceHistoryChart, { PriceDropBadge } from "./PriceHistoryChart";
+import CompareButton, { CompareBar } from "../compare/CompareButton";
 import AuthService from "../../../services/api/authApi";
 import ViewHistoryService from "../../../services/viewHistoryService";
 
@@ -21,6 +23,26 @@ const API_URL = (process.env.REACT_APP_API_URL || "Docelowe").replace(
 );
 const api = (path) => `${API_URL}${path.startsWith("/") ? "" : "/"}${path}`;
 
+// Similarity reason codes from /api/ads/:id/similar -> short Polish labels
+const MATCH_REASON_LABELS = {
+  same_model: () => "ten sam model",
+  same_brand: () => "ta sama marka",
+  similar_price: (value) => `cena ±${value}%`,
+  same_year: () => "ten sam rocznik",
+  similar_year: (value) => `rocznik ±${value}`,
+  similar_mileage: (value) => `przebieg ±${value}%`,
+  same_bodyType: () => "to samo nadwozie",
+  same_fuelType: () => "to samo paliwo",
+  same_transmission: () => "ta sama skrzynia",
+};
+
+const formatMatchReasons = (reasons = []) =>
+  reasons
+    .map(({ code, value }) => MATCH_REASON_LABELS[code]?.(value))
+    .filter(Boolean)
+    .slice(0, 3)
+    .join(", ");
+
 const ListingDetails = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -41,11 +63,18 @@ const ListingDetails = () => {
         // Fetch listing
         const response = await fetch(api(`/api/ads/${id}`)); // GET without unnecessary headers
         if (!response.ok) throw new Error("Nie znaleziono ogłoszenia");
-        const data = await response.json();
+        const json = await response.json();
+        const data = json.data || json; // API wraps ad in { success, data }
         setListing(data);
 
-        // Add to history
-        ViewHistoryService.addToViewHistory(data);
+        // Guest history stays local; logged-in views are recorded by backend
+        if (!userId) ViewHistoryService.addToViewHistory(data);
+
+        // Count view (unique per day on backend, failures ignored)
+        fetch(api(`/api/ads/${id}/view`), {
+          method: "POST",
+          credentials: "include",
+        }).catch(() => {});
 
         // Fetch comments
         const res = await fetch(api(`/api/comments/${id}`), {
@@ -72,17 +101,13 @@ const ListingDetails = () => {
           );
         }
 
-        // Similar listings
-        const searchParams = new URLSearchParams({
-          brand: data.brand || data.make,
-          model: data.model || "",
-        });
+        // Similar listings (ranked by backend similarity score)
         const similarResponse = await fetch(
-          api(`/api/ads/search?${searchParams}`)
+          api(`/api/ads/${id}/similar?limit=4`)
         );
         const similarData = await similarResponse.json();
         setSimilarListings(
-          (similarData.ads || []).slice(0, 4).map((ad) => ({
+          (similarData.data || []).map((ad) => ({
             id: ad._id,
             title:
               `${ad.brand || ad.make || ""} ${ad.model || ""}`.trim() ||
@@ -90,6 +115,7 @@ const ListingDetails = () => {
             price: `${ad.price?.toLocaleString() || 0} zł`,
             year: ad.year?.toString() || "Nieznany",
             mileage: `${ad.mileage?.toLocaleString() || 0} km`,
+            matchReason: formatMatchReasons(ad.matchReasons),
             image:
               ad.images && ad.images.length > 0
                 ? ad.images[0].startsWith("http")
@@ -105,7 +131,7 @@ const ListingDetails = () => {
       }
     };
     if (id) fetchListing();
-  }, [id]);
+  }, [id, userId]);
 
   // Adding comment
   const handleAddComment = async (text, imageFile) => {
@@ -187,13 +213,16 @@ const ListingDetails = () => {
 
   return (
     <div className="bg-[#FCFCFC] py-8 px-4 lg:px-[8%] min-h-screen">
-      <button
-        onClick={() => navigate(-1)}
-        className="mb-6 flex items-center gap-2 text-[#35530A] hover:text-[#44671A] transition-colors font-medium"
-      >
-        <ArrowLeft className="w-5 h-5" />
-        Powrót
-      </button>
+      <div className="mb-6 flex items-center justify-between gap-4">
+        <button
+          onClick={() => navigate(-1)}
+          className="flex items-center gap-2 text-[#35530A] hover:text-[#44671A] transition-colors font-medium"
+        >
+          <ArrowLeft className="w-5 h-5" />
+          Powrót
+        </button>
+        <CompareButton listing={listing} />
+      </div>
       <div className="max-w-7xl mx-auto">
         {/* Desktop */}
         <div className="hidden lg:flex flex-row gap-8">
@@ -235,6 +264,7 @@ const ListingDetails = () => {
 
           <div className="w-full lg:w-[40%] space-y-8">
             <TechnicalDetails listing={listing} />
+            <PriceHistoryChart priceHistory={listing.priceHistory} />
             <ContactInfo listing={listing} />
           </div>
         </div>
@@ -261,6 +291,11 @@ const ListingDetails = () => {
                 </h1>
               )}
               <div className="text-2xl font-bold text-[#35530A]">{price}</div>
+              {listing.priceHistory?.priceDrop && (
+                <div className="mt-2">
+                  <PriceDropBadge priceDrop={listing.priceHistory.priceDrop} />
+                </div>
+              )}
             </div>
           </div>
 
@@ -280,6 +315,7 @@ const ListingDetails = () => {
           )}
 
           <TechnicalDetails listing={listing} />
+          <PriceHistoryChart priceHistory={listing.priceHistory} />
           <Description description={listing.description} />
           <CommentSection
             comments={comments}
@@ -294,6 +330,8 @@ const ListingDetails = () => {
           <SimilarListings listings={similarListings} />
         </div>
       </div>
+
+      <CompareBar />
     </div>
   );
 };
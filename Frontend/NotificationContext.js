@@ -7,6 +7,7 @@ import React, {
 } from "react";
 import { useAuth } from "./AuthContext";
 import ActivityLogService from "../services/activityLogService";
+import { mergeGuestViewHistory } from "../services/viewHistorySync";
 import notificationService from "../services/NotificationService";
 import { debug } from "../utils/debug";
 import { toast } from "react-toastify";
@@ -90,6 +91,29 @@ export const NotificationProvider = ({ children }) => {
       case "listing_expiring":
         toast.warning(`⏰ ${message}`, toastConfig);
         break;
+      case "price_drop":
+        toast.success(`📉 ${message}`, {
+          ...toastConfig,
+          autoClose: 6000,
+          style: {
+            ...toastConfig.style,
+            background: "#F1F7E8",
+            color: "#35530A",
+            borderLeft: "4px solid #35530A",
+            fontWeight: 500,
+          },
+        });
+        break;
+      case "saved_search_match":
+        toast.info(`🔍 ${message}`, toastConfig);
+        break;
+      case "favorite_sold":
+      case "favorite_expired":
+        toast.info(`⭐ ${message}`, toastConfig);
+        break;
+      case "data_export_ready":
+        toast.success(`📦 ${message}`, toastConfig);
+        break;
       case "system":
       case "system_update":
         toast.info(`🔔 ${message}`, toastConfig);
@@ -258,6 +282,11 @@ export const NotificationProvider = ({ children }) => {
     [isAuthenticated, user]
   );
 
+  // Move guest view history to the account after login
+  useEffect(() => {
+    if (isAuthenticated && user?.id) mergeGuestViewHistory();
+  }, [isAuthenticated, user?.id]);
+
   // Main useEffect - single initialization with deduplication
   useEffect(() => {
     if (!isAuthenticated || !user) {
@@ -0,0 +1,124 @@
+// src/components/listings/details/PriceHistoryChart.js
+import React from "react";
+import { TrendingDown } from "lucide-react";
+
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const PADDING = 10;
+
+const formatPrice = (price) => `${price.toLocaleString()} zł`;
+const formatDate = (date) => new Date(date).toLocaleDateString("pl-PL");
+
+/**
+ * "Price dropped by X zł" badge
+ * @param {object} props
+ * @param {object|null} props.priceDrop - priceHistory.priceDrop from API
+ */
+export const PriceDropBadge = ({ priceDrop }) => {
+  if (!priceDrop) return null;
+
+  return (
+    <span
+      className="inline-flex items-center gap-1 bg-green-100 text-[#35530A] text-sm font-medium px-2 py-1 rounded-sm"
+      title={`Poprzednia cena: ${formatPrice(priceDrop.previousPrice)}`}
+    >
+      <TrendingDown className="w-4 h-4" />
+      Cena obniżona o {formatPrice(priceDrop.amount)} (-{priceDrop.percent}%)
+    </span>
+  );
+};
+
+/**
+ * Price history step chart (SVG, no chart library)
+ * @param {object} props
+ * @param {object} props.priceHistory - priceHistory object from /api/ads/:id
+ */
+const PriceHistoryChart = ({ priceHistory }) => {
+  const points = priceHistory?.points || [];
+
+  // Nothing to chart until the price changed at least once
+  if (points.length < 2) return null;
+
+  const times = points.map((point) => new Date(point.date).getTime());
+  const prices = points.map((point) => point.price);
+  const startTime = times[0];
+  const endTime = Math.max(Date.now(), times[times.length - 1]);
+  const minPrice = Math.min(...prices);
+  const maxPrice = Math.max(...prices);
+
+  const x = (time) =>
+    PADDING +
+    ((time - startTime) / Math.max(1, endTime - startTime)) *
+      (CHART_WIDTH - 2 * PADDING);
+  const y = (price) =>
+    maxPrice === minPrice
+      ? CHART_HEIGHT / 2
+      : PADDING +
+        ((maxPrice - price) / (maxPrice - minPrice)) *
+          (CHART_HEIGHT - 2 * PADDING);
+
+  // Step line - price holds until next change, last price holds until today
+  const path = points
+    .map((point, index) =>
+      index === 0
+        ? `M ${x(times[0])} ${y(point.price)}`
+        : `H ${x(times[index])} V ${y(point.price)}`
+    )
+    .concat(`H ${x(endTime)}`)
+    .join(" ");
+
+  return (
+    <div className="bg-white p-6 shadow-md rounded-sm">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-bold text-black">Historia ceny</h2>
+        <PriceDropBadge priceDrop={priceHistory.priceDrop} />
+      </div>
+
+      <svg
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        className="w-full h-32"
+        role="img"
+        aria-label="Wykres historii ceny"
+      >
+        <path d={path} fill="none" stroke="#35530A" strokeWidth="2" />
+        {points.map((point, index) => (
+          <circle
+            key={index}
+            cx={x(times[index])}
+            cy={y(point.price)}
+            r="3"
+            fill="#35530A"
+          >
+            <title>{`${formatDate(point.date)}: ${formatPrice(
+              point.price
+            )}`}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <div className="flex justify-between text-xs text-gray-500 mt-1">
+        <span>{formatDate(points[0].date)}</span>
+        <span>Dziś</span>
+      </div>
+
+      <ul className="mt-4 space-y-1 text-sm text-gray-700">
+        {points
+          .slice()
+          .reverse()
+          .map((point, index) => (
+            <li key={index} className="flex justify-between">
+              <span>{formatDate(point.date)}</span>
+              <span className="font-medium">{formatPrice(point.price)}</span>
+            </li>
+          ))}
+      </ul>
+
+      <div className="mt-4 pt-3 border-t border-gray-100 flex justify-between text-sm text-gray-600">
+        <span>Najniższa: {formatPrice(priceHistory.lowestPrice)}</span>
+        <span>Najwyższa: {formatPrice(priceHistory.highestPrice)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceHistoryChart;
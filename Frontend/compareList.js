@@ -0,0 +1,89 @@
+// src/components/listings/compare/compareList.js
+/**
+ * Compare list - shortlist of up to 4 ads kept in localStorage
+ *
+ * Features:
+ * - Add/remove/toggle ads, capped at MAX_COMPARE_ADS
+ * - Change event so every CompareButton/CompareBar stays in sync
+ * - Builds /compare?ids=... link for ComparePage
+ */
+
+export const MAX_COMPARE_ADS = 4;
+
+const STORAGE_KEY = "compareList";
+const CHANGE_EVENT = "compare-list-changed";
+
+/**
+ * Read shortlist from localStorage
+ * @returns {Array<{id: string, title: string, image?: string}>}
+ */
+export const getCompareList = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored.slice(0, MAX_COMPARE_ADS) : [];
+  } catch {
+    return [];
+  }
+};
+
+const saveCompareList = (list) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+  window.dispatchEvent(new CustomEvent(CHANGE_EVENT, { detail: list }));
+};
+
+export const isInCompareList = (id) =>
+  getCompareList().some((item) => item.id === id);
+
+/**
+ * Add ad to shortlist
+ * @param {{id: string, title: string, image?: string}} item
+ * @returns {boolean} - false when list is full
+ */
+export const addToCompareList = (item) => {
+  const list = getCompareList();
+  if (list.some((entry) => entry.id === item.id)) return true;
+  if (list.length >= MAX_COMPARE_ADS) return false;
+
+  saveCompareList([...list, item]);
+  return true;
+};
+
+export const removeFromCompareList = (id) => {
+  saveCompareList(getCompareList().filter((item) => item.id !== id));
+};
+
+export const clearCompareList = () => saveCompareList([]);
+
+/**
+ * Subscribe to shortlist changes (also from other tabs)
+ * @param {Function} callback - Receives current list
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToCompareList = (callback) => {
+  const handleChange = () => callback(getCompareList());
+  const handleStorage = (event) => {
+    if (event.key === STORAGE_KEY) handleChange();
+  };
+
+  window.addEventListener(CHANGE_EVENT, handleChange);
+  window.addEventListener("storage", handleStorage);
+
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, handleChange);
+    window.removeEventListener("storage", handleStorage);
+  };
+};
+
+export const getCompareLink = (list = getCompareList()) =>
+  `/compare?ids=${list.map((item) => item.id).join(",")}`;
+
+export default {
+  MAX_COMPARE_ADS,
+  getCompareList,
+  isInCompareList,
+  addToCompareList,
+  removeFromCompareList,
+  clearCompareList,
+  subscribeToCompareList,
+  getCompareLink,
+};
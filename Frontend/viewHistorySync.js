@@ -0,0 +1,52 @@
+// src/services/viewHistorySync.js
+/**
+ * View history sync - moves guest history (local storage) to the account
+ *
+ * Guests keep history in ViewHistoryService (local storage). After login
+ * it is merged into the server-side history and cleared locally, so the
+ * next user of the same browser does not see it.
+ */
+import ViewHistoryService from "./viewHistoryService";
+
+const API_URL = (process.env.REACT_APP_API_URL || "Docelowe").replace(
+  /\/$/,
+  ""
+);
+
+/**
+ * Merge local guest history into logged-in user's history
+ * @returns {Promise<boolean>} - true when something was merged
+ */
+export const mergeGuestViewHistory = async () => {
+  const history = ViewHistoryService.getViewHistory() || [];
+  if (history.length === 0) return false;
+
+  const items = history
+    .map((item) => ({
+      adId: item.id || item._id,
+      viewedAt: item.viewedAt || item.timestamp,
+    }))
+    .filter((item) => item.adId);
+
+  try {
+    const response = await fetch(
+      `${API_URL}/api/profile/recently-viewed/merge`,
+      {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ items }),
+      }
+    );
+    if (!response.ok) return false;
+
+    ViewHistoryService.clearViewHistory();
+    return true;
+  } catch (error) {
+    // Keep local history - merge is retried on next login
+    console.error("Błąd synchronizacji historii przeglądania:", error);
+    return false;
+  }
+};
+
+export default mergeGuestViewHistory;